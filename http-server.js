@@ -1,13 +1,15 @@
 #!/usr/bin/env node
 
 const express = require('express');
-const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
-const { MCPServer } = require('./src/server');
+const { MCPServer, RestApi, HealthApi } = require('./src/server');
+const { createDashboardRouter } = require('./src/dashboard');
 
 // Default port
-let PORT = 8123;
+let PORT = parseInt(process.env.PORT, 10) || 8123;
+// Address to listen on (default: all interfaces)
+let HOST = process.env.HOST || undefined;
 
-// Parse command-line arguments for --port=XXXX
+// Parse command-line arguments for --port=XXXX and --host=ADDRESS
 for (let i = 2; i < process.argv.length; i++) {
   const arg = process.argv[i];
   if (arg.startsWith('--port=')) {
@@ -18,29 +20,37 @@ for (let i = 2; i < process.argv.length; i++) {
       console.error('[HTTP Server] Invalid value for --port');
       process.exit(1);
     }
+  } else if (arg.startsWith('--host=')) {
+    HOST = arg.split('=')[1];
   }
 }
 
-// Create MCP server with custom Server instance
-const serverInstance = new Server(
-  {
-    name: 'mcp-server',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-      logging: {},
-    },
-  }
-);
-
-const mcpServer = new MCPServer(serverInstance);
+// Create MCP server; every HTTP session gets its own Server instance
+const mcpServer = new MCPServer();
 
 // Create Express app
 const app = express();
 app.use(express.json());
 
+// CORS: answer preflight requests and expose the session header to allowed browser origins
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (origin && mcpServer.isOriginAllowed(origin)) {
+    res.set({
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID',
+      'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+      Vary: 'Origin',
+    });
+  }
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
+  }
+  next();
+});
+
 const router = express.Router();
 
 // Single endpoint for the client to send messages to
@@ -54,11 +64,47 @@ router.get(MCP_ENDPOINT, async (req, res) => {
   await mcpServer.handleGetRequest(req, res);
 });
 
+router.delete(MCP_ENDPOINT, async (req, res) => {
+  await mcpServer.handleDeleteRequest(req, res);
+});
+
 app.use('/', router);
 
-app.listen(PORT, () => {
-  console.log(`[HTTP Server] MCP Streamable HTTP Server listening on port ${PORT}`);
-  console.log(`[HTTP Server] Endpoint: http://localhost:${PORT}${MCP_ENDPOINT}`);
+// Plain REST routes and SSE log tails over the same processes, for clients without MCP
+const API_PREFIX = '/api';
+app.use(API_PREFIX, new RestApi(mcpServer).router);
+
+// Liveness and readiness probes, and Prometheus metrics unless METRICS_ENABLED=false
+const metricsEnabled = process.env.METRICS_ENABLED !== 'false';
+app.use('/', new HealthApi(mcpServer, { metrics: metricsEnabled }).router);
+
+// Web dashboard over the REST API, unless DASHBOARD_ENABLED=false
+const DASHBOARD_PATH = '/dashboard';
+const dashboardEnabled = process.env.DASHBOARD_ENABLED !== 'false';
+if (dashboardEnabled) {
+  app.use(DASHBOARD_PATH, createDashboardRouter());
+}
+
+// Commands are not run unaudited: a log that cannot be continued stops the server
+mcpServer.auditLog.ready.then(() => {
+  app.listen(PORT, HOST, () => {
+    console.log(`[HTTP Server] MCP Streamable HTTP Server listening on ${HOST || 'all interfaces'}, port ${PORT}`);
+    console.log(`[HTTP Server] Endpoint: http://${HOST || 'localhost'}:${PORT}${MCP_ENDPOINT}`);
+    console.log(`[HTTP Server] REST API: http://${HOST || 'localhost'}:${PORT}${API_PREFIX}/processes`);
+    console.log(`[HTTP Server] Health checks: http://${HOST || 'localhost'}:${PORT}/healthz, /readyz`);
+    if (metricsEnabled) {
+      console.log(`[HTTP Server] Metrics: http://${HOST || 'localhost'}:${PORT}/metrics`);
+    }
+    if (dashboardEnabled) {
+      console.log(`[HTTP Server] Dashboard: http://${HOST || 'localhost'}:${PORT}${DASHBOARD_PATH}/`);
+    }
+    if (!mcpServer.apiKeys.enabled) {
+      console.warn('[HTTP Server] WARNING: no API keys configured, anyone who can reach this port can run commands');
+    }
+  });
+}).catch((error) => {
+  console.error('[HTTP Server] Failed to start server, audit log unavailable:', error.message);
+  process.exit(1);
 });
 
 process.on('SIGINT', async () => {
@@ -0,0 +1,454 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_AUDIT_LOG_FILE = path.join(__dirname, '..', '..', 'data', 'audit.jsonl');
+// Key of the entry hashes, kept away from the log so whoever can write the log cannot forge them
+const DEFAULT_KEY_FILE = path.join(os.homedir(), '.run-command-mcp', 'audit.key');
+// Size at which the log is rotated (default: 10 MiB)
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+// Rotated files kept next to the current one
+const DEFAULT_MAX_FILES = 5;
+// Hash preceding the first entry of the chain
+const GENESIS_HASH = '0'.repeat(64);
+// Bytes read at a time, backwards from the end of the log, to find the last entry on startup
+const TAIL_READ_BYTES = 64 * 1024;
+// Default page size for query
+const DEFAULT_QUERY_LIMIT = 100;
+
+/**
+ * Append-only JSONL log of the commands run through the server.
+ *
+ * Every entry carries the hash of the previous entry and its own HMAC-SHA256
+ * over its content, keyed with a secret stored outside the log directory, so
+ * editing, removing or reordering entries breaks the chain and is reported by
+ * verify(). The sequence number and hash of the last entry are also kept next
+ * to the key (the head file), which reveals entries removed from the end.
+ * The chain continues across rotated files (audit.jsonl, audit.1.jsonl, ...
+ * with the highest number being the oldest).
+ */
+class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {string} [options.file] - Log file; null disables the audit log
+   * @param {number} [options.maxBytes] - Size at which the file is rotated
+   * @param {number} [options.maxFiles] - Number of rotated files kept
+   * @param {string} [options.keyFile] - File holding the HMAC key, created when missing;
+   *   the head file is written next to it
+   */
+  constructor(options = {}) {
+    this.file = options.file === undefined ? DEFAULT_AUDIT_LOG_FILE : options.file;
+    this.keyFile = options.keyFile || DEFAULT_KEY_FILE;
+    this.headFile = path.join(path.dirname(this.keyFile), `${path.basename(this.keyFile, path.extname(this.keyFile))}.head.json`);
+    this.key = null;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.lastHash = GENESIS_HASH;
+    this.sequence = 0;
+    this.size = 0;
+    this.openError = null;
+    // Rejects when an existing log cannot be continued; the server does not start then
+    this.ready = this.file ? this.open() : Promise.resolve();
+    // Appends run one at a time so the chain stays in order
+    this.writing = this.ready.catch((error) => {
+      console.error('[MCP Server] Audit log cannot be opened:', error.message);
+      this.openError = error;
+    });
+  }
+
+  /**
+   * Create the audit log configured by AUDIT_LOG_FILE, AUDIT_LOG_MAX_BYTES, AUDIT_LOG_MAX_FILES
+   * and AUDIT_LOG_KEY_FILE
+   */
+  static fromEnvironment() {
+    const file = process.env.AUDIT_LOG_FILE;
+    const auditLog = new AuditLog({
+      file: file === undefined ? DEFAULT_AUDIT_LOG_FILE : (file && path.resolve(file)) || null,
+      maxBytes: parseInt(process.env.AUDIT_LOG_MAX_BYTES, 10) || undefined,
+      maxFiles: parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || undefined,
+      keyFile: process.env.AUDIT_LOG_KEY_FILE ? path.resolve(process.env.AUDIT_LOG_KEY_FILE) : undefined,
+    });
+    if (auditLog.enabled) {
+      console.log('[MCP Server] Audit log written to', auditLog.file, 'with its key in', auditLog.keyFile);
+    }
+    return auditLog;
+  }
+
+  get enabled() {
+    return Boolean(this.file);
+  }
+
+  /**
+   * Continue the chain of an existing log
+   * @throws {Error} When the key is missing for an existing log, or the log ends before its head
+   */
+  async open() {
+    const logDir = path.resolve(path.dirname(this.file));
+    const keyDir = path.resolve(path.dirname(this.keyFile));
+    if (keyDir === logDir || keyDir.startsWith(logDir + path.sep)) {
+      throw new Error(`The audit log key ${this.keyFile} must not be stored in the log directory ${logDir}; set AUDIT_LOG_KEY_FILE elsewhere`);
+    }
+    await fs.promises.mkdir(logDir, { recursive: true });
+    const last = await this.readLastEntry();
+    this.key = await this.readKey(Boolean(last));
+
+    const head = await this.readHead();
+    const error = head && checkHead(head, last);
+    if (error) {
+      throw new Error(`${error}; move the audit log and ${this.headFile} aside to start a new log`);
+    }
+    if (last) {
+      this.lastHash = last.hash;
+      this.sequence = last.seq;
+    }
+    this.size = await fs.promises.stat(this.file).then(stat => stat.size, () => 0);
+  }
+
+  /**
+   * Read the HMAC key, creating a random one for a new log
+   * @param {boolean} existing - Whether the log already has entries
+   */
+  async readKey(existing) {
+    const key = await fs.promises.readFile(this.keyFile, 'utf8').then(content => content.trim(), (error) => {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    });
+    if (key) {
+      return key;
+    }
+    if (key === '') {
+      throw new Error(`Audit log key file ${this.keyFile} is empty`);
+    }
+    if (existing) {
+      throw new Error(`Audit log ${this.file} has entries but its key file ${this.keyFile} is missing; restore the key or move the log aside`);
+    }
+
+    const created = crypto.randomBytes(32).toString('hex');
+    await fs.promises.mkdir(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(this.keyFile, created + '\n', { mode: 0o600, flag: 'wx' });
+    console.log('[MCP Server] Created audit log key', this.keyFile);
+    return created;
+  }
+
+  /**
+   * Sequence number and hash of the last entry written, or null before the first one
+   */
+  async readHead() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.headFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Audit log head ${this.headFile} cannot be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record the last entry in the head file, replacing it in one step
+   */
+  async writeHead(record) {
+    const temporary = `${this.headFile}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, JSON.stringify({ seq: record.seq, hash: record.hash }) + '\n', { mode: 0o600 });
+    await fs.promises.rename(temporary, this.headFile);
+  }
+
+  /**
+   * Last entry of the newest file that has one
+   * @throws {Error} When that entry is not valid JSON
+   */
+  async readLastEntry() {
+    for (const file of [...this.getFiles()].reverse()) {
+      const handle = await fs.promises.open(file, 'r').catch(() => null);
+      if (!handle) {
+        continue;
+      }
+      try {
+        const line = await readLastLine(handle);
+        if (line !== null) {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            throw new Error(`Last entry of ${file} is not valid JSON: ${error.message}`);
+          }
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Append an entry to the log
+   * @param {Object} entry - Fields to record; timestamp, seq and hashes are added
+   * @returns {Promise<Object|null>} The entry as written, or null when the log is disabled
+   */
+  append(entry) {
+    if (!this.enabled) {
+      return Promise.resolve(null);
+    }
+
+    const result = this.writing.then(async () => {
+      if (this.openError) {
+        throw this.openError;
+      }
+      const record = {
+        seq: this.sequence + 1,
+        timestamp: new Date().toISOString(),
+        ...entry,
+        prev_hash: this.lastHash,
+      };
+      record.hash = hashEntry(record, this.key);
+      const line = JSON.stringify(record) + '\n';
+
+      if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+        await this.rotate();
+      }
+      await fs.promises.appendFile(this.file, line, { mode: 0o600 });
+      this.size += Buffer.byteLength(line);
+      this.sequence = record.seq;
+      this.lastHash = record.hash;
+      await this.writeHead(record);
+      return record;
+    });
+
+    this.writing = result.catch((error) => {
+      console.error('[MCP Server] Failed to write audit log:', error.message);
+    });
+    return result.catch(() => null);
+  }
+
+  /**
+   * Shift rotated files up by one, dropping the oldest, and start a new file
+   */
+  async rotate() {
+    const rotated = this.getRotatedFile(this.maxFiles);
+    await fs.promises.rm(rotated, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fs.promises.rename(this.getRotatedFile(index), this.getRotatedFile(index + 1)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.promises.rename(this.file, this.getRotatedFile(1));
+    this.size = 0;
+    console.log('[MCP Server] Rotated audit log', this.file);
+  }
+
+  getRotatedFile(index) {
+    const extension = path.extname(this.file);
+    return `${this.file.slice(0, this.file.length - extension.length)}.${index}${extension}`;
+  }
+
+  /**
+   * Log files from oldest to newest
+   */
+  getFiles() {
+    const files = [];
+    for (let index = this.maxFiles; index >= 1; index--) {
+      files.push(this.getRotatedFile(index));
+    }
+    files.push(this.file);
+    return files.filter(file => fs.existsSync(file));
+  }
+
+  /**
+   * Check the hash chain of the retained files, and that it reaches the entry
+   * recorded in the head file. The first retained entry may follow entries
+   * dropped by rotation, so its prev_hash is taken as given.
+   * @returns {Promise<{ valid: boolean, entries: number, error?: Object }>}
+   */
+  async verify() {
+    if (!this.enabled) {
+      return { valid: true, entries: 0 };
+    }
+
+    await this.writing;
+    let entries = 0;
+    let previous = null;
+    let error = null;
+    for (const file of this.getFiles()) {
+      let line = 0;
+      await forEachLine(file, (text) => {
+        line++;
+        if (!text.trim()) {
+          return true;
+        }
+        entries++;
+        let record;
+        try {
+          record = JSON.parse(text);
+        } catch (parseError) {
+          error = { file, line, reason: 'Entry is not valid JSON' };
+          return false;
+        }
+        if (hashEntry(record, this.key) !== record.hash) {
+          error = { file, line, seq: record.seq, reason: 'Entry hash does not match its content' };
+        } else if (previous && (record.prev_hash !== previous.hash || record.seq !== previous.seq + 1)) {
+          error = { file, line, seq: record.seq, reason: 'Entry does not follow the previous entry' };
+        }
+        previous = record;
+        return !error;
+      });
+      if (error) {
+        return { valid: false, entries, error };
+      }
+    }
+
+    const head = await this.readHead();
+    const headError = head && checkHead(head, previous);
+    if (headError) {
+      return { valid: false, entries, error: { file: this.headFile, seq: head.seq, reason: headError } };
+    }
+    return { valid: true, entries };
+  }
+
+  /**
+   * Search the log, newest entries first. Files are read one line at a time, and only
+   * the entries that can still fall into the page are kept.
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.tool] - Only entries of this tool
+   * @param {string} [filters.event] - Only entries of this event (tool_call, process_exit)
+   * @param {string} [filters.session_id] - Only entries of this MCP session
+   * @param {string} [filters.process_id] - Only entries about this process
+   * @param {string} [filters.text] - Only entries whose JSON contains this text
+   * @param {string} [filters.since] - Only entries at or after this ISO date
+   * @param {string} [filters.until] - Only entries at or before this ISO date
+   * @param {number} [filters.limit] - Page size (default: 100)
+   * @param {number} [filters.offset] - Number of entries to skip
+   * @returns {Promise<{ total: number, entries: Object[] }>}
+   */
+  async query(filters = {}) {
+    if (!this.enabled) {
+      return { total: 0, entries: [] };
+    }
+
+    await this.writing;
+    const limit = filters.limit > 0 ? filters.limit : DEFAULT_QUERY_LIMIT;
+    const offset = filters.offset > 0 ? filters.offset : 0;
+    const entries = [];
+    let total = 0;
+    for (const file of [...this.getFiles()].reverse()) {
+      // Newest matches of this file that may land on the page, oldest first
+      const needed = Math.max(offset + limit - total, 0);
+      const newest = [];
+      let count = 0;
+      await forEachLine(file, (text) => {
+        let record;
+        try {
+          record = JSON.parse(text);
+        } catch (error) {
+          return true;
+        }
+        if ((filters.tool && record.tool !== filters.tool)
+          || (filters.event && record.event !== filters.event)
+          || (filters.session_id && record.session_id !== filters.session_id)
+          || (filters.process_id && record.process_id !== filters.process_id)
+          || (filters.text && !text.includes(filters.text))
+          || (filters.since && record.timestamp < filters.since)
+          || (filters.until && record.timestamp > filters.until)) {
+          return true;
+        }
+        count++;
+        if (needed > 0) {
+          newest.push(record);
+          if (newest.length > needed) {
+            newest.shift();
+          }
+        }
+        return true;
+      });
+
+      newest.reverse().forEach((record, index) => {
+        if (total + index >= offset) {
+          entries.push(record);
+        }
+      });
+      total += count;
+    }
+    return { total, entries: entries.slice(0, limit) };
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writing;
+  }
+}
+
+/**
+ * HMAC-SHA256 over an entry without its own hash, chained through prev_hash
+ */
+function hashEntry(record, key) {
+  const { hash, ...content } = record;
+  return crypto.createHmac('sha256', key).update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Why a log whose last entry is last does not reach the recorded head, if it does not.
+ * A head behind the log only means the server stopped between the two writes.
+ */
+function checkHead(head, last) {
+  if (!last || last.seq < head.seq) {
+    return `Audit log ends before entry ${head.seq} recorded in the head file; entries were removed from its end`;
+  }
+  if (last.seq === head.seq && last.hash !== head.hash) {
+    return `Entry ${head.seq} of the audit log is not the one recorded in the head file`;
+  }
+  return null;
+}
+
+/**
+ * Call onLine with each line of a file, without reading it into memory at once
+ * @param {Function} onLine - Returns false to stop reading
+ */
+async function forEachLine(file, onLine) {
+  const stream = fs.createReadStream(file, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (onLine(line) === false) {
+        break;
+      }
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+/**
+ * Last non-empty line of a file, read backwards in chunks until its start is found,
+ * however long the line is
+ * @returns {Promise<string|null>} The line, or null for a file without one
+ */
+async function readLastLine(handle) {
+  const { size } = await handle.stat();
+  let position = size;
+  let data = Buffer.alloc(0);
+  while (position > 0) {
+    const length = Math.min(position, TAIL_READ_BYTES);
+    position -= length;
+    const { buffer } = await handle.read(Buffer.alloc(length), 0, length, position);
+    data = Buffer.concat([buffer, data]);
+
+    // Trailing newlines and blank lines end the file, not the entry
+    let end = data.length;
+    while (end > 0 && /\s/.test(String.fromCharCode(data[end - 1]))) {
+      end--;
+    }
+    const start = data.lastIndexOf(0x0a, end - 1);
+    if (end > 0 && (start !== -1 || position === 0)) {
+      return data.subarray(start + 1, end).toString('utf8');
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  AuditLog,
+  hashEntry,
+};
@@ -0,0 +1,6 @@
+const { AuditLog, hashEntry } = require('./AuditLog');
+
+module.exports = {
+  AuditLog,
+  hashEntry,
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Tools granted by each scope; a scope may also be the name of a single tool.
+// A trailing * matches every tool starting with the text before it.
+// The scopes table of README.md and the header of api-keys.example.yaml list these too.
+const SCOPES = {
+  read: [
+    'list_processes', 'get_command_output', 'wait_for', 'check_command', 'query_audit_log', 'get_pipeline_status',
+    'list_schedules', 'search_output',
+  ],
+  execute: [
+    'list_processes', 'get_command_output', 'wait_for', 'check_command', 'query_audit_log', 'get_pipeline_status',
+    'list_schedules', 'search_output',
+    'run_command', 'start_command', 'write_stdin', 'resize_terminal', 'kill_process', 'clear_processes',
+    'open_shell', 'shell_exec', 'close_shell', 'task_*', 'run_pipeline', 'cancel_pipeline',
+    'schedule_command', 'cancel_schedule',
+  ],
+};
+// Scope granting every tool and access to the processes of all sessions
+const ADMIN_SCOPE = 'admin';
+
+/**
+ * API keys accepted by the HTTP transport, with the tools each may use.
+ * Keys are kept as SHA-256 hashes so configuration files need not contain them in clear.
+ */
+class ApiKeyStore {
+  /**
+   * @param {Object[]} keys - Keys: { name, key | key_sha256, scopes }
+   * @param {string} [source] - Where the keys were loaded from, for messages
+   */
+  constructor(keys = [], source = 'no keys') {
+    if (!Array.isArray(keys)) {
+      throw new Error('Invalid API keys: keys must be a list');
+    }
+    this.source = source;
+    this.keys = keys.map((key, index) => compileKey(key, `key ${index + 1}`));
+
+    const names = new Set();
+    for (const key of this.keys) {
+      if (names.has(key.name)) {
+        throw new Error(`Invalid API keys: duplicate name "${key.name}"`);
+      }
+      names.add(key.name);
+    }
+  }
+
+  /**
+   * Load keys from a JSON or YAML file with a top-level "keys" list
+   */
+  static load(filePath) {
+    return new ApiKeyStore(readKeysFile(filePath), filePath);
+  }
+
+  /**
+   * Load the keys listed in API_KEYS_FILE, plus API_KEY as a key with the execute scope
+   */
+  static fromEnvironment() {
+    const filePath = process.env.API_KEYS_FILE;
+    const keys = filePath ? readKeysFile(path.resolve(filePath)) : [];
+    if (process.env.API_KEY) {
+      keys.push({ name: 'API_KEY', key: process.env.API_KEY, scopes: ['execute'] });
+    }
+
+    const source = [filePath, process.env.API_KEY && 'API_KEY'].filter(Boolean).join(' and ');
+    const store = new ApiKeyStore(keys, source);
+    if (store.enabled) {
+      console.log(`[MCP Server] Loaded ${store.keys.length} API keys from ${source}`);
+    }
+    return store;
+  }
+
+  /**
+   * Authentication is required as soon as one key is configured
+   */
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  /**
+   * Find the key matching a token presented by a client
+   * @returns {Object|null} { name, scopes, admin, tools }
+   */
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+    const hash = Buffer.from(hashKey(token), 'hex');
+    return this.keys.find(key => crypto.timingSafeEqual(hash, Buffer.from(key.hash, 'hex'))) || null;
+  }
+
+  /**
+   * Whether a key may call a tool
+   */
+  allows(key, toolName) {
+    if (key.admin || key.tools.has(toolName)) {
+      return true;
+    }
+    return Array.from(key.tools).some(tool => tool.endsWith('*') && toolName.startsWith(tool.slice(0, -1)));
+  }
+}
+
+function readKeysFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const config = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+  return (config && config.keys) || [];
+}
+
+function compileKey(key, defaultName) {
+  const name = (key && key.name) || defaultName;
+  if (!key || (typeof key.key !== 'string' && typeof key.key_sha256 !== 'string')) {
+    throw new Error(`Invalid API key "${name}": set key or key_sha256`);
+  }
+  if (key.key_sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(key.key_sha256)) {
+    throw new Error(`Invalid API key "${name}": key_sha256 must be a hex SHA-256 digest`);
+  }
+  if (!Array.isArray(key.scopes) || key.scopes.length === 0) {
+    throw new Error(`Invalid API key "${name}": scopes must be a non-empty list`);
+  }
+
+  const tools = new Set();
+  for (const scope of key.scopes) {
+    (SCOPES[scope] || [scope]).forEach(tool => tools.add(tool));
+  }
+
+  return {
+    name: name,
+    hash: (key.key_sha256 || hashKey(key.key)).toLowerCase(),
+    scopes: key.scopes,
+    admin: key.scopes.includes(ADMIN_SCOPE),
+    tools: tools,
+  };
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+module.exports = {
+  ApiKeyStore,
+  SCOPES,
+  hashKey,
+};
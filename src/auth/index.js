@@ -0,0 +1,10 @@
+const { ApiKeyStore, SCOPES, hashKey } = require('./ApiKeyStore');
+const { getAllowedOrigins, isOriginAllowed } = require('./origin');
+
+module.exports = {
+  ApiKeyStore,
+  SCOPES,
+  hashKey,
+  getAllowedOrigins,
+  isOriginAllowed,
+};
@@ -0,0 +1,34 @@
+// Hosts accepted as browser origins when ALLOWED_ORIGINS is not set
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Browser origins allowed to call the HTTP transport
+ * @param {string} value - Comma-separated origins, "*" for any (default: ALLOWED_ORIGINS env)
+ */
+function getAllowedOrigins(value = process.env.ALLOWED_ORIGINS) {
+  return (value || '').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a request's Origin header is acceptable. Requests without one (non-browser
+ * clients) pass; without an allow list only local origins pass, which protects
+ * local servers against DNS rebinding.
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+  if (!origin) {
+    return true;
+  }
+  if (allowedOrigins.length > 0) {
+    return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+  }
+  try {
+    return LOCAL_HOSTS.includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  getAllowedOrigins,
+  isOriginAllowed,
+};
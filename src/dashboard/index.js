@@ -0,0 +1,30 @@
+const path = require('path');
+const express = require('express');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+/**
+ * Static web dashboard over the REST API: processes with their status, duration and
+ * command, live log views, kill/restart/clear buttons and the connected MCP sessions.
+ * The page holds no secrets; it asks for an API key and sends it with each API request.
+ */
+function createDashboardRouter() {
+  const router = express.Router();
+
+  // Scripts and styles come from this router only, and the page cannot be framed
+  router.use((req, res, next) => {
+    res.set({
+      'Content-Security-Policy': "default-src 'self'; frame-ancestors 'none'",
+      'X-Content-Type-Options': 'nosniff',
+      'Referrer-Policy': 'no-referrer',
+    });
+    next();
+  });
+  router.use(express.static(PUBLIC_DIR));
+
+  return router;
+}
+
+module.exports = {
+  createDashboardRouter,
+};
@@ -0,0 +1,410 @@
+'use strict';
+
+// The dashboard is served at <server>/dashboard/ and the REST API at <server>/api/
+const API_BASE = new URL('../api/', window.location.href);
+const API_KEY_STORAGE = 'mcp-dashboard-api-key';
+const PROCESS_REFRESH_INTERVAL = 2000;
+const SESSION_REFRESH_INTERVAL = 5000;
+const PROCESS_LIST_LIMIT = 100;
+// Characters of output kept in the log view; older output is dropped
+const MAX_LOG_LENGTH = 200000;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const elements = {};
+let processes = [];
+let logStream = null;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function getApiKey() {
+  return window.sessionStorage.getItem(API_KEY_STORAGE) || '';
+}
+
+/**
+ * Call the REST API; resolves with the JSON body, or rejects with the error it returned
+ */
+async function request(method, path, query = {}) {
+  const url = new URL(path, API_BASE);
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== '') {
+      url.searchParams.set(name, String(value));
+    }
+  }
+  const headers = { Accept: 'application/json' };
+  if (getApiKey()) {
+    headers['X-API-Key'] = getApiKey();
+  }
+
+  const response = await fetch(url, { method, headers });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.success === false) {
+    const error = new Error(body.error || `${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+function showMessage(text) {
+  elements.message.textContent = text;
+  elements.message.hidden = !text;
+}
+
+function handleError(error) {
+  if (error.status === 401) {
+    showMessage('The server requires an API key. Enter one above.');
+  } else {
+    showMessage(error.message);
+  }
+}
+
+function formatDuration(milliseconds) {
+  const seconds = Math.max(0, Math.floor(milliseconds / 1000));
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m ${seconds % 60}s`;
+  }
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function getDuration(processInfo) {
+  if (!processInfo.started_at) {
+    return '';
+  }
+  const end = processInfo.finished_at ? Date.parse(processInfo.finished_at) : Date.now();
+  return formatDuration(end - Date.parse(processInfo.started_at));
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function createCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text === null || text === undefined ? '' : String(text);
+  if (className) {
+    cell.className = className;
+  }
+  return cell;
+}
+
+function createButton(label, onClick, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  if (className) {
+    button.className = className;
+  }
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Processes
+
+async function refreshProcesses() {
+  try {
+    const body = await request('GET', 'processes', {
+      limit: PROCESS_LIST_LIMIT,
+      status: elements.statusFilter.value,
+      all_sessions: elements.allSessions.checked ? 'true' : undefined,
+    });
+    processes = body.processes;
+    renderProcesses(body.total);
+    showMessage('');
+  } catch (error) {
+    handleError(error);
+  }
+}
+
+function renderProcesses(total) {
+  const rows = processes.map((processInfo) => {
+    const row = document.createElement('tr');
+    row.dataset.processId = processInfo.process_id;
+    if (logStream && logStream.processId === processInfo.process_id) {
+      row.className = 'selected';
+    }
+
+    const statusCell = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `badge ${processInfo.status}`;
+    badge.textContent = processInfo.status;
+    statusCell.appendChild(badge);
+    row.appendChild(statusCell);
+
+    const commandCell = createCell(processInfo.command, 'command');
+    commandCell.title = processInfo.cwd ? `${processInfo.command}\n in ${processInfo.cwd}` : processInfo.command;
+    row.appendChild(commandCell);
+    row.appendChild(createCell(getDuration(processInfo), 'duration'));
+    row.appendChild(createCell(formatTime(processInfo.started_at)));
+    row.appendChild(createCell(processInfo.exit_code));
+
+    const active = ACTIVE_STATUSES.includes(processInfo.status);
+    const actions = createCell('', 'actions');
+    actions.appendChild(createButton('Logs', () => openLog(processInfo)));
+    if (active) {
+      actions.appendChild(createButton('Kill', () => killProcess(processInfo), 'danger'));
+    }
+    actions.appendChild(createButton('Restart', () => restartProcess(processInfo)));
+    if (!active) {
+      actions.appendChild(createButton('Clear', () => clearProcess(processInfo)));
+    }
+    row.appendChild(actions);
+    return row;
+  });
+
+  elements.processRows.replaceChildren(...rows);
+  elements.processSummary.textContent = total > processes.length
+    ? `Showing the ${processes.length} most recent of ${total} processes`
+    : `${total} process${total === 1 ? '' : 'es'}`;
+}
+
+// Keep the durations of running processes ticking between refreshes
+function updateDurations() {
+  for (const row of elements.processRows.children) {
+    const processInfo = processes.find(p => p.process_id === row.dataset.processId);
+    if (processInfo && !processInfo.finished_at) {
+      row.querySelector('.duration').textContent = getDuration(processInfo);
+    }
+  }
+}
+
+async function runAction(action) {
+  try {
+    await action();
+    showMessage('');
+  } catch (error) {
+    handleError(error);
+  }
+  await refreshProcesses();
+}
+
+function killProcess(processInfo) {
+  if (!window.confirm(`Kill process ${processInfo.process_id}?\n\n${processInfo.command}`)) {
+    return;
+  }
+  runAction(() => request('DELETE', `processes/${encodeURIComponent(processInfo.process_id)}`));
+}
+
+function restartProcess(processInfo) {
+  const active = ACTIVE_STATUSES.includes(processInfo.status);
+  const prompt = active ? 'Kill and restart' : 'Run again';
+  if (!window.confirm(`${prompt} process ${processInfo.process_id}?\n\n${processInfo.command}`)) {
+    return;
+  }
+  runAction(async () => {
+    const id = encodeURIComponent(processInfo.process_id);
+    if (active) {
+      await request('DELETE', `processes/${id}`);
+    }
+    const body = await request('POST', `processes/${id}/restart`);
+    openLog({ process_id: body.process_id, command: processInfo.command });
+  });
+}
+
+function clearProcess(processInfo) {
+  if (logStream && logStream.processId === processInfo.process_id) {
+    closeLog();
+  }
+  runAction(() => request('POST', `processes/${encodeURIComponent(processInfo.process_id)}/clear`));
+}
+
+function clearFinished() {
+  const scope = elements.allSessions.checked ? ' of all sessions' : '';
+  if (!window.confirm(`Clear all finished processes${scope}?`)) {
+    return;
+  }
+  runAction(() => request('POST', 'processes/clear', {
+    all_sessions: elements.allSessions.checked ? 'true' : undefined,
+  }));
+}
+
+// Log view
+
+/**
+ * Tail the output of a process through the SSE route. EventSource cannot send the
+ * API key header, so the stream is read with fetch and parsed here.
+ */
+async function openLog(processInfo) {
+  closeLog();
+  const controller = new AbortController();
+  logStream = { processId: processInfo.process_id, controller };
+
+  elements.logPanel.hidden = false;
+  elements.logTitle.textContent = `${processInfo.process_id} — ${processInfo.command}`;
+  elements.logOutput.replaceChildren();
+  elements.logStatus.textContent = 'Connecting...';
+  for (const row of elements.processRows.children) {
+    row.classList.toggle('selected', row.dataset.processId === processInfo.process_id);
+  }
+
+  const url = new URL(`processes/${encodeURIComponent(processInfo.process_id)}/stream`, API_BASE);
+  url.searchParams.set('tail', '200');
+  const headers = { Accept: 'text/event-stream' };
+  if (getApiKey()) {
+    headers['X-API-Key'] = getApiKey();
+  }
+
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      elements.logStatus.textContent = body.error || `${response.status} ${response.statusText}`;
+      return;
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let pending = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      pending += value;
+      const events = pending.split('\n\n');
+      pending = events.pop();
+      events.forEach(handleLogEvent);
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      elements.logStatus.textContent = `Stream interrupted: ${error.message}`;
+    }
+  }
+}
+
+function handleLogEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event: ')) {
+      event = line.slice(7);
+    } else if (line.startsWith('data: ')) {
+      data.push(line.slice(6));
+    }
+  }
+  if (data.length === 0) {
+    return;
+  }
+  const payload = JSON.parse(data.join('\n'));
+
+  if (event === 'process') {
+    elements.logStatus.textContent = `${payload.status}, pid ${payload.pid === null ? '-' : payload.pid}`;
+  } else if (event === 'stdout' || event === 'stderr') {
+    appendLog(event, payload.text);
+  } else if (event === 'exit') {
+    const exitCode = payload.exit_code === null ? '' : ` with exit code ${payload.exit_code}`;
+    elements.logStatus.textContent = `${payload.status}${exitCode}${payload.error ? `: ${payload.error}` : ''}`;
+  }
+}
+
+function appendLog(stream, text) {
+  const output = elements.logOutput;
+  const span = document.createElement('span');
+  span.className = stream;
+  span.textContent = text;
+  output.appendChild(span);
+
+  let length = output.textContent.length;
+  while (length > MAX_LOG_LENGTH && output.firstChild) {
+    length -= output.firstChild.textContent.length;
+    output.removeChild(output.firstChild);
+  }
+  if (elements.logFollow.checked) {
+    output.scrollTop = output.scrollHeight;
+  }
+}
+
+function closeLog() {
+  if (logStream) {
+    logStream.controller.abort();
+    logStream = null;
+  }
+  elements.logPanel.hidden = true;
+  for (const row of elements.processRows.children) {
+    row.classList.remove('selected');
+  }
+}
+
+// Sessions
+
+async function refreshSessions() {
+  try {
+    const body = await request('GET', 'sessions');
+    const rows = body.sessions.map((session) => {
+      const row = document.createElement('tr');
+      const client = session.client ? `${session.client.name} ${session.client.version}` : '';
+      row.appendChild(createCell(session.session_id, 'command'));
+      row.appendChild(createCell(client));
+      row.appendChild(createCell(session.api_key === null ? '' : `${session.api_key}${session.admin ? ' (admin)' : ''}`));
+      row.appendChild(createCell(formatTime(session.created_at)));
+      row.appendChild(createCell(formatTime(session.last_activity_at)));
+      row.appendChild(createCell(session.running_processes));
+      row.appendChild(createCell(session.shells));
+      return row;
+    });
+    elements.sessionRows.replaceChildren(...rows);
+    elements.sessionSummary.textContent = `${body.total} connected session${body.total === 1 ? '' : 's'}`;
+  } catch (error) {
+    elements.sessionRows.replaceChildren();
+    elements.sessionSummary.textContent = error.status === 403
+      ? 'Listing MCP sessions requires an admin API key.'
+      : `Sessions unavailable: ${error.message}`;
+  }
+}
+
+// Setup
+
+function refreshAll() {
+  refreshProcesses();
+  refreshSessions();
+}
+
+function init() {
+  Object.assign(elements, {
+    message: $('message'),
+    apiKey: $('api-key'),
+    statusFilter: $('status-filter'),
+    allSessions: $('all-sessions'),
+    processRows: $('process-rows'),
+    processSummary: $('process-summary'),
+    logPanel: $('log-panel'),
+    logTitle: $('log-title'),
+    logOutput: $('log-output'),
+    logStatus: $('log-status'),
+    logFollow: $('log-follow'),
+    sessionRows: $('session-rows'),
+    sessionSummary: $('session-summary'),
+  });
+
+  $('key-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    window.sessionStorage.setItem(API_KEY_STORAGE, elements.apiKey.value.trim());
+    elements.apiKey.value = '';
+    closeLog();
+    refreshAll();
+  });
+  $('forget-key').addEventListener('click', () => {
+    window.sessionStorage.removeItem(API_KEY_STORAGE);
+    closeLog();
+    refreshAll();
+  });
+  elements.statusFilter.addEventListener('change', refreshProcesses);
+  elements.allSessions.addEventListener('change', refreshProcesses);
+  $('clear-finished').addEventListener('click', clearFinished);
+  $('log-close').addEventListener('click', closeLog);
+
+  refreshAll();
+  setInterval(refreshProcesses, PROCESS_REFRESH_INTERVAL);
+  setInterval(refreshSessions, SESSION_REFRESH_INTERVAL);
+  setInterval(updateDurations, 1000);
+}
+
+document.addEventListener('DOMContentLoaded', init);
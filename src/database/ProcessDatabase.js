@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', '..', 'data', 'processes.db');
+
+// Columns stored as JSON text or integer flags, converted on read/write
+const JSON_COLUMNS = ['args', 'pty', 'limits'];
+const BOOLEAN_COLUMNS = ['timed_out'];
+// Columns added to the processes table after its first release, with their definitions
+const ADDED_COLUMNS = {
+  stdout_bytes: 'INTEGER DEFAULT 0',
+  stderr_bytes: 'INTEGER DEFAULT 0',
+  session_id: 'TEXT',
+  limits: 'TEXT',
+  limit_exceeded: 'TEXT',
+  schedule_id: 'TEXT',
+  attempt: 'INTEGER DEFAULT 1',
+  max_attempts: 'INTEGER DEFAULT 1',
+  previous_attempt_id: 'TEXT',
+  next_attempt_id: 'TEXT',
+  executor: 'TEXT',
+};
+
+/**
+ * SQLite-backed history of every command run by the server
+ */
+class ProcessDatabase {
+  /**
+   * @param {string} filename - Database file path (default: DATABASE_PATH env or data/processes.db)
+   */
+  constructor(filename = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH) {
+    this.filename = filename;
+    this.ready = this.open();
+  }
+
+  async open() {
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.filename, (error) => (error ? reject(error) : resolve(db)));
+    });
+    // Statements run in the order they are issued; otherwise the write made when a
+    // process starts can land after the one made when it finishes
+    this.db.serialize();
+
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS processes (
+        id TEXT PRIMARY KEY,
+        mode TEXT NOT NULL,
+        session_id TEXT,
+        pid INTEGER,
+        command TEXT NOT NULL,
+        args TEXT,
+        cwd TEXT,
+        shell TEXT,
+        pty TEXT,
+        executor TEXT,
+        limits TEXT,
+        limit_exceeded TEXT,
+        schedule_id TEXT,
+        attempt INTEGER DEFAULT 1,
+        max_attempts INTEGER DEFAULT 1,
+        previous_attempt_id TEXT,
+        next_attempt_id TEXT,
+        status TEXT NOT NULL,
+        exit_code INTEGER,
+        error TEXT,
+        stdout TEXT,
+        stderr TEXT,
+        stdout_bytes INTEGER DEFAULT 0,
+        stderr_bytes INTEGER DEFAULT 0,
+        timed_out INTEGER DEFAULT 0,
+        started_at TEXT NOT NULL,
+        finished_at TEXT
+      )
+    `);
+    await this.migrate();
+    await this.run('CREATE INDEX IF NOT EXISTS idx_processes_started_at ON processes (started_at)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_processes_status ON processes (status)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_processes_session_id ON processes (session_id)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_processes_schedule_id ON processes (schedule_id)');
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schedules (
+        id TEXT PRIMARY KEY,
+        session_id TEXT,
+        name TEXT,
+        command TEXT NOT NULL,
+        cron TEXT,
+        interval_ms INTEGER,
+        timeout INTEGER DEFAULT 0,
+        options TEXT,
+        skip_if_running INTEGER DEFAULT 1,
+        run_count INTEGER DEFAULT 0,
+        skipped_runs INTEGER DEFAULT 0,
+        last_run_at TEXT,
+        last_process_id TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    console.log('[Database] Process history stored in', this.filename);
+  }
+
+  /**
+   * Add columns introduced after the table was first created
+   */
+  async migrate() {
+    const columns = (await this.all('PRAGMA table_info(processes)')).map(column => column.name);
+    for (const [name, definition] of Object.entries(ADDED_COLUMNS)) {
+      if (!columns.includes(name)) {
+        await this.run(`ALTER TABLE processes ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (error) {
+        if (error) reject(error);
+        else resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Mark processes left running or queued by a previous server instance as orphaned
+   * @returns {number} Number of orphaned processes
+   */
+  async markOrphaned() {
+    await this.ready;
+    const result = await this.run(
+      "UPDATE processes SET status = 'orphaned', finished_at = ? WHERE status IN ('running', 'queued')",
+      [new Date().toISOString()]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Insert or update a process record
+   * @param {Object} processInfo - Process record as tracked by CommandRunner
+   */
+  async saveProcess(processInfo) {
+    await this.ready;
+    await this.run(
+      `INSERT INTO processes
+        (id, mode, session_id, pid, command, args, cwd, shell, pty, executor, limits, limit_exceeded,
+         schedule_id, attempt, max_attempts, previous_attempt_id, next_attempt_id, status, exit_code, error,
+         stdout, stderr, stdout_bytes, stderr_bytes, timed_out, started_at, finished_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+        pid = excluded.pid,
+        limit_exceeded = excluded.limit_exceeded,
+        next_attempt_id = excluded.next_attempt_id,
+        status = excluded.status,
+        exit_code = excluded.exit_code,
+        error = excluded.error,
+        stdout = excluded.stdout,
+        stderr = excluded.stderr,
+        stdout_bytes = excluded.stdout_bytes,
+        stderr_bytes = excluded.stderr_bytes,
+        timed_out = excluded.timed_out,
+        pty = excluded.pty,
+        started_at = excluded.started_at,
+        finished_at = excluded.finished_at`,
+      [
+        processInfo.id,
+        processInfo.mode || 'async',
+        processInfo.session_id || null,
+        processInfo.pid === undefined ? null : processInfo.pid,
+        processInfo.command,
+        JSON.stringify(processInfo.args || []),
+        processInfo.cwd || null,
+        processInfo.shell || null,
+        processInfo.pty ? JSON.stringify(processInfo.pty) : null,
+        processInfo.executor || null,
+        processInfo.limits ? JSON.stringify(processInfo.limits) : null,
+        processInfo.limit_exceeded || null,
+        processInfo.schedule_id || null,
+        processInfo.attempt || 1,
+        processInfo.max_attempts || 1,
+        processInfo.previous_attempt_id || null,
+        processInfo.next_attempt_id || null,
+        processInfo.status,
+        processInfo.exit_code,
+        processInfo.error,
+        processInfo.stdout,
+        processInfo.stderr,
+        processInfo.stdout_bytes || 0,
+        processInfo.stderr_bytes || 0,
+        processInfo.timed_out ? 1 : 0,
+        processInfo.started_at,
+        processInfo.finished_at,
+      ]
+    );
+  }
+
+  /**
+   * Get a single process record, including its output
+   */
+  async getProcess(processId) {
+    await this.ready;
+    const row = await this.get('SELECT * FROM processes WHERE id = ?', [processId]);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List process records, newest first
+   * @param {Object} filters - { status, command, since, until, session_id, schedule_id, limit, offset }
+   * @returns {{ total: number, processes: Object[] }} Matching records without their output
+   */
+  async listProcesses(filters = {}) {
+    await this.ready;
+
+    const conditions = [];
+    const params = [];
+    if (filters.session_id) {
+      conditions.push('session_id = ?');
+      params.push(filters.session_id);
+    }
+    if (filters.schedule_id) {
+      conditions.push('schedule_id = ?');
+      params.push(filters.schedule_id);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.command) {
+      conditions.push("command LIKE ? ESCAPE '\\'");
+      params.push(`%${filters.command.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    if (filters.since) {
+      conditions.push('started_at >= ?');
+      params.push(filters.since);
+    }
+    if (filters.until) {
+      conditions.push('started_at <= ?');
+      params.push(filters.until);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const { total } = await this.get(`SELECT COUNT(*) AS total FROM processes ${where}`, params);
+    const rows = await this.all(
+      `SELECT id, mode, session_id, pid, command, args, cwd, shell, pty, executor, schedule_id, attempt, max_attempts,
+        previous_attempt_id, next_attempt_id, status, exit_code, error, timed_out, started_at, finished_at
+       FROM processes ${where} ORDER BY started_at DESC LIMIT ? OFFSET ?`,
+      [...params, filters.limit, filters.offset || 0]
+    );
+
+    return { total, processes: rows.map(row => this.fromRow(row)) };
+  }
+
+  /**
+   * Delete process records
+   * @param {string[]} processIds - IDs to delete
+   */
+  async deleteProcesses(processIds) {
+    await this.ready;
+    if (processIds.length === 0) {
+      return 0;
+    }
+    const placeholders = processIds.map(() => '?').join(', ');
+    const result = await this.run(`DELETE FROM processes WHERE id IN (${placeholders})`, processIds);
+    return result.changes;
+  }
+
+  /**
+   * Delete all records that are not running or queued
+   * @param {string} [sessionId] - Only delete records of this MCP session
+   * @returns {string[]} IDs of the deleted records
+   */
+  async deleteFinishedProcesses(sessionId) {
+    await this.ready;
+    let where = "WHERE status NOT IN ('running', 'queued')";
+    const params = [];
+    if (sessionId) {
+      where += ' AND session_id = ?';
+      params.push(sessionId);
+    }
+    const rows = await this.all(`SELECT id FROM processes ${where}`, params);
+    await this.run(`DELETE FROM processes ${where}`, params);
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Insert or update a schedule of recurring commands
+   * @param {Object} schedule - Schedule as tracked by the Scheduler
+   */
+  async saveSchedule(schedule) {
+    await this.ready;
+    // Environment values often hold secrets, so only their names are stored
+    const { env, ...options } = schedule.options || {};
+    if (env && Object.keys(env).length > 0) {
+      options.env_names = Object.keys(env);
+    }
+    await this.run(
+      `INSERT OR REPLACE INTO schedules
+        (id, session_id, name, command, cron, interval_ms, timeout, options, skip_if_running,
+         run_count, skipped_runs, last_run_at, last_process_id, last_error, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        schedule.id,
+        schedule.session_id || null,
+        schedule.name || null,
+        schedule.command,
+        schedule.cron || null,
+        schedule.interval_ms || null,
+        schedule.timeout || 0,
+        JSON.stringify(options),
+        schedule.skip_if_running ? 1 : 0,
+        schedule.run_count,
+        schedule.skipped_runs,
+        schedule.last_run_at,
+        schedule.last_process_id,
+        schedule.last_error,
+        schedule.created_at,
+      ]
+    );
+  }
+
+  /**
+   * All stored schedules, oldest first
+   */
+  async listSchedules() {
+    await this.ready;
+    const rows = await this.all('SELECT * FROM schedules ORDER BY created_at');
+    return rows.map(row => ({
+      ...row,
+      options: row.options ? JSON.parse(row.options) : {},
+      skip_if_running: Boolean(row.skip_if_running),
+    }));
+  }
+
+  async deleteSchedule(scheduleId) {
+    await this.ready;
+    const result = await this.run('DELETE FROM schedules WHERE id = ?', [scheduleId]);
+    return result.changes;
+  }
+
+  fromRow(row) {
+    const record = { ...row };
+    for (const column of JSON_COLUMNS) {
+      if (column in record) {
+        record[column] = record[column] ? JSON.parse(record[column]) : undefined;
+      }
+    }
+    for (const column of BOOLEAN_COLUMNS) {
+      if (column in record) {
+        record[column] = Boolean(record[column]);
+      }
+    }
+    return record;
+  }
+
+  async close() {
+    try {
+      await this.ready;
+    } catch (error) {
+      return;
+    }
+    await new Promise((resolve) => this.db.close(() => resolve()));
+  }
+}
+
+module.exports = {
+  ProcessDatabase,
+};
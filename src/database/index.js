@@ -0,0 +1,5 @@
+const { ProcessDatabase } = require('./ProcessDatabase');
+
+module.exports = {
+  ProcessDatabase,
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Runs commands directly on the host, as spawned by CommandRunner. This is the
+ * default executor and the reference for the executor interface:
+ * - name: identifier clients pass as `executor`
+ * - unavailableReason(): why commands cannot run with this executor here, or null
+ * - resolveOptions(requested, { enforced }): validate the per-call options of the executor,
+ *   returning { options } or { error }. enforced is set when the executor is the server
+ *   default, so calls may not relax its configuration.
+ * - wrap(resolved, options): turn a resolved command (see CommandRunner.resolveSpawnOptions)
+ *   into the command actually spawned
+ */
+class LocalExecutor {
+  constructor() {
+    this.name = 'local';
+  }
+
+  unavailableReason() {
+    return null;
+  }
+
+  resolveOptions(requested) {
+    if (requested !== undefined && requested !== null) {
+      return { error: 'sandbox options require executor "sandbox"' };
+    }
+    return { options: {} };
+  }
+
+  wrap(resolved) {
+    return resolved;
+  }
+}
+
+module.exports = {
+  LocalExecutor,
+};
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+
+const BACKENDS = ['auto', 'bwrap', 'unshare'];
+// Programs each backend needs on the PATH
+const BACKEND_EXECUTABLES = {
+  bwrap: ['bwrap'],
+  unshare: ['unshare', 'setpriv'],
+};
+// Writable directories are passed to the unshare setup script as file descriptors 3-9
+const MAX_WRITABLE_PATHS = 7;
+// Exit code of a sandbox that could not be set up, as for a command that cannot run
+const SETUP_FAILED_EXIT_CODE = 126;
+
+// Run by `unshare` as PID 1 of the new namespaces: $1 is the working directory, $2 the
+// number of writable directories, then the directories, the number of read-only paths
+// inside them, those paths and the command. The writable directories are opened before
+// the private /tmp is mounted, so those inside /tmp can still be bind-mounted from their
+// descriptors afterwards. The command runs without
+// capabilities, so it cannot remount the root read-write, and as a child rather than
+// PID 1, which ignores signals it has no handler for: signals sent to the process
+// group reach it as they would outside the sandbox.
+const UNSHARE_SETUP_SCRIPT = `
+cwd=$1
+count=$2
+shift 2
+fd=3
+while [ "$count" -gt 0 ]; do
+  eval "exec $fd<\\"\\$1\\"" || exit ${SETUP_FAILED_EXIT_CODE}
+  eval "dir_$fd=\\$1"
+  fd=$((fd + 1))
+  count=$((count - 1))
+  shift
+done
+readonly_count=$1
+shift
+j=0
+while [ "$j" -lt "$readonly_count" ]; do
+  eval "readonly_$j=\\$1"
+  j=$((j + 1))
+  shift
+done
+while read -r _ _ _ _ target _; do
+  case "$target" in
+    /proc|/proc/*|/dev|/dev/*|/sys|/sys/*) ;;
+    *) mount -o remount,bind,ro "$target" 2>/dev/null ;;
+  esac
+done < /proc/self/mountinfo
+mount -t tmpfs -o mode=1777 tmpfs /tmp || exit ${SETUP_FAILED_EXIT_CODE}
+i=3
+while [ "$i" -lt "$fd" ]; do
+  eval "dir=\\$dir_$i"
+  mkdir -p "$dir" 2>/dev/null
+  mount -c --bind "/proc/self/fd/$i" "$dir" && mount -o remount,bind,rw "$dir" || exit ${SETUP_FAILED_EXIT_CODE}
+  eval "exec $i<&-"
+  i=$((i + 1))
+done
+j=0
+while [ "$j" -lt "$readonly_count" ]; do
+  eval "target=\\$readonly_$j"
+  mount --bind "$target" "$target" && mount -o remount,bind,ro "$target" || exit ${SETUP_FAILED_EXIT_CODE}
+  j=$((j + 1))
+done
+cd "$cwd" 2>/dev/null || { echo "sandbox: working directory is not available: $cwd" >&2; exit ${SETUP_FAILED_EXIT_CODE}; }
+setpriv --no-new-privs --inh-caps=-all --ambient-caps=-all --bounding-set=-all -- "$@"
+exit $?
+`;
+
+/**
+ * Runs commands in Linux namespaces with a read-only root filesystem, a private
+ * /tmp, writable project directories, their own PID namespace, no capabilities
+ * and, unless allowed, no network access. Server files inside the writable
+ * directories (see protect) stay read-only. Uses bubblewrap (bwrap) when installed,
+ * or util-linux `unshare` and `setpriv`.
+ * See LocalExecutor for the executor interface.
+ */
+class SandboxExecutor {
+  /**
+   * @param {Object} options
+   * @param {string} [options.backend] - "auto" (bwrap, else unshare), "bwrap" or "unshare" (default: auto)
+   * @param {string} [options.project_dir] - Writable project directory (default: the server working directory)
+   * @param {string[]} [options.writable_paths] - Further writable directories
+   * @param {boolean} [options.network] - Allow network access (default: false)
+   */
+  constructor(options = {}) {
+    this.name = 'sandbox';
+
+    const backend = options.backend || 'auto';
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown sandbox backend: ${backend}. Use one of: ${BACKENDS.join(', ')}`);
+    }
+    this.network = options.network === true;
+
+    this.writablePaths = [];
+    for (const dir of [options.project_dir || process.cwd(), ...(options.writable_paths || [])]) {
+      const resolved = path.resolve(dir);
+      let stat;
+      try {
+        stat = fs.statSync(resolved);
+      } catch (error) {
+        throw new Error(`Sandbox writable directory does not exist: ${resolved}`);
+      }
+      if (!stat.isDirectory()) {
+        throw new Error(`Sandbox writable path is not a directory: ${resolved}`);
+      }
+      if (!this.writablePaths.includes(resolved)) {
+        this.writablePaths.push(resolved);
+      }
+    }
+    if (this.writablePaths.length > MAX_WRITABLE_PATHS) {
+      throw new Error(`At most ${MAX_WRITABLE_PATHS} sandbox writable directories are supported`);
+    }
+    // Server files inside the writable directories, bound read-only
+    this.readOnlyPaths = [];
+
+    if (process.platform !== 'linux') {
+      this.backend = null;
+      this.unavailable = 'the sandbox executor requires Linux';
+    } else if (this.writablePaths.includes(path.parse(this.writablePaths[0]).root)) {
+      // A server started from / would otherwise leave the whole filesystem writable
+      this.backend = null;
+      this.unavailable = 'the root directory cannot be writable; set SANDBOX_PROJECT_DIR';
+    } else {
+      const candidates = backend === 'auto' ? ['bwrap', 'unshare'] : [backend];
+      this.backend = candidates.find(name => BACKEND_EXECUTABLES[name].every(findExecutable)) || null;
+      this.unavailable = this.backend
+        ? null
+        : `${candidates.map(name => BACKEND_EXECUTABLES[name].join(' and ')).join(' or ')} is not installed`;
+    }
+  }
+
+  /**
+   * Create the sandbox configured by SANDBOX_BACKEND, SANDBOX_PROJECT_DIR,
+   * SANDBOX_WRITABLE_PATHS and SANDBOX_NETWORK
+   */
+  static fromEnvironment() {
+    const writablePaths = process.env.SANDBOX_WRITABLE_PATHS
+      ? process.env.SANDBOX_WRITABLE_PATHS.split(',').map(dir => dir.trim()).filter(Boolean)
+      : [];
+
+    return new SandboxExecutor({
+      backend: process.env.SANDBOX_BACKEND || 'auto',
+      project_dir: process.env.SANDBOX_PROJECT_DIR || undefined,
+      writable_paths: writablePaths,
+      network: process.env.SANDBOX_NETWORK === 'true',
+    });
+  }
+
+  unavailableReason() {
+    return this.unavailable;
+  }
+
+  /**
+   * Keep server files out of reach of sandboxed commands: those inside a writable
+   * directory are bound read-only, and a writable directory inside server data makes
+   * the sandbox unavailable. Paths that do not exist are skipped, so create directories first.
+   * @param {string[]} paths - Directories and files of the server (history, logs, audit log, tasks, policy, keys)
+   */
+  protect(paths) {
+    for (const resolved of paths.map(item => path.resolve(item))) {
+      if (!fs.existsSync(resolved)) {
+        continue;
+      }
+      const inside = this.writablePaths.find(dir => isWithin(dir, resolved));
+      if (inside && !this.unavailable) {
+        this.backend = null;
+        this.unavailable = `the writable directory ${inside} is inside server data (${resolved}); set SANDBOX_PROJECT_DIR to another directory`;
+      } else if (this.writablePaths.some(dir => isWithin(resolved, dir)) && !this.readOnlyPaths.includes(resolved)) {
+        this.readOnlyPaths.push(resolved);
+      }
+    }
+  }
+
+  /**
+   * Whether sandboxed commands can write to a path
+   */
+  isWritable(target) {
+    const resolved = path.resolve(target);
+    return this.writablePaths.some(dir => isWithin(resolved, dir))
+      && !this.readOnlyPaths.some(item => isWithin(resolved, item));
+  }
+
+  /**
+   * @param {Object} [requested] - { network: allow network access for this command }
+   * @param {Object} context - { enforced: the sandbox is the server default, cwd: working directory }
+   * @returns {{ options: Object } | { error: string }}
+   */
+  resolveOptions(requested, context = {}) {
+    if (requested !== undefined && requested !== null && (typeof requested !== 'object' || Array.isArray(requested))) {
+      return { error: 'sandbox must be an object' };
+    }
+    for (const name of Object.keys(requested || {})) {
+      if (name !== 'network') {
+        return { error: `Unknown sandbox option: ${name}. Use: network` };
+      }
+    }
+
+    let network = this.network;
+    if (requested && requested.network !== undefined) {
+      if (typeof requested.network !== 'boolean') {
+        return { error: 'sandbox.network must be a boolean' };
+      }
+      if (requested.network && !this.network && context.enforced) {
+        return { error: 'Network access is disabled in the sandbox by the server configuration' };
+      }
+      network = requested.network;
+    }
+
+    // The private /tmp hides everything under /tmp but the writable directories
+    const cwd = path.resolve(context.cwd || process.cwd());
+    const writable = this.writablePaths.some(dir => cwd === dir || cwd.startsWith(dir + path.sep));
+    if (!writable && (cwd === '/tmp' || cwd.startsWith('/tmp/'))) {
+      return { error: `cwd is not available in the sandbox, which has a private /tmp: ${cwd}` };
+    }
+
+    return { options: { network } };
+  }
+
+  /**
+   * @param {Object} resolved - Resolved command, see CommandRunner.resolveSpawnOptions
+   * @param {Object} options - From resolveOptions
+   */
+  wrap(resolved, options) {
+    let argv;
+    if (resolved.shell === 'none') {
+      argv = [resolved.file, ...resolved.args];
+    } else {
+      argv = [resolved.shell === 'default' ? '/bin/sh' : resolved.shell, '-c', resolved.file];
+    }
+    const cwd = resolved.spawnOptions.cwd || process.cwd();
+
+    let file;
+    let args;
+    if (this.backend === 'bwrap') {
+      file = 'bwrap';
+      args = [
+        '--ro-bind', '/', '/',
+        '--dev', '/dev',
+        '--proc', '/proc',
+        '--tmpfs', '/tmp',
+        ...this.writablePaths.flatMap(dir => ['--bind', dir, dir]),
+        ...this.readOnlyPaths.flatMap(item => ['--ro-bind', item, item]),
+        '--unshare-pid',
+        '--unshare-ipc',
+        ...(options.network ? [] : ['--unshare-net']),
+        // bwrap keeps every capability when the server runs as root
+        '--cap-drop', 'ALL',
+        '--die-with-parent',
+        '--chdir', cwd,
+        '--',
+        ...argv,
+      ];
+    } else {
+      file = 'unshare';
+      args = [
+        '--mount',
+        '--ipc',
+        '--pid',
+        '--mount-proc',
+        // The setup script is the forked PID 1; it dies with unshare, and the namespace with it
+        '--kill-child',
+        ...(options.network ? [] : ['--net']),
+        // Unprivileged servers mount inside a user namespace
+        ...(process.getuid() === 0 ? [] : ['--map-root-user']),
+        '--',
+        '/bin/sh', '-c', UNSHARE_SETUP_SCRIPT, 'sandbox',
+        cwd, String(this.writablePaths.length), ...this.writablePaths,
+        String(this.readOnlyPaths.length), ...this.readOnlyPaths,
+        ...argv,
+      ];
+    }
+
+    return {
+      ...resolved,
+      file: file,
+      args: args,
+      shell: 'none',
+      spawnOptions: { ...resolved.spawnOptions, shell: false },
+    };
+  }
+}
+
+/**
+ * Whether an executable of this name is on the PATH
+ */
+function findExecutable(name) {
+  return (process.env.PATH || '').split(path.delimiter).filter(Boolean).some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, name), fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Whether a path is a directory or inside it
+ */
+function isWithin(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+module.exports = {
+  SandboxExecutor,
+};
@@ -0,0 +1,28 @@
+const { LocalExecutor } = require('./LocalExecutor');
+const { SandboxExecutor } = require('./SandboxExecutor');
+
+/**
+ * Create the executors, and pick the default one set by EXECUTOR (default: local)
+ * @returns {{ executors: Object, defaultExecutor: string }} Executors keyed by name
+ */
+function createExecutors() {
+  const executors = {
+    local: new LocalExecutor(),
+    sandbox: SandboxExecutor.fromEnvironment(),
+  };
+  const defaultExecutor = process.env.EXECUTOR || 'local';
+  if (!executors[defaultExecutor]) {
+    throw new Error(`Invalid EXECUTOR: ${defaultExecutor}. Use one of: ${Object.keys(executors).join(', ')}`);
+  }
+  const reason = executors[defaultExecutor].unavailableReason();
+  if (reason) {
+    throw new Error(`EXECUTOR is ${defaultExecutor}, but it is unavailable: ${reason}`);
+  }
+  return { executors, defaultExecutor };
+}
+
+module.exports = {
+  LocalExecutor,
+  SandboxExecutor,
+  createExecutors,
+};
@@ -0,0 +1,134 @@
+// Upper bounds in seconds of the command duration histogram buckets
+const DURATION_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60, 300, 900, 3600];
+// Statuses always reported by mcp_processes, so a series does not vanish at zero
+const PROCESS_STATUSES = [
+  'queued', 'running', 'completed', 'failed', 'killed', 'timed_out', 'resource_exceeded', 'error', 'cancelled',
+];
+// Final statuses counted as failures; killed and cancelled commands were stopped on purpose
+const FAILED_STATUSES = ['failed', 'error', 'resource_exceeded'];
+const MODES = ['sync', 'async'];
+
+/**
+ * Counts commands as the command runner starts and finishes them, and renders
+ * those counters with the current processes, sessions and output buffers in the
+ * Prometheus text exposition format.
+ */
+class Metrics {
+  /**
+   * @param {CommandRunner} commandRunner - Runner emitting 'start', 'exit', 'sync-start' and 'sync-exit' events
+   * @param {Object} options
+   * @param {Function} options.getActiveSessions - Returns the number of connected HTTP sessions
+   */
+  constructor(commandRunner, options = {}) {
+    this.commandRunner = commandRunner;
+    this.getActiveSessions = options.getActiveSessions || (() => 0);
+
+    // Counters and histogram per mode (sync for run_command, async for background processes)
+    this.started = {};
+    this.failed = {};
+    this.timedOut = {};
+    this.durations = {};
+    for (const mode of MODES) {
+      this.started[mode] = 0;
+      this.failed[mode] = 0;
+      this.timedOut[mode] = 0;
+      this.durations[mode] = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    }
+
+    commandRunner.on('start', () => this.started.async++);
+    commandRunner.on('sync-start', () => this.started.sync++);
+    commandRunner.on('exit', (processInfo) => this.recordExit('async', processInfo));
+    commandRunner.on('sync-exit', (record) => this.recordExit('sync', record));
+  }
+
+  recordExit(mode, processInfo) {
+    if (FAILED_STATUSES.includes(processInfo.status)) {
+      this.failed[mode]++;
+    } else if (processInfo.status === 'timed_out') {
+      this.timedOut[mode]++;
+    }
+
+    // Commands that never started (cancelled or timed out in the queue) have no duration
+    if (!processInfo.pid || !processInfo.started_at || !processInfo.finished_at) {
+      return;
+    }
+    const seconds = Math.max(0, (Date.parse(processInfo.finished_at) - Date.parse(processInfo.started_at)) / 1000);
+    const histogram = this.durations[mode];
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) {
+        histogram.buckets[index]++;
+      }
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  /**
+   * All metrics in the Prometheus text format (version 0.0.4)
+   */
+  render() {
+    const lines = [];
+    const add = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [suffix, labels, value] of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+      }
+    };
+
+    const statusCounts = Object.fromEntries(PROCESS_STATUSES.map(status => [status, 0]));
+    for (const processInfo of this.commandRunner.processes.values()) {
+      statusCounts[processInfo.status] = (statusCounts[processInfo.status] || 0) + 1;
+    }
+    add('mcp_processes', 'gauge', 'Background processes tracked by the server, by status.',
+      Object.entries(statusCounts).map(([status, count]) => ['', { status }, count]));
+
+    add('mcp_commands_started_total', 'counter', 'Commands spawned, by mode.',
+      MODES.map(mode => ['', { mode }, this.started[mode]]));
+    add('mcp_commands_failed_total', 'counter',
+      'Commands that exited with a non-zero code, could not be spawned or exceeded a resource limit, by mode.',
+      MODES.map(mode => ['', { mode }, this.failed[mode]]));
+    add('mcp_commands_timed_out_total', 'counter', 'Commands stopped by their timeout, by mode.',
+      MODES.map(mode => ['', { mode }, this.timedOut[mode]]));
+
+    add('mcp_command_duration_seconds', 'histogram', 'Run time of finished commands, by mode.',
+      MODES.flatMap((mode) => {
+        const histogram = this.durations[mode];
+        return [
+          ...DURATION_BUCKETS.map((bound, index) => ['_bucket', { mode, le: String(bound) }, histogram.buckets[index]]),
+          ['_bucket', { mode, le: '+Inf' }, histogram.count],
+          ['_sum', { mode }, histogram.sum],
+          ['_count', { mode }, histogram.count],
+        ];
+      }));
+
+    add('mcp_sessions_active', 'gauge', 'Connected MCP sessions of the HTTP transport.',
+      [['', {}, this.getActiveSessions()]]);
+
+    const buffered = { stdout: 0, stderr: 0 };
+    for (const buffers of this.commandRunner.outputs.values()) {
+      buffered.stdout += buffers.stdout.retainedBytes;
+      buffered.stderr += buffers.stderr.retainedBytes;
+    }
+    add('mcp_output_buffered_bytes', 'gauge', 'Bytes of process output held in memory, by stream.',
+      Object.entries(buffered).map(([stream, bytes]) => ['', { stream }, bytes]));
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Label set of a sample, e.g. {mode="sync",le="0.5"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escaped = entries.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${escaped.join(',')}}`;
+}
+
+module.exports = {
+  Metrics,
+  DURATION_BUCKETS,
+};
@@ -0,0 +1,6 @@
+const { Metrics, DURATION_BUCKETS } = require('./Metrics');
+
+module.exports = {
+  Metrics,
+  DURATION_BUCKETS,
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const { splitCommandLine, expandWrappers, getExecutableName } = require('./shell');
+
+const ACTIONS = ['allow', 'confirm', 'deny'];
+
+// Commands that are denied unless the policy sets block_dangerous: false
+const DANGEROUS_RULES = [
+  {
+    name: 'builtin:recursive-delete-root',
+    action: 'deny',
+    executable: 'rm',
+    args: ['^(-[a-zA-Z]*[rR][a-zA-Z]*|--recursive)$', '^(/\\*?|~/?|\\$HOME/?|/[^/]+/?\\*?)$'],
+    message: 'Recursive delete of the root, home or a top-level directory',
+  },
+  {
+    name: 'builtin:find-delete-root',
+    action: 'deny',
+    executable: 'find',
+    args: ['^(/|~/?|\\$HOME/?|/[^/]+/?)$', '^-delete$'],
+    message: 'Deleting what find matches under the root, home or a top-level directory',
+  },
+  {
+    name: 'builtin:format-filesystem',
+    action: 'deny',
+    executable: ['mkfs', 'mkfs.ext2', 'mkfs.ext3', 'mkfs.ext4', 'mkfs.xfs', 'mkfs.btrfs', 'mkfs.vfat', 'mkfs.fat', 'mkswap', 'wipefs', 'fdisk', 'sfdisk', 'parted'],
+    message: 'Formatting or partitioning disks',
+  },
+  {
+    name: 'builtin:raw-device-write',
+    action: 'deny',
+    pattern: '(\\bof=/dev/(sd|hd|nvme|xvd|vd|disk|mmcblk)|>\\s*/dev/(sd|hd|nvme|xvd|vd|disk|mmcblk))',
+    message: 'Writing directly to a disk device',
+  },
+  {
+    name: 'builtin:fork-bomb',
+    action: 'deny',
+    pattern: ':\\s*\\(\\s*\\)\\s*\\{[^}]*:\\s*\\|\\s*:',
+    message: 'Fork bomb',
+  },
+  {
+    name: 'builtin:power-state',
+    action: 'deny',
+    executable: ['shutdown', 'reboot', 'halt', 'poweroff', 'init'],
+    message: 'Shutting down or rebooting the machine',
+  },
+  {
+    name: 'builtin:recursive-chmod-root',
+    action: 'deny',
+    executable: ['chmod', 'chown'],
+    args: ['^(-[a-zA-Z]*R[a-zA-Z]*|--recursive)$', '^/$'],
+    message: 'Recursive permission change of the root directory',
+  },
+];
+
+/**
+ * Rules deciding which commands MCP clients may run.
+ *
+ * A command line is split into the simple commands it runs. Each one is matched
+ * against the rules in order and gets the action of the first matching rule, or
+ * the default action. The most restrictive action wins (deny > confirm > allow).
+ */
+class CommandPolicy {
+  /**
+   * @param {Object} config - Policy configuration
+   * @param {string} [config.default_action] - Action when no rule matches (default: allow)
+   * @param {boolean} [config.block_dangerous] - Deny built-in dangerous commands (default: true)
+   * @param {string[]} [config.allowed_cwd_roots] - Directories commands may run in (default: anywhere)
+   * @param {number} [config.max_timeout_ms] - Upper bound for command timeouts (default: none)
+   * @param {Object[]} [config.rules] - Rules: { name, action, executable, pattern, args, message }
+   * @param {string} [source] - Where the configuration was loaded from, for messages
+   */
+  constructor(config = {}, source = 'default policy') {
+    this.source = source;
+    this.defaultAction = config.default_action || 'allow';
+    if (!ACTIONS.includes(this.defaultAction)) {
+      throw new Error(`Invalid policy: default_action must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    if (config.max_timeout_ms !== undefined && (!Number.isInteger(config.max_timeout_ms) || config.max_timeout_ms <= 0)) {
+      throw new Error('Invalid policy: max_timeout_ms must be a positive integer');
+    }
+    this.maxTimeout = config.max_timeout_ms || null;
+
+    if (config.allowed_cwd_roots !== undefined && !Array.isArray(config.allowed_cwd_roots)) {
+      throw new Error('Invalid policy: allowed_cwd_roots must be a list of directories');
+    }
+    this.allowedCwdRoots = (config.allowed_cwd_roots || []).map(root => realpath(path.resolve(root)));
+
+    if (config.rules !== undefined && !Array.isArray(config.rules)) {
+      throw new Error('Invalid policy: rules must be a list');
+    }
+    const rules = (config.rules || []).map((rule, index) => compileRule(rule, `rule ${index + 1}`));
+    const builtins = config.block_dangerous === false ? [] : DANGEROUS_RULES.map(rule => compileRule(rule));
+    this.rules = [...builtins, ...rules];
+  }
+
+  /**
+   * Load a policy from a JSON or YAML file
+   */
+  static load(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const config = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+    return new CommandPolicy(config || {}, filePath);
+  }
+
+  /**
+   * Load the policy named by the POLICY_FILE environment variable, or the default policy
+   */
+  static fromEnvironment() {
+    const filePath = process.env.POLICY_FILE;
+    if (!filePath) {
+      return new CommandPolicy();
+    }
+    const policy = CommandPolicy.load(path.resolve(filePath));
+    console.log(`[MCP Server] Loaded command policy from ${filePath} (${policy.rules.length} rules)`);
+    return policy;
+  }
+
+  /**
+   * Decide whether a command may run
+   * @param {Object} request - { command, args, shell, cwd, timeout }
+   * @returns {Object} Decision: { action, allowed, rule, reason, segment, timeout, timeout_capped, segments }
+   */
+  evaluate(request) {
+    const { command, args, shell, timeout } = request;
+    const cwd = realpath(path.resolve(request.cwd || process.cwd()));
+
+    const decision = {
+      action: 'allow',
+      allowed: true,
+      rule: null,
+      reason: null,
+      segment: null,
+      timeout: timeout,
+      timeout_capped: false,
+      segments: [],
+    };
+
+    if (this.maxTimeout && (!timeout || timeout > this.maxTimeout)) {
+      decision.timeout = this.maxTimeout;
+      decision.timeout_capped = true;
+    }
+
+    if (this.allowedCwdRoots.length > 0 && !this.allowedCwdRoots.some(root => isWithin(cwd, root))) {
+      return {
+        ...decision,
+        action: 'deny',
+        allowed: false,
+        rule: 'allowed_cwd_roots',
+        reason: `Working directory ${cwd} is outside the allowed roots: ${this.allowedCwdRoots.join(', ')}`,
+      };
+    }
+
+    const directExecution = (Array.isArray(args) && args.length > 0) || shell === 'none';
+    const commandLine = directExecution ? [command, ...(args || [])].join(' ') : command;
+    const segments = directExecution
+      ? expandWrappers({ text: commandLine, argv: [command, ...(args || []).map(String)] })
+      : splitCommandLine(command);
+
+    for (const segment of segments) {
+      const rule = this.rules.find(candidate => matchesRule(candidate, segment, commandLine));
+      const action = rule ? rule.action : this.defaultAction;
+      decision.segments.push({ command: segment.text, action, rule: rule ? rule.name : null });
+
+      if (ACTIONS.indexOf(action) > ACTIONS.indexOf(decision.action)) {
+        decision.action = action;
+        decision.rule = rule ? rule.name : 'default_action';
+        decision.segment = segment.text;
+        decision.reason = rule
+          ? (rule.message || `Matched ${rule.action} rule "${rule.name}"`)
+          : `No rule matched and the default action is ${this.defaultAction}`;
+      }
+    }
+
+    decision.allowed = decision.action === 'allow';
+    return decision;
+  }
+}
+
+function compileRule(rule, defaultName) {
+  const name = rule.name || defaultName;
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`Invalid policy rule "${name}": action must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (rule.executable === undefined && rule.pattern === undefined && rule.args === undefined) {
+    throw new Error(`Invalid policy rule "${name}": set at least one of executable, pattern or args`);
+  }
+
+  try {
+    return {
+      name: name,
+      action: rule.action,
+      message: rule.message,
+      executables: rule.executable === undefined ? null : [].concat(rule.executable).map(getExecutableName),
+      pattern: rule.pattern === undefined ? null : new RegExp(rule.pattern),
+      args: rule.args === undefined ? null : [].concat(rule.args).map(arg => new RegExp(arg)),
+    };
+  } catch (error) {
+    throw new Error(`Invalid policy rule "${name}": ${error.message}`);
+  }
+}
+
+/**
+ * A rule matches a simple command when all of its conditions hold: the
+ * executable is listed, the full command line matches the pattern, and every
+ * argument regex matches at least one argument.
+ */
+function matchesRule(rule, segment, commandLine) {
+  if (rule.executables && !rule.executables.includes(getExecutableName(segment.argv[0]))) {
+    return false;
+  }
+  if (rule.pattern && !rule.pattern.test(commandLine)) {
+    return false;
+  }
+  if (rule.args) {
+    const segmentArgs = segment.argv.slice(1);
+    return rule.args.every(regex => segmentArgs.some(arg => regex.test(arg)));
+  }
+  return true;
+}
+
+function realpath(target) {
+  try {
+    return fs.realpathSync(target);
+  } catch (error) {
+    return target;
+  }
+}
+
+function isWithin(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+module.exports = {
+  CommandPolicy,
+};
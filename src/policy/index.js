@@ -0,0 +1,5 @@
+const { CommandPolicy } = require('./CommandPolicy');
+
+module.exports = {
+  CommandPolicy,
+};
\ No newline at end of file
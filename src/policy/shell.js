@@ -0,0 +1,271 @@
+const path = require('path');
+
+// Unquoted sequences that separate simple commands in a shell command line
+const SEPARATORS = ['&&', '||', ';', '|', '&', '\n'];
+// Programs that run another command given as their arguments, with the options that take
+// a value and the number of operands before the command (the duration of timeout)
+const WRAPPERS = {
+  sudo: { options: ['-u', '-g', '-C', '-D', '-p', '-R', '-r', '-T', '-t', '-U', '--user', '--group', '--close-from', '--chdir', '--prompt', '--chroot', '--role', '--command-timeout', '--type', '--other-user'] },
+  doas: { options: ['-u', '-C'] },
+  env: { options: ['-u', '-C', '-S', '--unset', '--chdir', '--split-string'] },
+  nohup: { options: [] },
+  time: { options: ['-f', '-o', '--format', '--output'] },
+  exec: { options: ['-a'] },
+  command: { options: [] },
+  nice: { options: ['-n', '--adjustment'] },
+  timeout: { options: ['-s', '-k', '--signal', '--kill-after'], operands: 1 },
+  xargs: { options: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--eof', '--replace', '--max-lines', '--max-args', '--max-procs', '--max-chars', '--process-slot-var'] },
+  watch: { options: ['-n', '--interval'] },
+};
+// Shells whose -c argument is a command line of its own, with their options that take a value
+const SHELLS = {
+  sh: ['-o'],
+  bash: ['-o', '-O', '--rcfile', '--init-file'],
+  dash: ['-o'],
+  zsh: ['-o'],
+  ksh: ['-o'],
+  ash: ['-o'],
+};
+// Options that pass a command line to split, as the shell would, instead of a command
+const SPLIT_STRING_OPTIONS = ['-S', '--split-string'];
+const ENV_ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+/**
+ * Split a shell command line into the simple commands it runs, including those
+ * inside subshells and command substitutions.
+ * This is a best-effort parser: it understands quoting, escapes, command
+ * separators, pipes and substitutions, but not the full shell grammar.
+ * @param {string} commandLine - The command string passed to the shell
+ * @returns {Array<{ text: string, argv: string[] }>} Simple commands with their words
+ */
+function splitCommandLine(commandLine) {
+  const segments = [];
+  // Enclosing commands of open subshells/substitutions, restored when they close
+  const nesting = [];
+  let text = '';
+  let argv = [];
+  let word = null;
+  let quote = null;
+
+  const endWord = () => {
+    if (word !== null) {
+      argv.push(word);
+      word = null;
+    }
+  };
+  const endSegment = () => {
+    endWord();
+    if (argv.length > 0) {
+      segments.push({ text: text.trim(), argv });
+    }
+    text = '';
+    argv = [];
+  };
+  const open = (close, substitution = true) => {
+    nesting.push({ close, substitution, quote, text, argv, word });
+    text = '';
+    argv = [];
+    word = null;
+    quote = null;
+  };
+  const close = () => {
+    endSegment();
+    const outer = nesting.pop();
+    ({ quote, text, argv, word } = outer);
+    // The substitution's output becomes part of the enclosing word
+    if (outer.substitution) {
+      word = word || '';
+    }
+  };
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else word += char;
+      text += char;
+      continue;
+    }
+
+    if (char === '\\' && i + 1 < commandLine.length) {
+      word = (word || '') + commandLine[i + 1];
+      text += char + commandLine[i + 1];
+      i++;
+      continue;
+    }
+
+    if (commandLine.startsWith('$(', i)) {
+      open(')');
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const top = nesting[nesting.length - 1];
+      if (quote === null && top && top.close === '`') {
+        close();
+      } else {
+        open('`');
+      }
+      continue;
+    }
+
+    if (quote === '"') {
+      if (char === '"') quote = null;
+      else word = (word || '') + char;
+      text += char;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char;
+      word = word || '';
+      text += char;
+      continue;
+    }
+
+    if (char === '(') {
+      endSegment();
+      open(')', false);
+      continue;
+    }
+
+    if (char === ')') {
+      const top = nesting[nesting.length - 1];
+      if (top && top.close === ')') {
+        close();
+      } else {
+        endSegment();
+      }
+      continue;
+    }
+
+    const separator = SEPARATORS.find(candidate => commandLine.startsWith(candidate, i));
+    if (separator) {
+      endSegment();
+      i += separator.length - 1;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      endWord();
+    } else {
+      word = (word || '') + char;
+    }
+    text += char;
+  }
+  endSegment();
+
+  return segments.flatMap(expandWrappers);
+}
+
+/**
+ * Drop leading VAR=value assignments and add the commands run by wrappers like sudo
+ * or env, and by shells given a command line with -c or eval
+ */
+function expandWrappers(segment) {
+  // "//" and "/usr/.." name the root as "/" does
+  const argv = segment.argv.map(word => (word.startsWith('/') ? path.posix.normalize(word) : word));
+  while (argv.length > 1 && ENV_ASSIGNMENT.test(argv[0])) {
+    argv.shift();
+  }
+  if (ENV_ASSIGNMENT.test(argv[0])) {
+    return [];
+  }
+
+  const result = [{ text: segment.text, argv }];
+  const name = getExecutableName(argv[0]);
+  if (WRAPPERS[name]) {
+    const { index, values } = skipOptions(argv, WRAPPERS[name].options, true);
+    const start = index + (WRAPPERS[name].operands || 0);
+    const split = values.find(value => SPLIT_STRING_OPTIONS.includes(value.option));
+    if (split) {
+      // env -S "rm -rf" /: the string is split into the command and its first arguments
+      const words = argv.slice(start).map(quoteWord).join(' ');
+      result.push(...splitCommandLine(`${split.value} ${words}`));
+    } else if (start < argv.length) {
+      result.push(...expandWrappers({ text: argv.slice(start).join(' '), argv: argv.slice(start) }));
+    }
+  } else if (name === 'eval') {
+    result.push(...splitCommandLine(argv.slice(1).join(' ')));
+  } else if (SHELLS[name] || (name === 'busybox' && SHELLS[getExecutableName(argv[1])])) {
+    const shellArgv = name === 'busybox' ? argv.slice(1) : argv;
+    const { index, flags } = skipOptions(shellArgv, SHELLS[getExecutableName(shellArgv[0])], false);
+    if (flags.includes('c') && index < shellArgv.length) {
+      result.push(...splitCommandLine(shellArgv[index]));
+    }
+  }
+  return result;
+}
+
+/**
+ * Find where the command given to a wrapper or shell starts, past its options
+ * @param {string[]} argv - Wrapper or shell and its arguments
+ * @param {string[]} valueOptions - Options taking a value, e.g. "-u" of sudo
+ * @param {boolean} assignments - Whether VAR=value words before the command are skipped, as env does
+ * @returns {{ index: number, flags: string[], values: Object[] }} Index of the command, the short
+ *   flags seen, and the options with a value as { option, value }
+ */
+function skipOptions(argv, valueOptions, assignments) {
+  const flags = [];
+  const values = [];
+  let index = 1;
+  while (index < argv.length) {
+    const word = argv[index];
+    if (word === '--') {
+      index++;
+      break;
+    }
+    if (assignments && ENV_ASSIGNMENT.test(word)) {
+      index++;
+    } else if (word.startsWith('--')) {
+      const [option, value] = word.split(/=(.*)/s);
+      if (value === undefined && valueOptions.includes(option)) {
+        values.push({ option, value: argv[index + 1] || '' });
+        index += 2;
+      } else {
+        values.push({ option, value: value || '' });
+        index++;
+      }
+    } else if (word.startsWith('-') && word.length > 1) {
+      // Clustered short options: one taking a value takes the rest of the word, or the next word
+      index++;
+      for (let i = 1; i < word.length; i++) {
+        flags.push(word[i]);
+        const option = `-${word[i]}`;
+        if (valueOptions.includes(option)) {
+          const rest = word.slice(i + 1);
+          values.push({ option, value: rest || argv[index] || '' });
+          if (!rest) {
+            index++;
+          }
+          break;
+        }
+      }
+    } else {
+      break;
+    }
+  }
+  return { index, flags, values };
+}
+
+/**
+ * Quote a word so splitCommandLine reads it back as one word
+ */
+function quoteWord(word) {
+  return `'${word.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Name of an executable without its directory or Windows extension
+ */
+function getExecutableName(executable) {
+  return path.basename(executable || '').replace(/\.(exe|cmd|bat)$/i, '');
+}
+
+module.exports = {
+  splitCommandLine,
+  expandWrappers,
+  getExecutableName,
+};
@@ -0,0 +1,271 @@
+// Names of environment variables holding secrets, matched case-insensitively; * matches any text
+const DEFAULT_ENV_NAMES = [
+  '*TOKEN', '*SECRET*', '*PASSWORD*', '*PASSWD*', '*PASSPHRASE*',
+  '*API_KEY*', '*APIKEY*', '*PRIVATE_KEY*', '*ACCESS_KEY*', '*CREDENTIAL*',
+];
+// Shorter values of secret environment variables are only redacted next to their name
+const MIN_SECRET_LENGTH = 8;
+const PLACEHOLDER_PREFIX = '[REDACTED';
+
+// Secrets recognized by their format. Only the capture group named by `group` is
+// replaced when set, so the text around the secret stays readable.
+const DETECTORS = [
+  {
+    name: 'private_key',
+    // A key cut off by a head/tail read has no END line
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----|$)/gd,
+  },
+  {
+    name: 'aws_access_key',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA|AGPA|AIDA|AIPA|ANPA|ANVA|AROA|APKA|ASCA)[A-Z0-9]{16}\b/gd,
+  },
+  {
+    name: 'github_token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/gd,
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/gd,
+  },
+  {
+    name: 'authorization',
+    pattern: /\b((?:proxy-)?authorization["']?\s*[:=]\s*["']?(?:[A-Za-z]+\s+)?)([^\s"',]{8,})/gid,
+    group: 2,
+  },
+  {
+    name: 'bearer_token',
+    pattern: /\b(bearer\s+)([A-Za-z0-9._~+/-]{16,}=*)/gid,
+    group: 2,
+  },
+  {
+    name: 'url_credentials',
+    pattern: /\b([a-z][a-z0-9+.-]*:\/\/[^\s:/@"']+:)([^\s@/"']+)(?=@)/gid,
+    group: 2,
+  },
+];
+// NAME=value, NAME: value and "NAME": "value" assignments, redacted when NAME is a secret name
+const ASSIGNMENT_PATTERN = /\b([A-Za-z_][A-Za-z0-9_.-]*)(["']?[ \t]*[:=][ \t]*)(["']?)([^\s"',;}]+)/gd;
+
+/**
+ * Masks secrets in text sent to MCP clients and written to logs: tokens and keys
+ * recognized by their format, values of environment variables with secret names,
+ * and custom patterns. Matches are replaced with [REDACTED:<kind>].
+ */
+class Redactor {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.enabled] - Redact at all (default: true)
+   * @param {string[]} [options.env_names] - Secret variable names, with * wildcards (default: DEFAULT_ENV_NAMES)
+   * @param {string[]} [options.patterns] - Custom regular expressions; with a capture group only the group is redacted
+   * @param {Object} [options.env] - Environment whose secret values are redacted wherever they appear (default: process.env)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.envNames = (options.env_names || DEFAULT_ENV_NAMES).map(compileNamePattern);
+    this.detectors = [...DETECTORS];
+
+    for (const [index, source] of (options.patterns || []).entries()) {
+      let pattern;
+      try {
+        pattern = new RegExp(source, 'gd');
+      } catch (error) {
+        throw new Error(`Invalid redaction pattern ${index + 1}: ${error.message}`);
+      }
+      this.detectors.push({ name: 'custom', pattern, group: 1 });
+    }
+
+    // Longest values first, so a value containing another is replaced whole
+    this.secretValues = Object.entries(options.env || process.env)
+      .filter(([name, value]) => this.isSecretName(name) && typeof value === 'string' && value.length >= MIN_SECRET_LENGTH)
+      .sort((a, b) => b[1].length - a[1].length);
+  }
+
+  /**
+   * Create the redactor configured by REDACT_SECRETS, REDACT_ENV_NAMES and REDACT_PATTERNS
+   */
+  static fromEnvironment() {
+    let patterns = [];
+    if (process.env.REDACT_PATTERNS) {
+      try {
+        patterns = JSON.parse(process.env.REDACT_PATTERNS);
+      } catch (error) {
+        throw new Error(`Invalid REDACT_PATTERNS: ${error.message}`);
+      }
+      if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+        throw new Error('Invalid REDACT_PATTERNS: expected a JSON array of regular expressions');
+      }
+    }
+    const envNames = process.env.REDACT_ENV_NAMES
+      ? process.env.REDACT_ENV_NAMES.split(',').map(name => name.trim()).filter(Boolean)
+      : undefined;
+
+    return new Redactor({
+      enabled: process.env.REDACT_SECRETS !== 'false',
+      env_names: envNames,
+      patterns: patterns,
+    });
+  }
+
+  /**
+   * Whether an environment variable or setting with this name holds a secret
+   */
+  isSecretName(name) {
+    const normalized = name.toUpperCase().replace(/[-.]/g, '_');
+    return this.envNames.some(pattern => pattern.test(normalized));
+  }
+
+  /**
+   * @returns {{ text: string, count: number }} The text with secrets masked, and the number of secrets masked
+   */
+  redact(text) {
+    if (!this.enabled || typeof text !== 'string' || text === '') {
+      return { text, count: 0 };
+    }
+
+    let count = 0;
+    let result = text;
+    const replace = (pattern, label, group, accept) => {
+      const replaced = replaceMatches(result, pattern, label, group, accept);
+      result = replaced.text;
+      count += replaced.count;
+    };
+
+    for (const detector of this.detectors.filter(entry => entry.name !== 'custom')) {
+      replace(detector.pattern, detector.name, detector.group);
+    }
+    for (const [name, value] of this.secretValues) {
+      if (result.includes(value)) {
+        const parts = result.split(value);
+        count += parts.length - 1;
+        result = parts.join(`${PLACEHOLDER_PREFIX}:${name}]`);
+      }
+    }
+    replace(ASSIGNMENT_PATTERN, 'env', 4, match => this.isSecretName(match[1]) && !match[4].startsWith(PLACEHOLDER_PREFIX));
+    for (const detector of this.detectors.filter(entry => entry.name === 'custom')) {
+      replace(detector.pattern, detector.name, detector.group);
+    }
+
+    return { text: result, count };
+  }
+
+  /**
+   * Text with secrets masked, for log lines
+   */
+  redactText(text) {
+    return this.redact(text).text;
+  }
+
+  /**
+   * Mask secrets in every string of a JSON value. Values in `env` objects are
+   * masked whole when the variable name is a secret name.
+   * @returns {{ value: *, count: number }}
+   */
+  redactValue(value) {
+    if (!this.enabled) {
+      return { value, count: 0 };
+    }
+
+    let count = 0;
+    const walk = (item, key) => {
+      if (typeof item === 'string') {
+        const redacted = this.redact(item);
+        count += redacted.count;
+        return redacted.text;
+      }
+      if (Array.isArray(item)) {
+        return item.map(entry => walk(entry));
+      }
+      if (item && typeof item === 'object') {
+        const copy = {};
+        for (const [name, entry] of Object.entries(item)) {
+          if (key === 'env' && typeof entry === 'string' && this.isSecretName(name)) {
+            copy[name] = `${PLACEHOLDER_PREFIX}:${name}]`;
+            count++;
+          } else {
+            copy[name] = walk(entry, name);
+          }
+        }
+        return copy;
+      }
+      return item;
+    };
+
+    return { value: walk(value), count };
+  }
+
+  /**
+   * Mask secrets in a tool result. JSON results get a `redactions` count when anything was masked.
+   */
+  redactResult(result) {
+    if (!this.enabled || !result || !Array.isArray(result.content)) {
+      return result;
+    }
+
+    const content = result.content.map((item) => {
+      if (item.type !== 'text') {
+        return item;
+      }
+      let data;
+      try {
+        data = JSON.parse(item.text);
+      } catch (error) {
+        return { ...item, text: this.redactText(item.text) };
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { ...item, text: JSON.stringify(this.redactValue(data).value, null, 2) };
+      }
+      const { value, count } = this.redactValue(data);
+      if (count > 0) {
+        value.redactions = (data.redactions || 0) + count;
+      }
+      return { ...item, text: JSON.stringify(value, null, 2) };
+    });
+    return { ...result, content };
+  }
+}
+
+/**
+ * Turn a variable name with * wildcards into a regular expression
+ */
+function compileNamePattern(name) {
+  const source = name.toUpperCase().replace(/[-.]/g, '_')
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Replace the matches of a pattern, or only one capture group of them, with a placeholder
+ * @param {RegExp} pattern - Global pattern with the d flag, for the positions of capture groups
+ * @param {Function} [accept] - Decides whether a match is a secret
+ */
+function replaceMatches(text, pattern, label, group = 0, accept = null) {
+  pattern.lastIndex = 0;
+  let result = '';
+  let last = 0;
+  let count = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    if (accept && !accept(match)) {
+      continue;
+    }
+    const [start, end] = match.indices[group] || match.indices[0];
+    if (text.startsWith(PLACEHOLDER_PREFIX, start)) {
+      continue;
+    }
+    result += `${text.slice(last, start)}${PLACEHOLDER_PREFIX}:${label}]`;
+    last = end;
+    count++;
+  }
+  return { text: result + text.slice(last), count };
+}
+
+module.exports = {
+  Redactor,
+  DEFAULT_ENV_NAMES,
+};
@@ -0,0 +1,6 @@
+const { Redactor, DEFAULT_ENV_NAMES } = require('./Redactor');
+
+module.exports = {
+  Redactor,
+  DEFAULT_ENV_NAMES,
+};
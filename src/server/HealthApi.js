@@ -0,0 +1,100 @@
+const express = require('express');
+
+// Longest wait for the process history database to answer a readiness check
+const DATABASE_CHECK_TIMEOUT = 2000;
+
+/**
+ * Liveness, readiness and Prometheus metrics routes for container orchestrators and
+ * monitoring. They are not authenticated and expose no commands or output, only counts.
+ */
+class HealthApi {
+  /**
+   * @param {MCPServer} mcpServer - Server whose database, executors and metrics are reported
+   * @param {Object} options
+   * @param {boolean} [options.metrics] - Serve /metrics (default: true)
+   */
+  constructor(mcpServer, options = {}) {
+    this.mcpServer = mcpServer;
+    this.metricsEnabled = options.metrics !== false;
+    this.startedAt = Date.now();
+    this.router = this.createRouter();
+  }
+
+  createRouter() {
+    const router = express.Router();
+
+    // The process is up and serving HTTP
+    router.get('/healthz', (req, res) => {
+      res.json({ status: 'ok', uptime_seconds: Math.floor((Date.now() - this.startedAt) / 1000) });
+    });
+
+    // The server can take commands: not shutting down, history database and default executor usable
+    router.get('/readyz', (req, res) => {
+      this.checkReadiness()
+        .then(result => res.status(result.ready ? 200 : 503).json(result.body))
+        .catch((error) => {
+          console.error('[MCP Server] Error checking readiness:', error);
+          res.status(503).json({ status: 'not_ready', error: error.message });
+        });
+    });
+
+    if (this.metricsEnabled) {
+      router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(this.mcpServer.metrics.render());
+      });
+    }
+
+    return router;
+  }
+
+  /**
+   * @returns {Promise<{ ready: boolean, body: Object }>}
+   */
+  async checkReadiness() {
+    const { commandRunner } = this.mcpServer;
+    const checks = {
+      database: await checkDatabase(commandRunner.database),
+      executor: checkExecutor(commandRunner),
+    };
+    if (this.mcpServer.shuttingDown) {
+      checks.shutdown = { status: 'failed', error: 'Server is shutting down' };
+    }
+
+    const ready = Object.values(checks).every(check => check.status !== 'failed');
+    return { ready, body: { status: ready ? 'ready' : 'not_ready', checks } };
+  }
+}
+
+/**
+ * Whether the history database answers a query. A database that failed to open at
+ * startup was dropped by the command runner, which then keeps processes in memory only.
+ */
+async function checkDatabase(database) {
+  if (!database) {
+    return { status: 'ok', mode: 'memory' };
+  }
+  let timer;
+  try {
+    await Promise.race([
+      database.ready.then(() => database.get('SELECT 1')),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${DATABASE_CHECK_TIMEOUT}ms`)), DATABASE_CHECK_TIMEOUT);
+      }),
+    ]);
+    return { status: 'ok', mode: 'sqlite' };
+  } catch (error) {
+    return { status: 'failed', mode: 'sqlite', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function checkExecutor(commandRunner) {
+  const name = commandRunner.defaultExecutor;
+  const reason = commandRunner.executors[name].unavailableReason();
+  return reason ? { status: 'failed', name, error: reason } : { status: 'ok', name };
+}
+
+module.exports = {
+  HealthApi,
+};
@@ -1,40 +1,224 @@
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { CallToolRequestSchema, ListToolsRequestSchema, InitializeRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  InitializeRequestSchema,
+  SetLevelRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
+} = require('@modelcontextprotocol/sdk/types.js');
 const { randomUUID } = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 const { CommandRunner } = require('../tools/command');
+const { ShellManager } = require('../tools/shell');
+const { PipelineManager, parsePipeline } = require('../tools/pipeline');
+const { Scheduler } = require('../tools/schedule');
+const { PARSE_FORMATS } = require('../tools/parse');
+const { DEFAULT_LOG_DIR } = require('../tools/output');
+const { ProcessDatabase } = require('../database');
+const { CommandPolicy } = require('../policy');
+const { ApiKeyStore, SCOPES, getAllowedOrigins, isOriginAllowed } = require('../auth');
+const { AuditLog } = require('../audit');
+const { TaskRegistry } = require('../tasks');
+const { Redactor } = require('../redaction');
+const { createExecutors } = require('../executors');
+const { Metrics } = require('../metrics');
+const { OutputCoalescer, ProcessNotifier } = require('./ProcessNotifier');
+const { ProcessResources } = require('./ProcessResources');
+const { SessionManager } = require('./SessionManager');
+const { REST_SESSION_PREFIX, REST_ANONYMOUS_SESSION_ID } = require('./RestApi');
 
 const SESSION_ID_HEADER_NAME = 'mcp-session-id';
 const JSON_RPC = '2.0';
+// MCP log levels, from least to most severe
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+// What happens to the running processes of an HTTP session when it ends
+const SESSION_END_ACTIONS = ['kill', 'detach'];
+// Tools whose command line is checked against the command policy before it is validated
+const COMMAND_TOOLS = ['run_command', 'start_command', 'check_command', 'shell_exec', 'schedule_command'];
 
 class MCPServer {
   constructor(server = null) {
-    this.server = server || new Server(
+    this.server = server || this.createServer();
+
+    // Masks secrets in tool results, notifications and logs (REDACT_* variables)
+    this.redactor = Redactor.fromEnvironment();
+
+    // Initialize database and task manager
+    this.database = new ProcessDatabase();
+    // Local and sandboxed command execution, with the default set by EXECUTOR
+    const { executors, defaultExecutor } = createExecutors();
+    this.commandRunner = new CommandRunner(this.database, {
+      redactor: this.redactor,
+      executors: executors,
+      default_executor: defaultExecutor,
+    });
+    this.shellManager = new ShellManager(this.commandRunner);
+    this.pipelineManager = new PipelineManager(this.commandRunner);
+
+    // Live output of background processes, sent as log notifications
+    this.notifier = new ProcessNotifier(this.commandRunner);
+
+    // Rules deciding which commands may run (POLICY_FILE)
+    this.policy = CommandPolicy.fromEnvironment();
+
+    // Recurring commands; each run is checked against the current policy
+    this.scheduler = new Scheduler(this.commandRunner, {
+      authorize: (schedule) => this.policy.evaluate({
+        command: schedule.command,
+        args: schedule.options.args,
+        shell: schedule.options.shell,
+        cwd: schedule.options.cwd,
+        timeout: schedule.timeout,
+      }),
+      isOwnerActive: (sessionId) => this.isScheduleOwnerActive(sessionId),
+    });
+
+    // Who ran what and with which result (AUDIT_LOG_FILE)
+    this.auditLog = AuditLog.fromEnvironment();
+    this.commandRunner.on('exit', (processInfo) => this.auditProcessExit(processInfo));
+
+    // Task presets of the project, advertised as tools (TASKS_FILE)
+    this.tasks = TaskRegistry.fromEnvironment();
+    this.tasks.on('change', () => this.notifyToolListChanged());
+
+    // Authentication of the HTTP transport (API_KEYS_FILE, API_KEY, ALLOWED_ORIGINS)
+    this.apiKeys = ApiKeyStore.fromEnvironment();
+    this.allowedOrigins = getAllowedOrigins();
+
+    // Sandboxed commands must not rewrite the history, logs, audit log, tasks, policy or keys
+    this.protectServerFiles();
+
+    // Sessions of the HTTP transport, each with its own Server instance.
+    // The stdio connection is the only client, so it may access every process.
+    this.stdioSession = { id: null, server: this.server, apiKey: null, admin: true, logLevel: 'debug' };
+    this.sessions = new SessionManager({
+      onEnd: (session, reason) => this.endSession(session, reason),
+    });
+    this.sessionEndAction = process.env.SESSION_END_ACTION || 'kill';
+    if (!SESSION_END_ACTIONS.includes(this.sessionEndAction)) {
+      throw new Error(`Invalid SESSION_END_ACTION: must be one of ${SESSION_END_ACTIONS.join(', ')}`);
+    }
+
+    // Process output and metadata as MCP resources, with update notifications
+    this.resources = new ProcessResources(this.commandRunner, {
+      getSessions: () => [this.stdioSession, ...this.sessions.sessions.values()],
+      canAccess: (session, processInfo) => this.ownsProcess(session, processInfo),
+    });
+
+    // Command counters and durations, served in the Prometheus format by the HTTP server
+    this.metrics = new Metrics(this.commandRunner, {
+      getActiveSessions: () => this.sessions.sessions.size,
+    });
+    // Set once cleanup starts, so readiness checks fail while the server stops
+    this.shuttingDown = false;
+
+    this.setupToolHandlers(this.stdioSession);
+    this.setupErrorHandling();
+  }
+
+  /**
+   * Bind the files of the server read-only in the sandbox when they lie in its writable directories
+   */
+  protectServerFiles() {
+    const sandbox = this.commandRunner.executors.sandbox;
+    const directories = [
+      this.database.filename !== ':memory:' && path.dirname(path.resolve(this.database.filename)),
+      DEFAULT_LOG_DIR && path.resolve(DEFAULT_LOG_DIR),
+      this.auditLog.file && path.dirname(this.auditLog.file),
+      this.auditLog.file && path.dirname(this.auditLog.keyFile),
+    ].filter(Boolean);
+    // Created now, as paths that do not exist yet cannot be bound
+    directories.forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+    sandbox.protect([...directories, this.tasks.source, process.env.POLICY_FILE, process.env.API_KEYS_FILE].filter(Boolean));
+
+    const reason = sandbox.unavailableReason();
+    if (reason && this.commandRunner.defaultExecutor === 'sandbox') {
+      throw new Error(`EXECUTOR is sandbox, but it is unavailable: ${reason}`);
+    }
+    if (!reason && !fs.existsSync(this.tasks.source) && sandbox.isWritable(this.tasks.source)) {
+      console.error(`[MCP Server] Sandboxed commands can create the task file ${this.tasks.source}; create it, or set TASKS_FILE outside the sandbox writable directories`);
+    }
+  }
+
+  /**
+   * Create an MCP server instance; HTTP mode creates one per session
+   */
+  createServer() {
+    const server = new Server(
       {
         name: 'run-command-mcp-server',
         version: '1.0.0',
       },
       {
         capabilities: {
-          tools: {},
+          tools: { listChanged: true },
+          logging: {},
+          resources: { subscribe: true, listChanged: true },
         },
       }
     );
+    server.onerror = (error) => {
+      console.error('[MCP Error]', error);
+    };
+    return server;
+  }
 
-    // To support multiple simultaneous connections (for HTTP mode)
-    this.transports = {};
+  /**
+   * Register the MCP request handlers of a session
+   * @param {Object} session - { id: MCP session ID (null for stdio), server, apiKey, admin, logLevel }
+   */
+  setupToolHandlers(session) {
+    // Minimum level of log notifications, including process output
+    session.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      session.logLevel = request.params.level;
+      console.log(`[MCP Server] Log level set to ${session.logLevel}`);
+      return {};
+    });
 
-    // Initialize database and task manager
-    this.commandRunner = new CommandRunner();
+    // Process resources are readable by keys that may read process output
+    const assertResourcesAllowed = () => {
+      if (!this.isToolAllowed(session, 'get_command_output')) {
+        throw new McpError(ErrorCode.InvalidRequest, `API key "${session.apiKey.name}" is not allowed to read process resources`);
+      }
+    };
 
-    this.setupToolHandlers();
-    this.setupErrorHandling();
-  }
+    session.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return {
+        resources: this.isToolAllowed(session, 'get_command_output') ? this.redactor.redactValue(this.resources.list(session)).value : [],
+      };
+    });
+
+    session.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: this.resources.listTemplates() };
+    });
+
+    session.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      assertResourcesAllowed();
+      return this.redactor.redactValue(await this.resources.read(request.params.uri, session)).value;
+    });
+
+    session.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      assertResourcesAllowed();
+      await this.resources.subscribe(request.params.uri, session);
+      return {};
+    });
+
+    session.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.resources.unsubscribe(request.params.uri, session);
+      return {};
+    });
 
-  setupToolHandlers() {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    session.server.setRequestHandler(ListToolsRequestSchema, async () => {
       return {
         tools: [
           {
@@ -51,13 +235,64 @@ class MCPServer {
                   type: 'number',
                   description: 'Timeout in milliseconds (default: 30000)',
                 },
+                cwd: {
+                  type: 'string',
+                  description: 'Working directory to run the command in (default: server working directory)',
+                },
+                env: {
+                  type: 'object',
+                  description: 'Environment variables for the command, e.g. {"NODE_ENV": "test"}',
+                  additionalProperties: { type: 'string' },
+                },
+                env_mode: {
+                  type: 'string',
+                  enum: ['merge', 'replace'],
+                  description: 'Merge env into the server environment or replace it entirely (default: merge)',
+                },
+                shell: {
+                  type: 'string',
+                  enum: ['default', 'bash', 'sh', 'none'],
+                  description: 'Shell used to interpret the command. "none" executes the command directly (default: default)',
+                },
+                args: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Arguments passed directly to the executable in command, without shell interpretation',
+                },
+                limits: {
+                  type: 'object',
+                  description: 'Resource limits for the command, capped at the server limits. A command exceeding its CPU time, memory or file size limit ends with status resource_exceeded; beyond open_files, further opens fail',
+                  properties: {
+                    cpu_seconds: { type: 'number', description: 'CPU time in seconds' },
+                    memory_mb: { type: 'number', description: 'Resident memory of the command and its children in MB' },
+                    file_size_mb: { type: 'number', description: 'Largest file the command may write in MB' },
+                    open_files: { type: 'number', description: 'Maximum number of open file descriptors' },
+                  },
+                },
+                executor: {
+                  type: 'string',
+                  enum: ['local', 'sandbox'],
+                  description: 'Where the command runs: "local" on the host, or "sandbox" with a read-only root, private /tmp, writable project directory and no network. A call cannot leave the sandbox when the server runs commands in it (default: server EXECUTOR)',
+                },
+                sandbox: {
+                  type: 'object',
+                  description: 'Options of the sandbox executor',
+                  properties: {
+                    network: { type: 'boolean', description: 'Allow network access; cannot be enabled when the server sandbox disables it (default: SANDBOX_NETWORK)' },
+                  },
+                },
+                parse: {
+                  type: 'string',
+                  enum: PARSE_FORMATS,
+                  description: 'Also return stdout as structured data in "parsed". Test reports (jest --json, mocha --reporter json, JUnit XML, TAP) are summarized as totals and failed tests with messages and locations. Parse failures are reported in "parse_error" (optional)',
+                },
               },
               required: ['command'],
             },
           },
           {
             name: 'start_command',
-            description: 'Start a command asynchronously (non-blocking). Returns a process_id to check status and output later using get_command_output.',
+            description: 'Start a command asynchronously (non-blocking). Returns a process_id to check status and output later using get_command_output. With a retry policy, failed attempts are run again after a backoff.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -69,13 +304,123 @@ class MCPServer {
                   type: 'number',
                   description: 'Timeout in milliseconds. 0 means no timeout (default: 0)',
                 },
+                pty: {
+                  type: 'boolean',
+                  description: 'Run the command in a pseudo-terminal for programs that need a TTY. stdout and stderr are merged (default: false)',
+                },
+                cols: {
+                  type: 'number',
+                  description: 'Terminal width in columns when pty is true (default: 120)',
+                },
+                rows: {
+                  type: 'number',
+                  description: 'Terminal height in rows when pty is true (default: 30)',
+                },
+                max_output_bytes: {
+                  type: 'number',
+                  description: 'Bytes of stdout and of stderr kept in memory. Older output is read from the log file on disk (default: 1048576)',
+                },
+                notify: {
+                  type: 'boolean',
+                  description: 'Send new output and the final status as notifications/message log events (default: true)',
+                },
+                cwd: {
+                  type: 'string',
+                  description: 'Working directory to run the command in (default: server working directory)',
+                },
+                env: {
+                  type: 'object',
+                  description: 'Environment variables for the command, e.g. {"NODE_ENV": "test"}',
+                  additionalProperties: { type: 'string' },
+                },
+                env_mode: {
+                  type: 'string',
+                  enum: ['merge', 'replace'],
+                  description: 'Merge env into the server environment or replace it entirely (default: merge)',
+                },
+                shell: {
+                  type: 'string',
+                  enum: ['default', 'bash', 'sh', 'none'],
+                  description: 'Shell used to interpret the command. "none" executes the command directly (default: default)',
+                },
+                args: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Arguments passed directly to the executable in command, without shell interpretation',
+                },
+                limits: {
+                  type: 'object',
+                  description: 'Resource limits for the command, capped at the server limits. A command exceeding its CPU time, memory or file size limit ends with status resource_exceeded; beyond open_files, further opens fail',
+                  properties: {
+                    cpu_seconds: { type: 'number', description: 'CPU time in seconds' },
+                    memory_mb: { type: 'number', description: 'Resident memory of the command and its children in MB' },
+                    file_size_mb: { type: 'number', description: 'Largest file the command may write in MB' },
+                    open_files: { type: 'number', description: 'Maximum number of open file descriptors' },
+                  },
+                },
+                executor: {
+                  type: 'string',
+                  enum: ['local', 'sandbox'],
+                  description: 'Where the command runs: "local" on the host, or "sandbox" with a read-only root, private /tmp, writable project directory and no network. A call cannot leave the sandbox when the server runs commands in it (default: server EXECUTOR)',
+                },
+                sandbox: {
+                  type: 'object',
+                  description: 'Options of the sandbox executor',
+                  properties: {
+                    network: { type: 'boolean', description: 'Allow network access; cannot be enabled when the server sandbox disables it (default: SANDBOX_NETWORK)' },
+                  },
+                },
+                retry: {
+                  type: 'object',
+                  description: 'Run the command again when it fails. Each attempt is a process of its own, linked through previous_attempt_id and next_attempt_id',
+                  properties: {
+                    max_attempts: { type: 'number', description: 'Attempts in total, including the first (default: 3)' },
+                    backoff_ms: { type: 'number', description: 'Delay before the second attempt in milliseconds (default: 1000)' },
+                    backoff_multiplier: { type: 'number', description: 'Factor applied to the delay after each attempt (default: 2)' },
+                    max_backoff_ms: { type: 'number', description: 'Longest delay between attempts in milliseconds (default: 60000)' },
+                    retry_on_exit_codes: { type: 'array', items: { type: 'number' }, description: 'Only retry these exit codes (default: any non-zero exit code)' },
+                    retry_on_timeout: { type: 'boolean', description: 'Retry attempts that timed out (default: true)' },
+                  },
+                },
+              },
+              required: ['command'],
+            },
+          },
+          {
+            name: 'check_command',
+            description: 'Dry-run a command against the server command policy without executing it. Returns whether it would be allowed, denied or require confirmation, and which rule matched.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                command: {
+                  type: 'string',
+                  description: 'The command to check, as it would be passed to run_command or start_command',
+                },
+                args: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Arguments for direct (no-shell) execution (optional)',
+                },
+                shell: {
+                  type: 'string',
+                  enum: ['default', 'bash', 'sh', 'none'],
+                  description: 'Shell the command would run in (optional)',
+                },
+                cwd: {
+                  type: 'string',
+                  description: 'Working directory the command would run in (optional)',
+                },
+                timeout: {
+                  type: 'number',
+                  description: 'Requested timeout in milliseconds (optional)',
+                },
               },
               required: ['command'],
             },
           },
           {
             name: 'get_command_output',
-            description: 'Get the current output and status of a running or completed async command by process_id.',
+            description: 'Get the current output and status of a running or completed command by process_id, including runs recorded before a server restart.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -87,92 +432,1462 @@ class MCPServer {
                   type: 'number',
                   description: 'Only return the last N lines of output (optional, 0 = all)',
                 },
+                head: {
+                  type: 'number',
+                  description: 'Only return the first N lines of output (optional)',
+                },
+                since_cursor: {
+                  type: 'string',
+                  description: 'Only return output written after this cursor, taken from the "cursor" field of a previous call (optional)',
+                },
+                start_byte: {
+                  type: 'number',
+                  description: 'Start byte offset of the range to read from stdout and stderr (optional)',
+                },
+                end_byte: {
+                  type: 'number',
+                  description: 'End byte offset (exclusive) of the range to read from stdout and stderr (optional)',
+                },
+                screen: {
+                  type: 'boolean',
+                  description: 'For PTY processes, return the rendered terminal screen instead of the raw output stream (optional)',
+                },
+                parse: {
+                  type: 'string',
+                  enum: PARSE_FORMATS,
+                  description: 'Also return the stdout read as structured data, as in run_command (optional)',
+                },
+              },
+              required: ['process_id'],
+            },
+          },
+          {
+            name: 'write_stdin',
+            description: 'Write input to the stdin of a process started with start_command (answer prompts, drive REPLs). Can close stdin (EOF) and wait briefly to return the output produced in response.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                process_id: {
+                  type: 'string',
+                  description: 'The process ID returned by start_command',
+                },
+                input: {
+                  type: 'string',
+                  description: 'Text to write to stdin. Include "\\n" to press Enter; control characters such as "\\u0003" are sent as-is',
+                },
+                eof: {
+                  type: 'boolean',
+                  description: 'Close stdin after writing, sending EOF to the process. For PTY processes this sends Ctrl-D (default: false)',
+                },
+                wait_ms: {
+                  type: 'number',
+                  description: 'Milliseconds to wait after writing before returning the new output (default: 0)',
+                },
               },
               required: ['process_id'],
             },
           },
+          {
+            name: 'resize_terminal',
+            description: 'Resize the pseudo-terminal of a process started with start_command and pty: true',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                process_id: {
+                  type: 'string',
+                  description: 'The process ID returned by start_command',
+                },
+                cols: {
+                  type: 'number',
+                  description: 'Terminal width in columns',
+                },
+                rows: {
+                  type: 'number',
+                  description: 'Terminal height in rows',
+                },
+              },
+              required: ['process_id', 'cols', 'rows'],
+            },
+          },
           {
             name: 'list_processes',
-            description: 'List all tracked processes (running, completed, failed, etc.)',
+            description: 'List tracked processes (running, completed, failed, etc.), newest first. Includes history from previous server runs.',
             inputSchema: {
               type: 'object',
               properties: {
                 status: {
                   type: 'string',
-                  description: 'Filter by status: running, completed, failed, killed, error, timed_out (optional)',
+                  description: 'Filter by status: queued, running, completed, failed, killed, cancelled, error, timed_out, resource_exceeded, orphaned (optional)',
+                },
+                command: {
+                  type: 'string',
+                  description: 'Only processes whose command contains this text (optional)',
+                },
+                since: {
+                  type: 'string',
+                  description: 'Only processes started at or after this ISO 8601 date (optional)',
+                },
+                until: {
+                  type: 'string',
+                  description: 'Only processes started at or before this ISO 8601 date (optional)',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of processes to return (default: 100)',
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Number of processes to skip, for pagination (default: 0)',
+                },
+                schedule_id: {
+                  type: 'string',
+                  description: 'Only runs of this schedule (optional)',
+                },
+                all_sessions: {
+                  type: 'boolean',
+                  description: 'Include processes of other HTTP sessions (admin sessions only, default: false)',
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'wait_for',
+            description: 'Wait until a process prints output matching a regex, accepts connections on a TCP port, serves a URL with a 2xx status, or exits. Returns which condition was met first, the matching line and the process status.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                process_id: {
+                  type: 'string',
+                  description: 'The process ID to wait for',
+                },
+                conditions: {
+                  type: 'array',
+                  description: 'Conditions to wait for; the first one to hold wins',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: {
+                        type: 'string',
+                        enum: ['output', 'port', 'http', 'exit'],
+                        description: 'output: a line matches pattern; port: a TCP port accepts connections; http: url returns 2xx; exit: the process exits',
+                      },
+                      pattern: {
+                        type: 'string',
+                        description: 'Regular expression matched against each output line (type output)',
+                      },
+                      flags: {
+                        type: 'string',
+                        description: 'Regular expression flags, e.g. "i" (type output)',
+                      },
+                      stream: {
+                        type: 'string',
+                        enum: ['stdout', 'stderr', 'both'],
+                        description: 'Stream to match (type output, default: both)',
+                      },
+                      port: {
+                        type: 'number',
+                        description: 'TCP port to check (type port)',
+                      },
+                      host: {
+                        type: 'string',
+                        description: 'Host to connect to (type port, default: 127.0.0.1)',
+                      },
+                      url: {
+                        type: 'string',
+                        description: 'http or https URL to request (type http)',
+                      },
+                    },
+                    required: ['type'],
+                  },
+                },
+                timeout_ms: {
+                  type: 'number',
+                  description: 'Maximum time to wait in milliseconds (default: 30000)',
+                },
+                interval_ms: {
+                  type: 'number',
+                  description: 'Delay between port and URL checks in milliseconds (default: 500)',
+                },
+                since_cursor: {
+                  type: 'string',
+                  description: 'Only match output written after this cursor from get_command_output (default: all retained output)',
+                },
+              },
+              required: ['process_id', 'conditions'],
+            },
+          },
+          {
+            name: 'search_output',
+            description: 'Search the stdout/stderr of one, several or all tracked processes by regex, like grep. Returns matching lines grouped by process_id, with line numbers, timestamps and optional context lines.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pattern: {
+                  type: 'string',
+                  description: 'Regular expression matched against each output line, e.g. "EADDRINUSE|listen"',
+                },
+                process_ids: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Processes to search, including runs recorded before a server restart (default: all tracked processes)',
+                },
+                stream: {
+                  type: 'string',
+                  enum: ['stdout', 'stderr', 'both'],
+                  description: 'Stream to search (default: both)',
+                },
+                case: {
+                  type: 'string',
+                  enum: ['sensitive', 'insensitive', 'smart'],
+                  description: 'Case matching; smart ignores case unless the pattern contains an upper case letter (default: sensitive)',
+                },
+                context: {
+                  type: 'number',
+                  description: 'Lines of context to return before and after each match (default: 0)',
+                },
+                before_context: {
+                  type: 'number',
+                  description: 'Lines of context before each match, overriding context (optional)',
+                },
+                after_context: {
+                  type: 'number',
+                  description: 'Lines of context after each match, overriding context (optional)',
+                },
+                max_matches: {
+                  type: 'number',
+                  description: 'Maximum number of matches returned across all processes (default: 100, max: 1000)',
+                },
+                all_sessions: {
+                  type: 'boolean',
+                  description: 'Without process_ids, include processes of other HTTP sessions (admin sessions only, default: false)',
+                },
+              },
+              required: ['pattern'],
+            },
+          },
+          {
+            name: 'open_shell',
+            description: 'Open a persistent shell. Commands run with shell_exec keep its working directory, exported variables, aliases and functions between calls (e.g. cd, source venv/bin/activate).',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                shell: {
+                  type: 'string',
+                  enum: ['bash', 'sh'],
+                  description: 'Shell to start (default: bash)',
+                },
+                cwd: {
+                  type: 'string',
+                  description: 'Initial working directory (default: server working directory)',
+                },
+                env: {
+                  type: 'object',
+                  description: 'Environment variables for the shell, e.g. {"NODE_ENV": "test"}',
+                  additionalProperties: { type: 'string' },
+                },
+                env_mode: {
+                  type: 'string',
+                  enum: ['merge', 'replace'],
+                  description: 'merge env into the server environment, or replace it entirely (default: merge)',
+                },
+                executor: {
+                  type: 'string',
+                  enum: ['local', 'sandbox'],
+                  description: 'Where the shell runs: "local" on the host, or "sandbox" with a read-only root, private /tmp, writable project directory and no network. A call cannot leave the sandbox when the server runs commands in it (default: server EXECUTOR)',
+                },
+                sandbox: {
+                  type: 'object',
+                  description: 'Options of the sandbox executor',
+                  properties: {
+                    network: { type: 'boolean', description: 'Allow network access; cannot be enabled when the server sandbox disables it (default: SANDBOX_NETWORK)' },
+                  },
+                },
+                limits: {
+                  type: 'object',
+                  description: 'Resource limits set on the shell and every program its commands start, capped at the server limits. A command exceeding its CPU time, memory or file size limit ends with status resource_exceeded; beyond open_files, further opens fail. CPU time also counts the shell\'s own work',
+                  properties: {
+                    cpu_seconds: { type: 'number', description: 'CPU time in seconds' },
+                    memory_mb: { type: 'number', description: 'Resident memory of the shell and its children in MB' },
+                    file_size_mb: { type: 'number', description: 'Largest file a command may write in MB' },
+                    open_files: { type: 'number', description: 'Maximum number of open file descriptors' },
+                  },
                 },
               },
               required: [],
             },
           },
           {
-            name: 'kill_process',
-            description: 'Kill a running process by process_id',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                process_id: {
-                  type: 'string',
-                  description: 'The process ID to kill',
-                },
-              },
-              required: ['process_id'],
-            },
+            name: 'shell_exec',
+            description: 'Run a command in a persistent shell opened with open_shell and wait for it. Returns its exit code and output, plus the shell\'s current working directory and the environment variables the command changed. Commands read stdin from /dev/null.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                shell_id: {
+                  type: 'string',
+                  description: 'The shell ID returned by open_shell',
+                },
+                command: {
+                  type: 'string',
+                  description: 'The command line to run in the shell (e.g., "cd backend", "source venv/bin/activate", "npm test")',
+                },
+                timeout: {
+                  type: 'number',
+                  description: 'Timeout in milliseconds. The command is interrupted with SIGINT, and the shell is closed if it does not stop (default: 30000)',
+                },
+              },
+              required: ['shell_id', 'command'],
+            },
+          },
+          {
+            name: 'close_shell',
+            description: 'Close a persistent shell and stop everything still running in it',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                shell_id: {
+                  type: 'string',
+                  description: 'The shell ID to close',
+                },
+              },
+              required: ['shell_id'],
+            },
+          },
+          {
+            name: 'run_pipeline',
+            description: 'Run a pipeline of commands in the background, e.g. install, then lint and test in parallel, then package. Each step starts once the steps in its depends_on have succeeded; steps without dependencies between them run in parallel. A failing step skips the remaining steps and kills the running ones, unless it has continue_on_error. Returns a pipeline_id for get_pipeline_status and cancel_pipeline.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                steps: {
+                  type: 'array',
+                  description: 'Steps of the pipeline',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      id: {
+                        type: 'string',
+                        description: 'Name of the step, used in depends_on (default: step-<n>)',
+                      },
+                      command: {
+                        type: 'string',
+                        description: 'The command to run (e.g., "npm ci", "npm test")',
+                      },
+                      args: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Arguments for direct execution without a shell, as in run_command (optional)',
+                      },
+                      depends_on: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Ids of the steps that must succeed before this step starts (optional)',
+                      },
+                      continue_on_error: {
+                        type: 'boolean',
+                        description: 'Let the pipeline and the steps depending on this one continue when it fails (default: false)',
+                      },
+                      timeout: {
+                        type: 'number',
+                        description: 'Timeout of the step in milliseconds (default: 0 = no timeout)',
+                      },
+                      cwd: {
+                        type: 'string',
+                        description: 'Working directory of the step (default: the pipeline cwd)',
+                      },
+                      env: {
+                        type: 'object',
+                        description: 'Environment variables of the step, added to the pipeline env',
+                        additionalProperties: { type: 'string' },
+                      },
+                      env_mode: {
+                        type: 'string',
+                        enum: ['merge', 'replace'],
+                        description: 'merge env into the server environment, or replace it entirely (default: merge)',
+                      },
+                      shell: {
+                        type: 'string',
+                        description: 'Shell to run the step with, as in run_command (optional)',
+                      },
+                    },
+                    required: ['command'],
+                  },
+                },
+                name: {
+                  type: 'string',
+                  description: 'Name of the pipeline, for status output (optional)',
+                },
+                cwd: {
+                  type: 'string',
+                  description: 'Default working directory of the steps (default: server working directory)',
+                },
+                env: {
+                  type: 'object',
+                  description: 'Environment variables of every step, e.g. {"CI": "true"}',
+                  additionalProperties: { type: 'string' },
+                },
+                executor: {
+                  type: 'string',
+                  enum: ['local', 'sandbox'],
+                  description: 'Where every step runs: "local" on the host, or "sandbox" with a read-only root, private /tmp, writable project directory and no network. A call cannot leave the sandbox when the server runs commands in it (default: server EXECUTOR)',
+                },
+                sandbox: {
+                  type: 'object',
+                  description: 'Options of the sandbox executor',
+                  properties: {
+                    network: { type: 'boolean', description: 'Allow network access; cannot be enabled when the server sandbox disables it (default: SANDBOX_NETWORK)' },
+                  },
+                },
+              },
+              required: ['steps'],
+            },
+          },
+          {
+            name: 'get_pipeline_status',
+            description: 'Get the status of a pipeline started with run_pipeline: the state, exit code, duration, process_id and last output lines of each step. Use get_command_output with a step\'s process_id for its full output.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pipeline_id: {
+                  type: 'string',
+                  description: 'The pipeline ID returned by run_pipeline',
+                },
+                tail: {
+                  type: 'number',
+                  description: 'Number of output lines per step and stream to include (default: 20, 0 for none)',
+                },
+              },
+              required: ['pipeline_id'],
+            },
+          },
+          {
+            name: 'cancel_pipeline',
+            description: 'Cancel a running pipeline: steps that have not started are cancelled and running steps are killed',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                pipeline_id: {
+                  type: 'string',
+                  description: 'The pipeline ID to cancel',
+                },
+              },
+              required: ['pipeline_id'],
+            },
+          },
+          {
+            name: 'schedule_command',
+            description: 'Run a command in the background on a cron schedule or at a fixed interval, e.g. log pruning, periodic health checks or nightly test runs. Each run is a process of its own with the schedule_id. Schedules survive server restarts.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                command: {
+                  type: 'string',
+                  description: 'The full command to execute (e.g., "npm test", "find logs -mtime +7 -delete")',
+                },
+                cron: {
+                  type: 'string',
+                  description: 'Cron expression "minute hour day-of-month month day-of-week" in the server time zone, e.g. "0 2 * * *" or "*/15 * * * *", or @hourly, @daily, @weekly, @monthly. Set this or interval_ms',
+                },
+                interval_ms: {
+                  type: 'number',
+                  description: 'Run every this many milliseconds, at least 1000. Set this or cron',
+                },
+                name: {
+                  type: 'string',
+                  description: 'Name of the schedule, for list_schedules (optional)',
+                },
+                timeout: {
+                  type: 'number',
+                  description: 'Timeout of each run in milliseconds. 0 means no timeout (default: 0)',
+                },
+                skip_if_running: {
+                  type: 'boolean',
+                  description: 'Skip a run while the previous run or its retries are still active (default: true)',
+                },
+                cwd: {
+                  type: 'string',
+                  description: 'Working directory to run the command in (default: server working directory)',
+                },
+                env: {
+                  type: 'object',
+                  description: 'Environment variables for the command, e.g. {"NODE_ENV": "test"}. Their values are not stored, so a schedule with env is deleted when the server restarts',
+                  additionalProperties: { type: 'string' },
+                },
+                env_mode: {
+                  type: 'string',
+                  enum: ['merge', 'replace'],
+                  description: 'Merge env into the server environment or replace it entirely (default: merge)',
+                },
+                shell: {
+                  type: 'string',
+                  enum: ['default', 'bash', 'sh', 'none'],
+                  description: 'Shell used to interpret the command. "none" executes the command directly (default: default)',
+                },
+                args: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Arguments passed directly to the executable in command, without shell interpretation',
+                },
+                limits: {
+                  type: 'object',
+                  description: 'Resource limits for the command, capped at the server limits. A command exceeding its CPU time, memory or file size limit ends with status resource_exceeded; beyond open_files, further opens fail',
+                  properties: {
+                    cpu_seconds: { type: 'number', description: 'CPU time in seconds' },
+                    memory_mb: { type: 'number', description: 'Resident memory of the command and its children in MB' },
+                    file_size_mb: { type: 'number', description: 'Largest file the command may write in MB' },
+                    open_files: { type: 'number', description: 'Maximum number of open file descriptors' },
+                  },
+                },
+                executor: {
+                  type: 'string',
+                  enum: ['local', 'sandbox'],
+                  description: 'Where the command runs: "local" on the host, or "sandbox" with a read-only root, private /tmp, writable project directory and no network. A call cannot leave the sandbox when the server runs commands in it (default: server EXECUTOR)',
+                },
+                sandbox: {
+                  type: 'object',
+                  description: 'Options of the sandbox executor',
+                  properties: {
+                    network: { type: 'boolean', description: 'Allow network access; cannot be enabled when the server sandbox disables it (default: SANDBOX_NETWORK)' },
+                  },
+                },
+                retry: {
+                  type: 'object',
+                  description: 'Run the command again when it fails. Each attempt is a process of its own, linked through previous_attempt_id and next_attempt_id',
+                  properties: {
+                    max_attempts: { type: 'number', description: 'Attempts in total, including the first (default: 3)' },
+                    backoff_ms: { type: 'number', description: 'Delay before the second attempt in milliseconds (default: 1000)' },
+                    backoff_multiplier: { type: 'number', description: 'Factor applied to the delay after each attempt (default: 2)' },
+                    max_backoff_ms: { type: 'number', description: 'Longest delay between attempts in milliseconds (default: 60000)' },
+                    retry_on_exit_codes: { type: 'array', items: { type: 'number' }, description: 'Only retry these exit codes (default: any non-zero exit code)' },
+                    retry_on_timeout: { type: 'boolean', description: 'Retry attempts that timed out (default: true)' },
+                  },
+                },
+              },
+              required: ['command'],
+            },
+          },
+          {
+            name: 'list_schedules',
+            description: 'List the scheduled commands with their next run time, run count and the process_id and status of their last run',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                all_sessions: {
+                  type: 'boolean',
+                  description: 'Include schedules of other HTTP sessions (admin sessions only, default: false)',
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'cancel_schedule',
+            description: 'Stop a scheduled command from running again. A run in progress is not stopped.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                schedule_id: {
+                  type: 'string',
+                  description: 'The schedule ID returned by schedule_command',
+                },
+              },
+              required: ['schedule_id'],
+            },
+          },
+          {
+            name: 'kill_process',
+            description: 'Kill a running process and all of its child processes by process_id. Returns once the process has exited, escalating to SIGKILL after the grace period. Queued processes are cancelled, and so is a pending retry of a failed attempt.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                process_id: {
+                  type: 'string',
+                  description: 'The process ID to kill',
+                },
+                signal: {
+                  type: 'string',
+                  description: 'Signal to send first, e.g. SIGTERM, SIGINT, SIGHUP, SIGKILL (default: SIGTERM)',
+                },
+                grace_period_ms: {
+                  type: 'number',
+                  description: 'Milliseconds to wait for the process to exit before sending SIGKILL (default: 5000)',
+                },
+              },
+              required: ['process_id'],
+            },
+          },
+          {
+            name: 'clear_processes',
+            description: 'Clear finished processes from memory and process history. If process_id is provided, clears that specific process. Otherwise clears all non-running processes.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                process_id: {
+                  type: 'string',
+                  description: 'Specific process ID to clear (optional)',
+                },
+                all_sessions: {
+                  type: 'boolean',
+                  description: 'Clear finished processes of other HTTP sessions too (admin sessions only, default: false)',
+                },
+              },
+              required: [],
+            },
+          },
+          {
+            name: 'query_audit_log',
+            description: 'Search the audit log of commands run through the server (who ran what, when and with which result), newest first. Optionally verify the hash chain that makes edits to the log detectable.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                tool: {
+                  type: 'string',
+                  description: 'Only calls of this tool, e.g. run_command (optional)',
+                },
+                event: {
+                  type: 'string',
+                  enum: ['tool_call', 'process_exit'],
+                  description: 'Only tool calls or only exits of started processes (optional)',
+                },
+                process_id: {
+                  type: 'string',
+                  description: 'Only entries about this process (optional)',
+                },
+                text: {
+                  type: 'string',
+                  description: 'Only entries containing this text, e.g. part of a command (optional)',
+                },
+                since: {
+                  type: 'string',
+                  description: 'Only entries at or after this ISO 8601 date (optional)',
+                },
+                until: {
+                  type: 'string',
+                  description: 'Only entries at or before this ISO 8601 date (optional)',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum number of entries to return (default: 100)',
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Number of entries to skip, for pagination (default: 0)',
+                },
+                session_id: {
+                  type: 'string',
+                  description: 'Only entries of this HTTP session (admin sessions only, optional)',
+                },
+                all_sessions: {
+                  type: 'boolean',
+                  description: 'Include entries of other HTTP sessions (admin sessions only, default: false)',
+                },
+                verify: {
+                  type: 'boolean',
+                  description: 'Also check the hash chain of the whole log (default: false)',
+                },
+              },
+              required: [],
+            },
+          },
+          ...this.tasks.getTools(),
+        ].filter(tool => this.isToolAllowed(session, tool.name)),
+      };
+    });
+
+    // Handle tool calls
+    session.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      return this.redactor.redactResult(await this.callToolWithAudit(request, extra, session));
+    });
+  }
+
+  /**
+   * Run a tool call for a session
+   * @param {Object} audit - Receives the policy decision and working directory of commands
+   */
+  async callTool(request, extra, session, audit) {
+    const { name, arguments: args } = request.params;
+
+    try {
+
+      if (!this.isToolAllowed(session, name)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: `API key "${session.apiKey.name}" is not allowed to use ${name}`
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      // Processes of other sessions are reported as not found
+      if (args && args.process_id && !(await this.canAccessProcess(args.process_id, session))) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'Process not found',
+                process_id: args.process_id
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      // Shells of other sessions are reported as not found
+      if (args && args.shell_id && !this.canAccessShell(args.shell_id, session)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'Shell not found',
+                shell_id: args.shell_id
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      // Schedules of other sessions are reported as not found
+      if (args && args.schedule_id && !this.canAccessSchedule(args.schedule_id, session)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'Schedule not found',
+                schedule_id: args.schedule_id
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      // Pipelines of other sessions are reported as not found
+      if (args && args.pipeline_id && !this.canAccessPipeline(args.pipeline_id, session)) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'Pipeline not found',
+                pipeline_id: args.pipeline_id
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      if (COMMAND_TOOLS.includes(name) && (!args || typeof args.command !== 'string' || args.command.trim() === '')) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'command must be a non-empty string'
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      if (args && args.all_sessions && !session.admin) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'all_sessions requires an admin session'
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      if (name === 'run_command') {
+        const decision = await this.enforcePolicy(args, args.timeout || 30000, session);
+        Object.assign(audit, { policy: decision, cwd: args.cwd || process.cwd() });
+        if (!decision.allowed) {
+          return this.createPolicyDeniedResult(args.command, decision);
+        }
+        return await this.runCommandWithProgress(args, decision.timeout, session, request, extra);
+      }
+
+      if (name === 'start_command') {
+        const decision = await this.enforcePolicy(args, args.timeout || 0, session);
+        Object.assign(audit, { policy: decision, cwd: args.cwd || process.cwd() });
+        if (!decision.allowed) {
+          return this.createPolicyDeniedResult(args.command, decision);
+        }
+        const result = await this.commandRunner.startCommand(args.command, decision.timeout, {
+          ...this.getExecutionOptions(args),
+          session_id: session.id,
+          pty: args.pty || false,
+          cols: args.cols,
+          rows: args.rows,
+          max_output_bytes: args.max_output_bytes,
+          retry: args.retry,
+        });
+        if (args.notify !== false) {
+          this.watchProcess(result, session);
+        }
+        return result;
+      }
+
+      if (name === 'check_command') {
+        const decision = this.policy.evaluate({ ...args, timeout: args.timeout || 0 });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: true,
+                command: args.command,
+                ...decision,
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      if (name === 'get_command_output') {
+        return await this.commandRunner.getOutput(args.process_id, args.tail || 0, {
+          screen: args.screen || false,
+          head: args.head || 0,
+          since_cursor: args.since_cursor,
+          start_byte: args.start_byte,
+          end_byte: args.end_byte,
+          parse: args.parse,
+        });
+      }
+
+      if (name === 'write_stdin') {
+        return await this.commandRunner.writeStdin(args.process_id, args.input || '', {
+          eof: args.eof || false,
+          wait_ms: args.wait_ms || 0,
+        });
+      }
+
+      if (name === 'resize_terminal') {
+        return await this.commandRunner.resizeTerminal(args.process_id, args.cols, args.rows);
+      }
+
+      if (name === 'list_processes') {
+        return await this.commandRunner.listProcesses({
+          status: args.status,
+          command: args.command,
+          since: args.since,
+          until: args.until,
+          limit: args.limit,
+          offset: args.offset,
+          schedule_id: args.schedule_id,
+          session_id: this.getSessionScope(session, args.all_sessions),
+        });
+      }
+
+      if (name === 'wait_for') {
+        return await this.commandRunner.waitFor(args.process_id, args.conditions, {
+          timeout_ms: args.timeout_ms,
+          interval_ms: args.interval_ms,
+          since_cursor: args.since_cursor,
+        });
+      }
+
+      if (name === 'search_output') {
+        // Processes of other sessions are reported as not found
+        for (const processId of Array.isArray(args.process_ids) ? args.process_ids : []) {
+          if (!(await this.canAccessProcess(processId, session))) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify({
+                    success: false,
+                    error: 'Process not found',
+                    process_id: processId
+                  }, null, 2),
+                },
+              ],
+            };
+          }
+        }
+        return await this.commandRunner.searchOutput(args.pattern, {
+          process_ids: args.process_ids,
+          session_id: this.getSessionScope(session, args.all_sessions),
+          stream: args.stream,
+          case: args.case,
+          context: args.context,
+          before_context: args.before_context,
+          after_context: args.after_context,
+          max_matches: args.max_matches,
+        });
+      }
+
+      if (name === 'open_shell') {
+        const decision = await this.enforcePolicy({ command: args.shell || 'bash', cwd: args.cwd }, 0, session);
+        Object.assign(audit, { policy: decision, cwd: args.cwd || process.cwd() });
+        if (!decision.allowed) {
+          return this.createPolicyDeniedResult(args.shell || 'bash', decision);
+        }
+        return await this.shellManager.openShell({
+          shell: args.shell,
+          cwd: args.cwd,
+          env: args.env,
+          env_mode: args.env_mode,
+          executor: args.executor,
+          sandbox: args.sandbox,
+          limits: args.limits,
+          session_id: session.id,
+        });
+      }
+
+      if (name === 'shell_exec') {
+        // Checked in the shell's current directory, which earlier commands may have changed
+        const shell = this.shellManager.getShell(args.shell_id);
+        const decision = await this.enforcePolicy({
+          command: args.command,
+          cwd: shell ? shell.cwd : undefined,
+        }, args.timeout || 30000, session);
+        Object.assign(audit, { policy: decision, cwd: shell ? shell.cwd : null });
+        if (!decision.allowed) {
+          return this.createPolicyDeniedResult(args.command, decision);
+        }
+        return await this.shellManager.execInShell(args.shell_id, args.command, decision.timeout);
+      }
+
+      if (name === 'close_shell') {
+        return await this.shellManager.closeShell(args.shell_id);
+      }
+
+      if (name === 'run_pipeline') {
+        return await this.runPipeline(args, session, audit);
+      }
+
+      if (name === 'get_pipeline_status') {
+        return await this.pipelineManager.getStatus(args.pipeline_id, args.tail);
+      }
+
+      if (name === 'cancel_pipeline') {
+        return await this.pipelineManager.cancelPipeline(args.pipeline_id);
+      }
+
+      if (name === 'schedule_command') {
+        // Runs are unattended, so a command needing confirmation must be allowed by the policy outright
+        const decision = this.policy.evaluate({
+          command: args.command,
+          args: args.args,
+          shell: args.shell,
+          cwd: args.cwd,
+          timeout: args.timeout || 0,
+        });
+        if (decision.action === 'confirm') {
+          decision.reason = `${decision.reason} (scheduled runs cannot be confirmed; allow the command in the policy to schedule it)`;
+        }
+        Object.assign(audit, { policy: decision, cwd: args.cwd || process.cwd() });
+        if (!decision.allowed) {
+          return this.createPolicyDeniedResult(args.command, decision);
+        }
+        return await this.scheduler.addSchedule(args.command, {
+          ...this.getExecutionOptions(args),
+          cron: args.cron,
+          interval_ms: args.interval_ms,
+          name: args.name,
+          timeout: decision.timeout,
+          skip_if_running: args.skip_if_running,
+          retry: args.retry,
+          session_id: session.id,
+        });
+      }
+
+      if (name === 'list_schedules') {
+        return await this.scheduler.listSchedules(this.getSessionScope(session, args.all_sessions));
+      }
+
+      if (name === 'cancel_schedule') {
+        return await this.scheduler.cancelSchedule(args.schedule_id);
+      }
+
+      if (name === 'kill_process') {
+        return await this.commandRunner.killProcess(args.process_id, {
+          signal: args.signal,
+          grace_period_ms: args.grace_period_ms,
+        });
+      }
+
+      if (name === 'clear_processes') {
+        return await this.commandRunner.clearProcesses(args.process_id || null, {
+          session_id: this.getSessionScope(session, args.all_sessions),
+        });
+      }
+
+      if (name === 'query_audit_log') {
+        return await this.queryAuditLog(args || {}, session);
+      }
+
+      const task = this.tasks.getByToolName(name);
+      if (task) {
+        return await this.runTask(task, args || {}, session, request, extra, audit);
+      }
+    } catch (error) {
+      console.error(`[MCP Server] Error executing tool ${name}:`, error);
+      throw new Error(`Tool execution failed: ${error.message}`);
+    }
+
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  /**
+   * Run a tool call and record it in the audit log. Calls of read-only tools are not recorded.
+   */
+  async callToolWithAudit(request, extra, session) {
+    const { name, arguments: args = {} } = request.params;
+    if (SCOPES.read.includes(name)) {
+      return await this.callTool(request, extra, session, {});
+    }
+
+    const startedAt = Date.now();
+    const audit = {};
+    let result = null;
+    let error = null;
+    try {
+      result = await this.callTool(request, extra, session, audit);
+      return result;
+    } catch (callError) {
+      error = callError;
+      throw callError;
+    } finally {
+      let outcome = {};
+      try {
+        outcome = result ? JSON.parse(result.content[0].text) : {};
+      } catch (parseError) {
+        // Results that are not JSON are recorded without details
+      }
+      const policy = audit.policy || outcome.policy;
+      this.appendAudit({
+        event: 'tool_call',
+        transport: session.rest ? 'rest' : (session.id ? 'http' : 'stdio'),
+        session_id: session.id,
+        client: session.server.getClientVersion() || null,
+        api_key: session.apiKey ? session.apiKey.name : null,
+        tool: name,
+        arguments: args,
+        cwd: outcome.cwd || audit.cwd || null,
+        process_id: outcome.process_id || args.process_id || null,
+        shell_id: outcome.shell_id || args.shell_id || undefined,
+        pipeline_id: outcome.pipeline_id || args.pipeline_id || undefined,
+        schedule_id: outcome.schedule_id || args.schedule_id || undefined,
+        pid: outcome.pid === undefined ? null : outcome.pid,
+        exit_code: outcome.exit_code === undefined ? null : outcome.exit_code,
+        status: outcome.status || null,
+        success: !error && outcome.success !== false,
+        error: error ? error.message : outcome.error || null,
+        duration_ms: Date.now() - startedAt,
+        policy: policy ? { action: policy.action, rule: policy.rule, reason: policy.reason } : null,
+      });
+    }
+  }
+
+  /**
+   * Write an audit log entry, with secrets in arguments, commands and errors masked
+   */
+  appendAudit(entry) {
+    this.auditLog.append(this.redactor.redactValue(entry).value);
+  }
+
+  /**
+   * Record how a started process ended, completing the tool_call entry of start_command
+   */
+  auditProcessExit(processInfo) {
+    this.appendAudit({
+      event: 'process_exit',
+      session_id: processInfo.session_id,
+      process_id: processInfo.id,
+      schedule_id: processInfo.schedule_id || undefined,
+      attempt: processInfo.max_attempts > 1 ? processInfo.attempt : undefined,
+      pid: processInfo.pid === undefined ? null : processInfo.pid,
+      command: processInfo.command,
+      cwd: processInfo.cwd,
+      status: processInfo.status,
+      exit_code: processInfo.exit_code,
+      error: processInfo.error,
+      duration_ms: Date.parse(processInfo.finished_at) - Date.parse(processInfo.started_at),
+    });
+  }
+
+  /**
+   * Search the audit log; sessions only see their own entries unless they are admin sessions
+   */
+  async queryAuditLog(args, session) {
+    const page = await this.auditLog.query({
+      tool: args.tool,
+      event: args.event,
+      process_id: args.process_id,
+      text: args.text,
+      since: args.since,
+      until: args.until,
+      limit: args.limit,
+      offset: args.offset,
+      session_id: session.admin && args.session_id ? args.session_id : this.getSessionScope(session, args.all_sessions),
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            enabled: this.auditLog.enabled,
+            total: page.total,
+            entries: page.entries,
+            verification: args.verify ? await this.auditLog.verify() : undefined,
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Run a task preset with the given parameters, synchronously or in the
+   * background depending on its mode
+   */
+  async runTask(task, values, session, request, extra, audit) {
+    const rendered = this.tasks.render(task, values);
+    if (rendered.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: rendered.error,
+              task: task.name
+            }, null, 2),
           },
+        ],
+      };
+    }
+
+    const args = { command: rendered.command, args: rendered.args, ...rendered.options };
+    const defaultTimeout = task.mode === 'sync' ? 30000 : 0;
+    const decision = await this.enforcePolicy(args, task.timeout === undefined ? defaultTimeout : task.timeout, session);
+    Object.assign(audit, { policy: decision, cwd: args.cwd || process.cwd() });
+    if (!decision.allowed) {
+      return this.createPolicyDeniedResult(args.command, decision);
+    }
+
+    if (task.mode === 'sync') {
+      return await this.runCommandWithProgress(args, decision.timeout, session, request, extra);
+    }
+
+    const result = await this.commandRunner.startCommand(args.command, decision.timeout, {
+      ...this.getExecutionOptions(args),
+      session_id: session.id,
+      pty: task.pty,
+    });
+    this.watchProcess(result, session);
+    return result;
+  }
+
+  /**
+   * Check every step of a pipeline against the command policy, then start it.
+   * Nothing runs when one step is denied.
+   */
+  async runPipeline(args, session, audit) {
+    const parsed = parsePipeline(args.steps);
+    if (parsed.error) {
+      return {
+        content: [
           {
-            name: 'clear_processes',
-            description: 'Clear finished processes from memory. If process_id is provided, clears that specific process. Otherwise clears all non-running processes.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                process_id: {
-                  type: 'string',
-                  description: 'Specific process ID to clear (optional)',
-                },
-              },
-              required: [],
-            },
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: parsed.error
+            }, null, 2),
           },
         ],
       };
+    }
+
+    audit.cwd = args.cwd || process.cwd();
+    const steps = [];
+    for (const step of parsed.steps) {
+      const decision = await this.enforcePolicy({
+        command: step.command,
+        args: step.args,
+        shell: step.shell,
+        cwd: step.cwd || args.cwd,
+      }, step.timeout || 0, session);
+      if (!decision.allowed) {
+        audit.policy = decision;
+        return this.createPolicyDeniedResult(step.command, decision);
+      }
+      steps.push({ ...step, timeout: decision.timeout });
+    }
+
+    return await this.pipelineManager.runPipeline(steps, {
+      name: args.name,
+      cwd: args.cwd,
+      env: args.env,
+      executor: args.executor,
+      sandbox: args.sandbox,
+      session_id: session.id,
     });
+  }
 
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+  /**
+   * Tell connected clients to fetch the tool list again, e.g. after the task file changed
+   */
+  notifyToolListChanged() {
+    for (const session of [this.stdioSession, ...this.sessions.sessions.values()]) {
+      if (!session.server.transport) {
+        continue;
+      }
+      session.server.sendToolListChanged().catch((error) => {
+        console.error('[MCP Server] Error sending tool list change:', error.message);
+      });
+    }
+  }
 
-      try {
+  /**
+   * Pick the execution options shared by run_command and start_command
+   */
+  getExecutionOptions(args) {
+    return {
+      cwd: args.cwd,
+      env: args.env,
+      env_mode: args.env_mode,
+      shell: args.shell,
+      args: args.args,
+      limits: args.limits,
+      executor: args.executor,
+      sandbox: args.sandbox,
+    };
+  }
 
-        if (name === 'run_command') {
-          return await this.commandRunner.runCommand(args.command, args.timeout || 30000);
-        }
+  /**
+   * Whether the API key of a session grants a tool; stdio and unauthenticated
+   * HTTP sessions may use every tool
+   */
+  isToolAllowed(session, toolName) {
+    return !session.apiKey || this.apiKeys.allows(session.apiKey, toolName);
+  }
 
-        if (name === 'start_command') {
-          return await this.commandRunner.startCommand(args.command, args.timeout || 0);
-        }
+  /**
+   * Whether a session may access a process; processes that do not exist are
+   * accessible so the tool itself reports them as not found
+   */
+  async canAccessProcess(processId, session) {
+    if (session.admin) {
+      return true;
+    }
+    const processInfo = await this.commandRunner.findProcess(processId);
+    return !processInfo || this.ownsProcess(session, processInfo);
+  }
 
-        if (name === 'get_command_output') {
-          return await this.commandRunner.getOutput(args.process_id, args.tail || 0);
-        }
+  /**
+   * Whether a process belongs to a session, or the session is an admin session
+   */
+  ownsProcess(session, processInfo) {
+    return session.admin || processInfo.session_id === session.id;
+  }
 
-        if (name === 'list_processes') {
-          return await this.commandRunner.listProcesses(args.status || null);
-        }
+  /**
+   * Whether a session may use a shell; unknown shells are left to the tool to report
+   */
+  canAccessShell(shellId, session) {
+    const shell = this.shellManager.getShell(shellId);
+    return session.admin || !shell || shell.session_id === session.id;
+  }
 
-        if (name === 'kill_process') {
-          return await this.commandRunner.killProcess(args.process_id);
-        }
+  /**
+   * Whether a session may use a schedule; unknown schedules are left to the tool to report
+   */
+  canAccessSchedule(scheduleId, session) {
+    const schedule = this.scheduler.getSchedule(scheduleId);
+    return session.admin || !schedule || schedule.session_id === session.id;
+  }
 
-        if (name === 'clear_processes') {
-          return await this.commandRunner.clearProcesses(args.process_id || null);
-        }
-      } catch (error) {
-        console.error(`[MCP Server] Error executing tool ${name}:`, error);
-        throw new Error(`Tool execution failed: ${error.message}`);
+  /**
+   * Whether the session owning a stored schedule can still come back after a restart:
+   * REST sessions can while their API key exists (without API keys, while authentication
+   * stays disabled), MCP HTTP sessions never do
+   */
+  isScheduleOwnerActive(sessionId) {
+    if (sessionId === REST_ANONYMOUS_SESSION_ID) {
+      return !this.apiKeys.enabled;
+    }
+    if (sessionId.startsWith(REST_SESSION_PREFIX)) {
+      const name = sessionId.slice(REST_SESSION_PREFIX.length);
+      return this.apiKeys.keys.some(key => key.name === name);
+    }
+    return this.sessions.sessions.has(sessionId);
+  }
+
+  /**
+   * Whether a session may use a pipeline; unknown pipelines are left to the tool to report
+   */
+  canAccessPipeline(pipelineId, session) {
+    const pipeline = this.pipelineManager.getPipeline(pipelineId);
+    return session.admin || !pipeline || pipeline.session_id === session.id;
+  }
+
+  /**
+   * Session whose processes list_processes/clear_processes cover; undefined covers all sessions
+   */
+  getSessionScope(session, allSessions) {
+    if (!session.id || (session.admin && allSessions)) {
+      return undefined;
+    }
+    return session.id;
+  }
+
+  /**
+   * Run a command synchronously, reporting its output as progress notifications
+   * when the request carries a progressToken
+   */
+  async runCommandWithProgress(args, timeout, session, request, extra) {
+    const options = { ...this.getExecutionOptions(args), session_id: session.id, parse: args.parse };
+    const progressToken = request.params._meta && request.params._meta.progressToken;
+    if (progressToken === undefined) {
+      return await this.commandRunner.runCommand(args.command, timeout, options);
+    }
+
+    let bytes = 0;
+    const coalescer = new OutputCoalescer(({ stdout, stderr }) => {
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken: progressToken,
+          progress: bytes,
+          message: this.redactor.redactText(stdout + stderr),
+        },
+      }).catch((error) => {
+        console.error('[MCP Server] Error sending progress notification:', error.message);
+      });
+    });
+
+    try {
+      return await this.commandRunner.runCommand(args.command, timeout, {
+        ...options,
+        onOutput: (stream, text) => {
+          bytes += Buffer.byteLength(text);
+          coalescer.push(stream, text);
+        },
+      });
+    } finally {
+      coalescer.flush();
+    }
+  }
+
+  /**
+   * Send the output and final status of a started process to the client that
+   * started it, as notifications/message log events
+   * @param {Object} result - Result of startCommand
+   * @param {Object} session - Session that started the process
+   */
+  watchProcess(result, session) {
+    const { success, process_id: processId } = JSON.parse(result.content[0].text);
+    if (!success) {
+      return;
+    }
+
+    // In HTTP mode notifications go to the session's standalone SSE stream
+    const transport = session.server.transport;
+    this.notifier.watch(processId, (level, data) => {
+      if (!transport || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(session.logLevel)) {
+        return;
       }
+      this.sendNotification(transport, {
+        method: 'notifications/message',
+        params: { level: level, logger: 'process', data: this.redactor.redactValue(data).value },
+      }).catch((error) => {
+        console.error(`[MCP Server] Error sending notification for process ${processId}:`, error.message);
+        this.notifier.unwatch(processId);
+      });
+    });
+  }
 
-      throw new Error(`Unknown tool: ${name}`);
+  /**
+   * Check a run_command/start_command request against the command policy,
+   * asking the user through elicitation when a rule requires confirmation
+   * @returns {Object} Policy decision, with the timeout to use when allowed
+   */
+  async enforcePolicy(args, timeout, session) {
+    const decision = this.policy.evaluate({
+      command: args.command,
+      args: args.args,
+      shell: args.shell,
+      cwd: args.cwd,
+      timeout: timeout,
     });
+
+    if (decision.action !== 'confirm') {
+      return decision;
+    }
+
+    const capabilities = session.server.getClientCapabilities();
+    if (!capabilities || !capabilities.elicitation) {
+      decision.reason = `${decision.reason} (requires confirmation, but the client does not support elicitation)`;
+      return decision;
+    }
+
+    try {
+      const result = await session.server.elicitInput({
+        message: `The command policy requires confirmation to run:\n\n${args.command}\n\nReason: ${decision.reason}`,
+        requestedSchema: {
+          type: 'object',
+          properties: {
+            confirm: {
+              type: 'boolean',
+              title: 'Run this command?',
+            },
+          },
+          required: ['confirm'],
+        },
+      });
+      if (result.action === 'accept' && result.content && result.content.confirm === true) {
+        return { ...decision, allowed: true, confirmed: true };
+      }
+      decision.reason = `${decision.reason} (confirmation declined)`;
+    } catch (error) {
+      decision.reason = `${decision.reason} (confirmation failed: ${error.message})`;
+    }
+    return decision;
+  }
+
+  /**
+   * Tool result for a command rejected by the policy
+   */
+  createPolicyDeniedResult(command, decision) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: 'Command denied by policy',
+            command: command,
+            policy: {
+              action: decision.action,
+              rule: decision.rule,
+              reason: decision.reason,
+              segment: decision.segment,
+            },
+          }, null, 2),
+        },
+      ],
+    };
   }
 
   setupErrorHandling() {
@@ -181,15 +1896,22 @@ class MCPServer {
     };
 
     process.on('SIGINT', async () => {
+      await this.sessions.endAll();
+      this.shellManager.closeAll();
+      this.tasks.unwatch();
+      this.scheduler.stop();
+      await this.auditLog.close();
       await this.server.close();
       if (this.database) {
-        this.database.close();
+        await this.database.close();
       }
       process.exit(0);
     });
   }
 
   async run() {
+    // Commands are not run unaudited: a log that cannot be continued stops the server
+    await this.auditLog.ready;
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     console.error('[MCP Server] MCP Server running on stdio');
@@ -201,20 +1923,20 @@ class MCPServer {
    * Handle GET requests for SSE streams (Server-Sent Events)
    */
   async handleGetRequest(req, res) {
-    const sessionId = req.headers['mcp-session-id'];
-    if (!sessionId || !this.transports[sessionId]) {
-      res.status(400).json(
-        this.createErrorResponse('Bad Request: invalid session ID or method.')
-      );
+    const sessionId = req.headers[SESSION_ID_HEADER_NAME];
+    const session = this.sessions.get(sessionId);
+    if (!this.authorizeRequest(req, res, session)) {
+      return;
+    }
+    if (!session) {
+      this.rejectSession(sessionId, res);
       return;
     }
 
     console.log(`[MCP Server] Establishing SSE stream for session ${sessionId}`);
-    const transport = this.transports[sessionId];
-    await transport.handleRequest(req, res);
-
-    // Optional: Send streaming messages if needed
-    // await this.streamMessages(transport);
+    // Process notifications are sent on this stream while it is open
+    this.sessions.track(session, res);
+    await session.transport.handleRequest(req, res);
   }
 
   /**
@@ -222,36 +1944,58 @@ class MCPServer {
    */
   async handlePostRequest(req, res) {
     const sessionId = req.headers[SESSION_ID_HEADER_NAME];
-    let transport;
 
     try {
-      // Reuse existing transport
-      if (sessionId && this.transports[sessionId]) {
-        transport = this.transports[sessionId];
-        await transport.handleRequest(req, res, req.body);
+      const existing = this.sessions.get(sessionId);
+      const apiKey = this.authorizeRequest(req, res, existing);
+      if (!apiKey) {
+        return;
+      }
+
+      // Reuse existing session
+      if (existing) {
+        this.sessions.track(existing, res);
+        await existing.transport.handleRequest(req, res, req.body);
+        return;
+      }
+      if (sessionId) {
+        this.rejectSession(sessionId, res);
         return;
       }
 
-      // Create new transport for initialize request
+      // Create new session for initialize request
       if (!sessionId && this.isInitializeRequest(req.body)) {
         // Dynamically import StreamableHTTPServerTransport
         const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
 
-        transport = new StreamableHTTPServerTransport({
+        // Each session gets its own Server so responses go back to the right client
+        const session = {
+          id: null,
+          server: this.createServer(),
+          transport: null,
+          apiKey: this.apiKeys.enabled ? apiKey : null,
+          admin: this.apiKeys.enabled && apiKey.admin,
+          logLevel: 'debug',
+        };
+        this.setupToolHandlers(session);
+
+        const transport = new StreamableHTTPServerTransport({
           sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (newSessionId) => {
+            session.id = newSessionId;
+            session.transport = transport;
+            this.sessions.add(session);
+          },
+          onsessionclosed: (closedSessionId) => this.sessions.end(closedSessionId, 'deleted'),
         });
+        transport.onclose = () => {
+          if (session.id) {
+            this.sessions.end(session.id, 'closed');
+          }
+        };
 
-        await this.server.connect(transport);
+        await session.server.connect(transport);
         await transport.handleRequest(req, res, req.body);
-
-        // Session ID will only be available (if not in Stateless-Mode)
-        // after handling the first request
-        const newSessionId = transport.sessionId;
-        if (newSessionId) {
-          this.transports[newSessionId] = transport;
-          console.log(`[MCP Server] New session created: ${newSessionId}`);
-        }
-
         return;
       }
 
@@ -264,13 +2008,147 @@ class MCPServer {
     }
   }
 
+  /**
+   * Handle DELETE requests ending a session
+   */
+  async handleDeleteRequest(req, res) {
+    const sessionId = req.headers[SESSION_ID_HEADER_NAME];
+    const session = this.sessions.get(sessionId);
+    if (!this.authorizeRequest(req, res, session)) {
+      return;
+    }
+    if (!session) {
+      this.rejectSession(sessionId, res);
+      return;
+    }
+
+    console.log(`[MCP Server] Closing session ${sessionId} on client request`);
+    await session.transport.handleRequest(req, res);
+  }
+
+  /**
+   * Reject a request without a session ID, or with one that is unknown or has
+   * expired (404 tells the client to start a new session)
+   */
+  rejectSession(sessionId, res) {
+    if (sessionId) {
+      res.status(404).json(this.createErrorResponse('Session not found.'));
+      return;
+    }
+    res.status(400).json(
+      this.createErrorResponse('Bad Request: invalid session ID or method.')
+    );
+  }
+
+  /**
+   * Check the Origin header and API key of an HTTP request, answering it with a
+   * JSON-RPC error when it is rejected
+   * @param {Object} session - Session the request belongs to, if any
+   * @returns {Object|boolean} The matching API key, true when authentication is
+   *   disabled, or false when the request was rejected
+   */
+  authorizeRequest(req, res, session) {
+    const check = this.checkRequest(req, session);
+    if (check.error) {
+      if (check.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      res.status(check.status).json(this.createErrorResponse(check.error));
+      return false;
+    }
+    return check.apiKey;
+  }
+
+  /**
+   * Check the Origin header and API key of an HTTP request
+   * @param {Object} session - Session the request belongs to, if any
+   * @returns {{ apiKey: Object|boolean } | { status: number, error: string }} apiKey is the
+   *   matching API key, or true when authentication is disabled
+   */
+  checkRequest(req, session) {
+    if (!this.isOriginAllowed(req.headers.origin)) {
+      console.log(`[MCP Server] Rejected request from origin ${req.headers.origin}`);
+      return { status: 403, error: 'Forbidden: origin not allowed.' };
+    }
+
+    if (!this.apiKeys.enabled) {
+      return { apiKey: true };
+    }
+
+    const apiKey = this.apiKeys.authenticate(this.getRequestToken(req));
+    if (!apiKey) {
+      return { status: 401, error: 'Unauthorized: missing or invalid API key.' };
+    }
+
+    // A session may only be used with the key that created it
+    if (session && session.apiKey && session.apiKey.name !== apiKey.name) {
+      return { status: 403, error: 'Forbidden: session belongs to another API key.' };
+    }
+    return { apiKey };
+  }
+
+  /**
+   * API key sent as "Authorization: Bearer <key>" or in the X-API-Key header
+   */
+  getRequestToken(req) {
+    const authorization = req.headers.authorization || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : req.headers['x-api-key'];
+  }
+
+  /**
+   * Whether browser requests from an origin are accepted (ALLOWED_ORIGINS)
+   */
+  isOriginAllowed(origin) {
+    return isOriginAllowed(origin, this.allowedOrigins);
+  }
+
+  /**
+   * Kill or detach the running processes of an HTTP session that has ended,
+   * depending on SESSION_END_ACTION
+   */
+  async endSession(session, reason) {
+    // Nobody else can use the session's shells, so they are always closed
+    this.shellManager.getShells(session.id).forEach(shell => this.shellManager.destroyShell(shell));
+    if (this.sessionEndAction === 'kill') {
+      this.scheduler.getSchedules(session.id).forEach(schedule => this.scheduler.removeSchedule(schedule));
+      // A failed attempt waiting for its retry is not running, so it is not killed below
+      for (const processInfo of this.commandRunner.processes.values()) {
+        if (processInfo.session_id === session.id && this.commandRunner.cancelRetry(processInfo)) {
+          console.log(`[MCP Server] Cancelled the retry of process ${processInfo.id} of session ${session.id}`);
+          this.commandRunner.persistProcess(processInfo);
+        }
+      }
+    }
+
+    const processes = this.commandRunner.getRunningProcesses(session.id);
+    processes.forEach(processInfo => this.notifier.unwatch(processInfo.id));
+    if (processes.length === 0) {
+      return;
+    }
+
+    if (this.sessionEndAction === 'detach') {
+      console.log(`[MCP Server] Leaving ${processes.length} processes of session ${session.id} running (${reason})`);
+      return;
+    }
+
+    console.log(`[MCP Server] Killing ${processes.length} processes of session ${session.id} (${reason})`);
+    await Promise.all(processes.map(processInfo => this.commandRunner.killProcess(processInfo.id)));
+  }
+
   /**
    * Cleanup resources
    */
   async cleanup() {
+    this.shuttingDown = true;
+    await this.sessions.endAll();
+    this.shellManager.closeAll();
+    this.tasks.unwatch();
+    this.scheduler.stop();
+    await this.auditLog.close();
     await this.server.close();
     if (this.database) {
-      this.database.close();
+      await this.database.close();
     }
   }
 
@@ -313,48 +2191,6 @@ class MCPServer {
     }
     return isInitial(body);
   }
-
-  /**
-   * Optional: Stream messages for SSE demo
-   */
-  async streamMessages(transport) {
-    try {
-      const message = {
-        method: 'notifications/message',
-        params: { level: 'info', data: 'SSE Connection established' },
-      };
-
-      await this.sendNotification(transport, message);
-
-      let messageCount = 0;
-      const interval = setInterval(async () => {
-        messageCount++;
-        const data = `Message ${messageCount} at ${new Date().toISOString()}`;
-
-        const notification = {
-          method: 'notifications/message',
-          params: { level: 'info', data: data },
-        };
-
-        try {
-          await this.sendNotification(transport, notification);
-
-          if (messageCount >= 3) {
-            clearInterval(interval);
-            await this.sendNotification(transport, {
-              method: 'notifications/message',
-              params: { level: 'info', data: 'Streaming complete!' },
-            });
-          }
-        } catch (error) {
-          console.error('[MCP Server] Error sending message:', error);
-          clearInterval(interval);
-        }
-      }, 1000);
-    } catch (error) {
-      console.error('[MCP Server] Error in streamMessages:', error);
-    }
-  }
 }
 
 module.exports = {
@@ -0,0 +1,144 @@
+// Minimum delay between two output notifications for the same process
+const DEFAULT_INTERVAL = parseInt(process.env.NOTIFICATION_INTERVAL_MS, 10) || 500;
+// Characters of each stream sent per notification; older pending output is dropped
+const MAX_CHUNK_LENGTH = 16 * 1024;
+
+/**
+ * Collects output chunks and hands them over at most once per interval
+ */
+class OutputCoalescer {
+  /**
+   * @param {Function} onFlush - Called with { stdout, stderr, truncated } for each batch
+   * @param {number} interval - Minimum milliseconds between batches
+   */
+  constructor(onFlush, interval = DEFAULT_INTERVAL) {
+    this.onFlush = onFlush;
+    this.interval = interval;
+    this.pending = { stdout: '', stderr: '' };
+    this.truncated = false;
+    this.timer = null;
+  }
+
+  push(stream, text) {
+    this.pending[stream] += text;
+    if (this.pending[stream].length > MAX_CHUNK_LENGTH) {
+      this.pending[stream] = this.pending[stream].slice(-MAX_CHUNK_LENGTH);
+      this.truncated = true;
+    }
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.interval);
+    }
+  }
+
+  /**
+   * Hand over pending output immediately
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.pending.stdout && !this.pending.stderr) {
+      return;
+    }
+    const batch = { ...this.pending, truncated: this.truncated };
+    this.pending = { stdout: '', stderr: '' };
+    this.truncated = false;
+    this.onFlush(batch);
+  }
+}
+
+/**
+ * Sends live output and the final status of background processes to MCP clients
+ */
+class ProcessNotifier {
+  /**
+   * @param {CommandRunner} commandRunner - Runner emitting 'output', 'exit' and 'retry' events
+   * @param {number} interval - Minimum milliseconds between notifications per process
+   */
+  constructor(commandRunner, interval = DEFAULT_INTERVAL) {
+    this.interval = interval;
+    // Watched processes: process_id -> { send, coalescer }
+    this.watchers = new Map();
+    // Failed attempts waiting to be retried: process_id -> send
+    this.retrying = new Map();
+
+    commandRunner.on('output', (processInfo, stream, text) => {
+      const watcher = this.watchers.get(processInfo.id);
+      if (watcher) {
+        watcher.coalescer.push(stream, text);
+      }
+    });
+
+    commandRunner.on('exit', (processInfo) => {
+      const watcher = this.watchers.get(processInfo.id);
+      if (!watcher) {
+        return;
+      }
+      watcher.coalescer.flush();
+      this.watchers.delete(processInfo.id);
+      if (processInfo.next_attempt_at) {
+        this.retrying.set(processInfo.id, watcher.send);
+      }
+      watcher.send(processInfo.status === 'completed' ? 'info' : 'warning', {
+        process_id: processInfo.id,
+        event: 'exit',
+        status: processInfo.status,
+        exit_code: processInfo.exit_code,
+        error: processInfo.error,
+        finished_at: processInfo.finished_at,
+        next_attempt_at: processInfo.next_attempt_at || undefined,
+      });
+    });
+
+    // The next attempt of a watched process is watched by the same client
+    commandRunner.on('retry', (previousInfo, processInfo) => {
+      const send = this.retrying.get(previousInfo.id);
+      if (!send) {
+        return;
+      }
+      this.retrying.delete(previousInfo.id);
+      this.watch(processInfo.id, send);
+      send('info', {
+        process_id: processInfo.id,
+        event: 'retry',
+        previous_attempt_id: previousInfo.id,
+        attempt: processInfo.attempt,
+        max_attempts: processInfo.max_attempts,
+      });
+    });
+  }
+
+  /**
+   * Start sending notifications for a process
+   * @param {string} processId - The process to watch
+   * @param {Function} send - Called with (level, data) for each notification
+   */
+  watch(processId, send) {
+    const coalescer = new OutputCoalescer(({ stdout, stderr, truncated }) => {
+      send('info', {
+        process_id: processId,
+        event: 'output',
+        stdout: stdout,
+        stderr: stderr,
+        truncated: truncated,
+      });
+    }, this.interval);
+    this.watchers.set(processId, { send, coalescer });
+  }
+
+  /**
+   * Stop sending notifications for a process
+   */
+  unwatch(processId) {
+    this.retrying.delete(processId);
+    const watcher = this.watchers.get(processId);
+    if (watcher) {
+      clearTimeout(watcher.coalescer.timer);
+      this.watchers.delete(processId);
+    }
+  }
+}
+
+module.exports = {
+  OutputCoalescer,
+  ProcessNotifier,
+};
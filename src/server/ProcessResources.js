@@ -0,0 +1,220 @@
+const { McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { MAX_READ_BYTES } = require('../tools/output');
+
+// Error code of resources/read and resources/subscribe for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+// process://<process_id>/<stdout|stderr|info>
+const URI_PATTERN = /^process:\/\/([^/]+)\/(stdout|stderr|info)$/;
+const RESOURCE_TYPES = ['stdout', 'stderr', 'info'];
+// Minimum delay between two update notifications for the same resource
+const DEFAULT_INTERVAL = parseInt(process.env.NOTIFICATION_INTERVAL_MS, 10) || 500;
+
+/**
+ * Exposes the output and metadata of processes as MCP resources:
+ * process://<id>/stdout, process://<id>/stderr and process://<id>/info.
+ *
+ * Subscribed sessions get notifications/resources/updated as output arrives or the
+ * status changes, and every session that can see a process gets
+ * notifications/resources/list_changed when it is added or cleared.
+ */
+class ProcessResources {
+  /**
+   * @param {CommandRunner} commandRunner - Runner emitting process events
+   * @param {Object} options
+   * @param {Function} options.getSessions - Returns the connected sessions
+   * @param {Function} options.canAccess - Called with (session, processInfo); whether the session may see the process
+   * @param {number} [options.interval] - Minimum milliseconds between updates of a resource
+   */
+  constructor(commandRunner, options) {
+    this.commandRunner = commandRunner;
+    this.getSessions = options.getSessions;
+    this.canAccess = options.canAccess;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    // Resources changed since the last flush, and processes added or cleared
+    this.updated = new Set();
+    this.changed = [];
+    this.timer = null;
+
+    commandRunner.on('output', (processInfo, stream) => {
+      this.markUpdated(getResourceUri(processInfo.id, stream));
+    });
+    commandRunner.on('start', (processInfo) => {
+      this.markUpdated(getResourceUri(processInfo.id, 'info'));
+    });
+    commandRunner.on('exit', (processInfo) => {
+      this.markUpdated(getResourceUri(processInfo.id, 'info'));
+      // Final output and status are sent right away
+      this.flush();
+    });
+    commandRunner.on('added', (processInfo) => this.markChanged(processInfo));
+    commandRunner.on('removed', (processInfo) => this.markChanged(processInfo));
+  }
+
+  /**
+   * Resources of the tracked processes a session can see, newest first
+   */
+  list(session) {
+    return Array.from(this.commandRunner.processes.values())
+      .filter(processInfo => this.canAccess(session, processInfo))
+      .reverse()
+      .flatMap(processInfo => RESOURCE_TYPES.map(type => ({
+        uri: getResourceUri(processInfo.id, type),
+        name: `${processInfo.command} (${type})`,
+        description: type === 'info'
+          ? `Status and metadata of process ${processInfo.id}`
+          : `Most recent ${type} of process ${processInfo.id}`,
+        mimeType: type === 'info' ? 'application/json' : 'text/plain',
+      })));
+  }
+
+  /**
+   * URI templates for reading processes that are not listed, e.g. from history
+   */
+  listTemplates() {
+    return RESOURCE_TYPES.map(type => ({
+      uriTemplate: `process://{process_id}/${type}`,
+      name: `Process ${type}`,
+      description: type === 'info'
+        ? 'Status and metadata of a process'
+        : `Most recent ${type} of a process, up to ${MAX_READ_BYTES} bytes`,
+      mimeType: type === 'info' ? 'application/json' : 'text/plain',
+    }));
+  }
+
+  /**
+   * Contents of a process resource, including processes recorded before a restart
+   */
+  async read(uri, session) {
+    const { processInfo, type } = await this.resolve(uri, session);
+
+    if (type === 'info') {
+      return {
+        contents: [{
+          uri: uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(await this.getInfo(processInfo), null, 2),
+        }],
+      };
+    }
+
+    const buffer = this.commandRunner.getOutputBuffers(processInfo)[type];
+    const result = await buffer.read(Math.max(buffer.startOffset, buffer.totalBytes - MAX_READ_BYTES));
+    return {
+      contents: [{ uri: uri, mimeType: 'text/plain', text: result.text }],
+    };
+  }
+
+  async subscribe(uri, session) {
+    await this.resolve(uri, session);
+    session.subscriptions = session.subscriptions || new Set();
+    session.subscriptions.add(uri);
+  }
+
+  unsubscribe(uri, session) {
+    if (session.subscriptions) {
+      session.subscriptions.delete(uri);
+    }
+  }
+
+  /**
+   * Find the process behind a resource URI the session may access
+   * @throws {McpError} For malformed URIs and unknown or inaccessible processes
+   */
+  async resolve(uri, session) {
+    const match = URI_PATTERN.exec(uri);
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+    }
+    const processInfo = await this.commandRunner.findProcess(match[1]);
+    // Processes of other sessions are reported as not found
+    if (!processInfo || !this.canAccess(session, processInfo)) {
+      throw new McpError(RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+    return { processInfo, type: match[2] };
+  }
+
+  async getInfo(processInfo) {
+    const buffers = this.commandRunner.getOutputBuffers(processInfo);
+    return {
+      process_id: processInfo.id,
+      pid: processInfo.pid,
+      command: processInfo.command,
+      args: processInfo.args,
+      cwd: processInfo.cwd,
+      mode: processInfo.mode,
+      pty: processInfo.pty,
+      session_id: processInfo.session_id,
+      status: processInfo.status,
+      exit_code: processInfo.exit_code,
+      error: processInfo.error,
+      limits: processInfo.limits,
+      limit_exceeded: processInfo.limit_exceeded,
+      schedule_id: processInfo.schedule_id,
+      attempt: processInfo.attempt,
+      max_attempts: processInfo.max_attempts,
+      previous_attempt_id: processInfo.previous_attempt_id,
+      next_attempt_id: processInfo.next_attempt_id,
+      timed_out: processInfo.timed_out,
+      stdout_bytes: buffers.stdout.totalBytes,
+      stderr_bytes: buffers.stderr.totalBytes,
+      started_at: processInfo.started_at,
+      finished_at: processInfo.finished_at,
+    };
+  }
+
+  markUpdated(uri) {
+    this.updated.add(uri);
+    this.schedule();
+  }
+
+  markChanged(processInfo) {
+    this.changed.push(processInfo);
+    this.schedule();
+  }
+
+  schedule() {
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.interval);
+    }
+  }
+
+  /**
+   * Send the pending notifications to the connected sessions
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const updated = this.updated;
+    const changed = this.changed;
+    this.updated = new Set();
+    this.changed = [];
+
+    for (const session of this.getSessions()) {
+      const server = session.server;
+      if (!server.transport) {
+        continue;
+      }
+      for (const uri of updated) {
+        if (session.subscriptions && session.subscriptions.has(uri)) {
+          server.sendResourceUpdated({ uri }).catch((error) => {
+            console.error(`[MCP Server] Error sending update of ${uri}:`, error.message);
+          });
+        }
+      }
+      if (changed.some(processInfo => this.canAccess(session, processInfo))) {
+        server.sendResourceListChanged().catch((error) => {
+          console.error('[MCP Server] Error sending resource list change:', error.message);
+        });
+      }
+    }
+  }
+}
+
+function getResourceUri(processId, type) {
+  return `process://${processId}/${type}`;
+}
+
+module.exports = {
+  ProcessResources,
+  getResourceUri,
+};
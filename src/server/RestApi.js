@@ -0,0 +1,350 @@
+const express = require('express');
+const { decodeCursor } = require('../tools/output');
+
+// Query parameters converted from strings before they are passed to a tool
+const NUMBER_PARAMS = ['limit', 'offset', 'tail', 'head', 'start_byte', 'end_byte', 'grace_period_ms'];
+const BOOLEAN_PARAMS = ['all_sessions', 'screen'];
+// Lines of recent output sent when a stream opens without a cursor
+const DEFAULT_STREAM_TAIL = 10;
+// Bytes read from the end of each stream to find those lines
+const TAIL_READ_BYTES = 64 * 1024;
+// Interval of the SSE comments keeping idle streams open through proxies
+const KEEPALIVE_INTERVAL = 15000;
+// Session ID of the REST requests made with an API key: rest:<key name>
+const REST_SESSION_PREFIX = 'rest:';
+// Session ID of the REST requests when authentication is disabled
+const REST_ANONYMOUS_SESSION_ID = 'rest';
+
+/**
+ * Plain HTTP routes for process control, for dashboards and scripts that do not
+ * speak MCP. Each route runs the matching MCP tool, so API key scopes, the command
+ * policy, the audit log and secret redaction apply as they do on the MCP endpoint.
+ *
+ * Requests made with an API key act as one session per key: non-admin keys see
+ * the processes they started through this API. Without API keys all requests
+ * share one non-admin session, as MCP HTTP sessions are non-admin then too.
+ */
+class RestApi {
+  /**
+   * @param {MCPServer} mcpServer - Server whose command runner, policy, API keys and audit log the routes use
+   */
+  constructor(mcpServer) {
+    this.mcpServer = mcpServer;
+    // Never connected: commands needing confirmation are denied, as for clients without elicitation
+    this.server = mcpServer.createServer();
+    this.router = this.createRouter();
+  }
+
+  createRouter() {
+    const router = express.Router();
+
+    router.get('/processes', (req, res) => {
+      this.handleToolRequest(req, res, 'list_processes', parseQuery(req.query));
+    });
+
+    router.post('/processes', (req, res) => {
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        res.status(400).json({ success: false, error: 'Request body must be a JSON object' });
+        return;
+      }
+      // Notifications need an MCP session; use the stream route instead
+      this.handleToolRequest(req, res, 'start_command', { ...req.body, notify: false }, 201);
+    });
+
+    // Before /processes/:id routes, which would take "clear" for a process ID
+    router.post('/processes/clear', (req, res) => {
+      this.handleToolRequest(req, res, 'clear_processes', parseQuery(req.query));
+    });
+
+    router.get('/processes/:id', (req, res) => {
+      this.handleToolRequest(req, res, 'get_command_output', { ...parseQuery(req.query), process_id: req.params.id });
+    });
+
+    router.delete('/processes/:id', (req, res) => {
+      this.handleToolRequest(req, res, 'kill_process', { ...parseQuery(req.query), process_id: req.params.id });
+    });
+
+    router.post('/processes/:id/clear', (req, res) => {
+      this.handleToolRequest(req, res, 'clear_processes', { process_id: req.params.id });
+    });
+
+    router.post('/processes/:id/restart', (req, res) => {
+      this.handleRestartRequest(req, res).catch(error => this.handleError(res, error));
+    });
+
+    router.get('/processes/:id/stream', (req, res) => {
+      this.handleStreamRequest(req, res).catch(error => this.handleError(res, error));
+    });
+
+    router.get('/sessions', (req, res) => this.handleSessionsRequest(req, res));
+
+    return router;
+  }
+
+  /**
+   * Answer a request with the result of a tool, with an HTTP status matching its outcome
+   * @param {number} successStatus - Status of a successful call
+   */
+  async handleToolRequest(req, res, toolName, args, successStatus = 200) {
+    const session = this.authenticate(req, res, toolName);
+    if (!session) {
+      return;
+    }
+
+    try {
+      const request = { method: 'tools/call', params: { name: toolName, arguments: args } };
+      const result = this.mcpServer.redactor.redactResult(await this.mcpServer.callToolWithAudit(request, {}, session));
+      const body = JSON.parse(result.content[0].text);
+      res.status(body.success === false ? getErrorStatus(body) : successStatus).json(body);
+    } catch (error) {
+      this.handleError(res, error);
+    }
+  }
+
+  handleError(res, error) {
+    console.error('[MCP Server] Error handling REST request:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    } else {
+      res.end();
+    }
+  }
+
+  /**
+   * Start a process again through start_command, with the command, arguments, working
+   * directory, shell, terminal, limits and executor it ran with. Environment variables
+   * passed to the original run are not kept, so they are not passed again.
+   */
+  async handleRestartRequest(req, res) {
+    const session = this.authenticate(req, res, 'start_command');
+    if (!session) {
+      return;
+    }
+
+    const processId = req.params.id;
+    const processInfo = await this.mcpServer.commandRunner.findProcess(processId);
+    if (!processInfo || !this.mcpServer.ownsProcess(session, processInfo)) {
+      res.status(404).json({ success: false, error: 'Process not found', process_id: processId });
+      return;
+    }
+
+    await this.handleToolRequest(req, res, 'start_command', {
+      command: processInfo.command,
+      args: processInfo.args && processInfo.args.length > 0 ? processInfo.args : undefined,
+      shell: processInfo.shell || undefined,
+      cwd: processInfo.cwd || undefined,
+      limits: processInfo.limits || undefined,
+      executor: processInfo.executor || undefined,
+      pty: Boolean(processInfo.pty),
+      cols: processInfo.pty ? processInfo.pty.cols : undefined,
+      rows: processInfo.pty ? processInfo.pty.rows : undefined,
+      notify: false,
+    }, 201);
+  }
+
+  /**
+   * Connected MCP sessions of the HTTP transport, for admin keys only
+   */
+  handleSessionsRequest(req, res) {
+    const session = this.authenticate(req, res);
+    if (!session) {
+      return;
+    }
+    if (!session.admin) {
+      res.status(403).json({ success: false, error: 'Listing sessions requires an admin API key' });
+      return;
+    }
+
+    const { commandRunner, shellManager } = this.mcpServer;
+    const sessions = Array.from(this.mcpServer.sessions.sessions.values()).map(entry => ({
+      session_id: entry.id,
+      api_key: entry.apiKey ? entry.apiKey.name : null,
+      admin: entry.admin,
+      client: entry.server.getClientVersion() || null,
+      log_level: entry.logLevel,
+      open_requests: entry.openRequests,
+      created_at: new Date(entry.createdAt).toISOString(),
+      last_activity_at: new Date(entry.lastActivity).toISOString(),
+      running_processes: commandRunner.getRunningProcesses(entry.id).length,
+      shells: shellManager.getShells(entry.id).length,
+    }));
+    res.json({ success: true, total: sessions.length, sessions: sessions });
+  }
+
+  /**
+   * Live tail of a process as Server-Sent Events: a `process` event describing it,
+   * `stdout` and `stderr` events with output as it is written, and a final `exit`
+   * event. Output events carry a cursor as their id, so reconnecting clients resume
+   * through Last-Event-ID.
+   */
+  async handleStreamRequest(req, res) {
+    const session = this.authenticate(req, res, 'get_command_output');
+    if (!session) {
+      return;
+    }
+
+    const processId = req.params.id;
+    const commandRunner = this.mcpServer.commandRunner;
+    const processInfo = await commandRunner.findProcess(processId);
+    if (!processInfo || !this.mcpServer.ownsProcess(session, processInfo)) {
+      res.status(404).json({ success: false, error: 'Process not found', process_id: processId });
+      return;
+    }
+
+    let offsets;
+    const cursor = req.headers['last-event-id'] || req.query.since_cursor;
+    if (cursor) {
+      offsets = decodeCursor(cursor);
+      if (!offsets) {
+        res.status(400).json({ success: false, error: 'Invalid since_cursor', process_id: processId });
+        return;
+      }
+    } else {
+      const tail = req.query.tail === undefined ? DEFAULT_STREAM_TAIL : Number(req.query.tail);
+      if (!Number.isInteger(tail) || tail < 0) {
+        res.status(400).json({ success: false, error: 'tail must be a non-negative integer', process_id: processId });
+        return;
+      }
+      const buffers = commandRunner.getOutputBuffers(processInfo);
+      offsets = {
+        stdout: await getTailOffset(buffers.stdout, tail),
+        stderr: await getTailOffset(buffers.stderr, tail),
+      };
+    }
+
+    const redactor = this.mcpServer.redactor;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    const send = (event, data, id = null) => {
+      res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('process', {
+      process_id: processInfo.id,
+      command: redactor.redactText(processInfo.command),
+      pid: processInfo.pid === undefined ? null : processInfo.pid,
+      status: processInfo.status,
+      started_at: processInfo.started_at || null,
+    });
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+    const stop = commandRunner.followOutput(processInfo, offsets, {
+      onData: (stream, text, nextCursor) => send(stream, { text: redactor.redactText(text) }, nextCursor),
+      onExit: (info) => {
+        send('exit', {
+          status: info.status,
+          exit_code: info.exit_code === undefined ? null : info.exit_code,
+          error: info.error ? redactor.redactText(info.error) : null,
+          finished_at: info.finished_at || null,
+        });
+        res.end();
+      },
+    });
+    res.on('close', () => {
+      clearInterval(keepalive);
+      stop();
+    });
+  }
+
+  /**
+   * Authenticate a request like the MCP endpoint does and check the API key grants a tool
+   * @param {string} [toolName] - Tool the request runs, if any
+   * @returns {Object|null} Session the tool runs for, or null when the request was answered with an error
+   */
+  authenticate(req, res, toolName = null) {
+    const check = this.mcpServer.checkRequest(req);
+    if (check.error) {
+      if (check.status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      res.status(check.status).json({ success: false, error: check.error });
+      return null;
+    }
+
+    const session = this.getSession(check.apiKey);
+    if (toolName && !this.mcpServer.isToolAllowed(session, toolName)) {
+      res.status(403).json({ success: false, error: `API key "${session.apiKey.name}" is not allowed to use ${toolName}` });
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Session of the requests made with an API key; apiKey is true when authentication is disabled
+   */
+  getSession(apiKey) {
+    const authenticated = apiKey !== true;
+    return {
+      id: authenticated ? `${REST_SESSION_PREFIX}${apiKey.name}` : REST_ANONYMOUS_SESSION_ID,
+      server: this.server,
+      apiKey: authenticated ? apiKey : null,
+      admin: authenticated && apiKey.admin,
+      logLevel: 'debug',
+      rest: true,
+    };
+  }
+}
+
+/**
+ * Tool arguments from query parameters, with numbers and booleans converted
+ */
+function parseQuery(query) {
+  const args = {};
+  for (const [name, value] of Object.entries(query)) {
+    if (typeof value !== 'string') {
+      continue;
+    }
+    if (NUMBER_PARAMS.includes(name) && value.trim() !== '' && !isNaN(Number(value))) {
+      args[name] = Number(value);
+    } else if (BOOLEAN_PARAMS.includes(name) && (value === 'true' || value === 'false')) {
+      args[name] = value === 'true';
+    } else {
+      args[name] = value;
+    }
+  }
+  return args;
+}
+
+/**
+ * HTTP status of a failed tool call
+ */
+function getErrorStatus(body) {
+  if (body.policy) {
+    return 403;
+  }
+  if (/ not found$/.test(body.error || '')) {
+    return 404;
+  }
+  return 400;
+}
+
+/**
+ * Byte offset at which the last lines of a stream start
+ * @param {OutputBuffer} buffer - Stream to read
+ * @param {number} lines - Number of lines (0 = the end of the output)
+ */
+async function getTailOffset(buffer, lines) {
+  const end = buffer.totalBytes;
+  if (lines === 0) {
+    return end;
+  }
+  const result = await buffer.read(Math.max(buffer.availableOffset, end - TAIL_READ_BYTES), end);
+  // A trailing newline ends the last line rather than starting another one
+  const newline = result.text.endsWith('\n') ? '\n' : '';
+  const parts = (newline ? result.text.slice(0, -1) : result.text).split('\n');
+  if (parts.length <= lines) {
+    return result.start;
+  }
+  // Counted from the end, as the start of the text read may cut a character
+  return result.end - Buffer.byteLength(parts.slice(-lines).join('\n') + newline);
+}
+
+module.exports = {
+  RestApi,
+  REST_SESSION_PREFIX,
+  REST_ANONYMOUS_SESSION_ID,
+};
@@ -0,0 +1,102 @@
+// Idle time after which an HTTP session expires (default: 1 hour)
+const DEFAULT_SESSION_TIMEOUT = parseInt(process.env.SESSION_TIMEOUT, 10) || 60 * 60 * 1000;
+// Upper bound for the delay between two expiry checks
+const MAX_SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Tracks the MCP sessions of the HTTP transport and expires idle ones.
+ *
+ * A session is idle when it has no request or SSE stream open and its last
+ * request ended more than the session timeout ago.
+ */
+class SessionManager {
+  /**
+   * @param {Object} options
+   * @param {number} [options.timeout] - Idle milliseconds before a session expires
+   * @param {Function} [options.onEnd] - Called with (session, reason) once a session has ended
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_SESSION_TIMEOUT;
+    this.onEnd = options.onEnd || (() => {});
+    // Active sessions: session_id -> { id, server, transport, admin, logLevel, ... }
+    this.sessions = new Map();
+
+    this.sweepTimer = setInterval(() => this.expireIdle(), Math.min(this.timeout, MAX_SWEEP_INTERVAL));
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Start tracking an initialized session
+   */
+  add(session) {
+    session.openRequests = 0;
+    session.createdAt = Date.now();
+    session.lastActivity = session.createdAt;
+    this.sessions.set(session.id, session);
+    console.log(`[MCP Server] New session created: ${session.id}`);
+  }
+
+  get(sessionId) {
+    return sessionId ? this.sessions.get(sessionId) : undefined;
+  }
+
+  /**
+   * Count an HTTP request (or SSE stream) as session activity until its response closes
+   */
+  track(session, res) {
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.on('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  /**
+   * End sessions that have been idle for longer than the timeout
+   */
+  expireIdle() {
+    const now = Date.now();
+    for (const session of this.sessions.values()) {
+      if (session.openRequests <= 0 && now - session.lastActivity > this.timeout) {
+        console.log(`[MCP Server] Session ${session.id} expired after ${this.timeout}ms idle`);
+        this.end(session.id, 'expired');
+      }
+    }
+  }
+
+  /**
+   * Stop tracking a session, close its connection and notify the owner
+   * @param {string} sessionId - The session to end
+   * @param {string} reason - Why it ended: closed, deleted, expired or shutdown
+   */
+  async end(sessionId, reason) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    this.sessions.delete(sessionId);
+    console.log(`[MCP Server] Session ${sessionId} ended (${reason})`);
+
+    try {
+      await this.onEnd(session, reason);
+    } finally {
+      // Closing the server closes the transport, which calls back into end() as a no-op
+      await session.server.close().catch((error) => {
+        console.error(`[MCP Server] Error closing session ${sessionId}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * End every session, e.g. on shutdown
+   */
+  async endAll(reason = 'shutdown') {
+    clearInterval(this.sweepTimer);
+    await Promise.all(Array.from(this.sessions.keys()).map(sessionId => this.end(sessionId, reason)));
+  }
+}
+
+module.exports = {
+  SessionManager,
+};
@@ -1,5 +1,9 @@
 const { MCPServer } = require('./MCPServer');
+const { RestApi } = require('./RestApi');
+const { HealthApi } = require('./HealthApi');
 
 module.exports = {
   MCPServer,
-};
\ No newline at end of file
+  RestApi,
+  HealthApi,
+};
@@ -0,0 +1,337 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Task file looked up in the server working directory when TASKS_FILE is not set
+const DEFAULT_TASKS_FILE = 'mcp-tasks.json';
+// Prefix of the tool advertised for each task
+const TOOL_PREFIX = 'task_';
+const TASK_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean'];
+const MODES = ['sync', 'async'];
+// {{name}} placeholders in command templates
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+// Delay between two checks of the task file for changes
+const WATCH_INTERVAL = 1000;
+
+/**
+ * Named command presets loaded from a project file (mcp-tasks.json) and
+ * exposed as tools. Each task has a command template with {{parameter}}
+ * placeholders, typed parameters and default execution options.
+ * Emits 'change' when the file is reloaded.
+ */
+class TaskRegistry extends EventEmitter {
+  /**
+   * @param {Object} config - { tasks: { <name>: { description, command, args, parameters, cwd, env, timeout, mode, shell, pty } } }
+   * @param {string} [source] - File the tasks were loaded from; relative cwds are resolved against its directory
+   */
+  constructor(config = {}, source = null) {
+    super();
+    this.source = source;
+    this.tasks = compileTasks(config, source ? path.dirname(source) : process.cwd());
+    this.watching = false;
+  }
+
+  /**
+   * Load tasks from a JSON or YAML file; a missing file yields no tasks
+   */
+  static load(filePath) {
+    const registry = new TaskRegistry({}, filePath);
+    registry.reload();
+    return registry;
+  }
+
+  /**
+   * Load the tasks of TASKS_FILE, or of mcp-tasks.json in the working directory, and watch the file.
+   * An invalid TASKS_FILE stops the server; an invalid mcp-tasks.json, which the server picks
+   * up without being asked to, is reported and yields no tasks until it is fixed.
+   */
+  static fromEnvironment() {
+    const filePath = path.resolve(process.env.TASKS_FILE || DEFAULT_TASKS_FILE);
+    const registry = new TaskRegistry({}, filePath);
+    try {
+      registry.reload();
+    } catch (error) {
+      if (process.env.TASKS_FILE) {
+        throw error;
+      }
+      console.error(`[MCP Server] Invalid task file ${filePath}, starting without tasks:`, error.message);
+    }
+    if (registry.tasks.size > 0) {
+      console.log(`[MCP Server] Loaded ${registry.tasks.size} tasks from ${filePath}`);
+    }
+    registry.watch();
+    return registry;
+  }
+
+  /**
+   * Read the task file again. Throws if it is invalid, keeping the current tasks.
+   */
+  reload() {
+    let config = {};
+    if (fs.existsSync(this.source)) {
+      const content = fs.readFileSync(this.source, 'utf8');
+      config = (/\.ya?ml$/i.test(this.source) ? YAML.parse(content) : JSON.parse(content)) || {};
+    }
+    this.tasks = compileTasks(config, path.dirname(this.source));
+  }
+
+  /**
+   * Reload the tasks whenever the file is created, changed or deleted
+   */
+  watch() {
+    if (this.watching) {
+      return;
+    }
+    this.watching = true;
+    fs.watchFile(this.source, { interval: WATCH_INTERVAL, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) {
+        return;
+      }
+      try {
+        this.reload();
+        console.log(`[MCP Server] Reloaded ${this.tasks.size} tasks from ${this.source}`);
+        this.emit('change');
+      } catch (error) {
+        console.error(`[MCP Server] Invalid task file ${this.source}, keeping the previous tasks:`, error.message);
+      }
+    });
+  }
+
+  unwatch() {
+    if (this.watching) {
+      fs.unwatchFile(this.source);
+      this.watching = false;
+    }
+  }
+
+  /**
+   * Task behind a tool name, if any
+   */
+  getByToolName(toolName) {
+    return toolName.startsWith(TOOL_PREFIX) ? this.tasks.get(toolName.slice(TOOL_PREFIX.length)) : undefined;
+  }
+
+  /**
+   * Tool definitions of all tasks, with input schemas built from their parameters
+   */
+  getTools() {
+    return Array.from(this.tasks.values()).map((task) => {
+      const properties = {};
+      const required = [];
+      for (const [name, parameter] of Object.entries(task.parameters)) {
+        properties[name] = {
+          type: parameter.type,
+          description: parameter.description,
+          enum: parameter.enum,
+          default: parameter.default,
+        };
+        if (parameter.required) {
+          required.push(name);
+        }
+      }
+      const runs = task.mode === 'async' ? 'Starts in the background' : 'Runs synchronously';
+      return {
+        name: TOOL_PREFIX + task.name,
+        description: `${task.description || `Run the ${task.name} task`}. ${runs}: ${task.command}${task.args ? ` ${task.args.join(' ')}` : ''}`,
+        inputSchema: {
+          type: 'object',
+          properties: properties,
+          required: required,
+        },
+      };
+    });
+  }
+
+  /**
+   * Fill in the command template of a task with the given arguments
+   * @returns {{ command: string, args: string[]|undefined, options: Object } | { error: string }}
+   */
+  render(task, values = {}) {
+    const resolved = {};
+    for (const [name, value] of Object.entries(values)) {
+      if (!(name in task.parameters)) {
+        return { error: `Unknown parameter: ${name}` };
+      }
+      const error = checkValue(task.parameters[name], value);
+      if (error) {
+        return { error: `Parameter ${name} ${error}` };
+      }
+      resolved[name] = value;
+    }
+    for (const [name, parameter] of Object.entries(task.parameters)) {
+      if (resolved[name] === undefined) {
+        if (parameter.required) {
+          return { error: `Parameter ${name} is required` };
+        }
+        resolved[name] = parameter.default;
+      }
+    }
+
+    const format = (name) => formatValue(task.parameters[name], resolved[name]);
+    // Direct execution passes each argument as is; in a shell, values are quoted
+    const command = task.args
+      ? task.command.replace(PLACEHOLDER_PATTERN, (match, name) => format(name))
+      : task.command.replace(PLACEHOLDER_PATTERN, (match, name) => quoteForShell(format(name)));
+    const args = task.args
+      ? task.args.map(arg => arg.replace(PLACEHOLDER_PATTERN, (match, name) => format(name)))
+      : undefined;
+
+    return {
+      command: command,
+      args: args,
+      options: {
+        cwd: task.cwd,
+        env: task.env,
+        shell: task.shell,
+      },
+    };
+  }
+}
+
+function compileTasks(config, baseDir) {
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Invalid task file: expected an object with a tasks map');
+  }
+  const definitions = config.tasks || {};
+  if (typeof definitions !== 'object' || Array.isArray(definitions)) {
+    throw new Error('Invalid task file: tasks must be a map of task names to definitions');
+  }
+
+  const tasks = new Map();
+  for (const [name, definition] of Object.entries(definitions)) {
+    tasks.set(name, compileTask(name, definition || {}, baseDir));
+  }
+  return tasks;
+}
+
+function compileTask(name, definition, baseDir) {
+  const label = `Invalid task "${name}"`;
+  if (!TASK_NAME_PATTERN.test(name)) {
+    throw new Error(`${label}: names may only contain letters, digits, _ and -`);
+  }
+  if (typeof definition.command !== 'string' || definition.command.trim() === '') {
+    throw new Error(`${label}: command is required`);
+  }
+  if (definition.args !== undefined && (!Array.isArray(definition.args) || definition.args.some(arg => typeof arg !== 'string'))) {
+    throw new Error(`${label}: args must be a list of strings`);
+  }
+  const mode = definition.mode || 'sync';
+  if (!MODES.includes(mode)) {
+    throw new Error(`${label}: mode must be one of ${MODES.join(', ')}`);
+  }
+  if (definition.timeout !== undefined && (!Number.isInteger(definition.timeout) || definition.timeout < 0)) {
+    throw new Error(`${label}: timeout must be a non-negative integer`);
+  }
+  if (definition.env !== undefined && (typeof definition.env !== 'object' || Array.isArray(definition.env))) {
+    throw new Error(`${label}: env must be a map of variable names to values`);
+  }
+
+  const parameters = {};
+  for (const [parameterName, parameter] of Object.entries(definition.parameters || {})) {
+    parameters[parameterName] = compileParameter(parameterName, parameter || {}, label);
+  }
+
+  const templates = [definition.command, ...(definition.args || [])];
+  for (const template of templates) {
+    for (const [, placeholder] of template.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!(placeholder in parameters)) {
+        throw new Error(`${label}: {{${placeholder}}} does not name a parameter`);
+      }
+    }
+  }
+
+  return {
+    name: name,
+    description: definition.description,
+    command: definition.command,
+    args: definition.args,
+    parameters: parameters,
+    cwd: definition.cwd ? path.resolve(baseDir, definition.cwd) : undefined,
+    env: definition.env,
+    timeout: definition.timeout,
+    mode: mode,
+    shell: definition.shell,
+    pty: definition.pty === true,
+  };
+}
+
+function compileParameter(name, parameter, label) {
+  const type = parameter.type || 'string';
+  if (!PARAMETER_TYPES.includes(type)) {
+    throw new Error(`${label}: parameter ${name} must have a type of ${PARAMETER_TYPES.join(', ')}`);
+  }
+  if (parameter.enum !== undefined && (!Array.isArray(parameter.enum) || parameter.enum.length === 0)) {
+    throw new Error(`${label}: enum of parameter ${name} must be a non-empty list`);
+  }
+  if (parameter.flag !== undefined && type !== 'boolean') {
+    throw new Error(`${label}: flag is only allowed on boolean parameter ${name}`);
+  }
+
+  const compiled = {
+    type: type,
+    description: parameter.description,
+    enum: parameter.enum,
+    default: parameter.default,
+    flag: parameter.flag,
+    required: parameter.required === true,
+  };
+  if (compiled.default !== undefined) {
+    const error = checkValue(compiled, compiled.default);
+    if (error) {
+      throw new Error(`${label}: default of parameter ${name} ${error}`);
+    }
+  }
+  return compiled;
+}
+
+/**
+ * @returns {string|null} Why the value does not fit the parameter
+ */
+function checkValue(parameter, value) {
+  const valid = {
+    string: typeof value === 'string',
+    number: typeof value === 'number' && Number.isFinite(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === 'boolean',
+  };
+  if (!valid[parameter.type]) {
+    return `must be a ${parameter.type}`;
+  }
+  if (parameter.enum && !parameter.enum.includes(value)) {
+    return `must be one of ${parameter.enum.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Text a value is substituted with; a boolean with a flag stands for the flag or nothing
+ */
+function formatValue(parameter, value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (parameter.flag !== undefined) {
+    return value ? parameter.flag : '';
+  }
+  return String(value);
+}
+
+/**
+ * Quote a string as a single shell word; empty values disappear from the command line
+ */
+function quoteForShell(text) {
+  if (text === '') {
+    return '';
+  }
+  if (/^[a-zA-Z0-9_.,:=@%+/-]+$/.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+module.exports = {
+  TaskRegistry,
+  TOOL_PREFIX,
+};
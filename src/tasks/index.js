@@ -0,0 +1,6 @@
+const { TaskRegistry, TOOL_PREFIX } = require('./TaskRegistry');
+
+module.exports = {
+  TaskRegistry,
+  TOOL_PREFIX,
+};
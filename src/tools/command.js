@@ -1,76 +1,1608 @@
 const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_COLS, DEFAULT_ROWS, spawnPty, TerminalScreen } = require('./terminal');
+const { MAX_READ_BYTES, OutputBuffer, getLogFile, pruneLogFiles, encodeCursor, decodeCursor } = require('./output');
+const { compileConditions, isPortOpen, checkUrl, LineMatcher } = require('./wait');
+const {
+  getServerLimits,
+  resolveLimits,
+  applyLimits,
+  detectLimitExceeded,
+  describeLimitExceeded,
+  ConcurrencyLimiter,
+  MemoryMonitor,
+} = require('./limits');
+const { resolveRetryPolicy, shouldRetry, getRetryDelay } = require('./retry');
+const { PARSE_FORMATS, parseOutput } = require('./parse');
+const { compileSearch, searchBuffer } = require('./search');
+const { Redactor } = require('../redaction');
+const { LocalExecutor } = require('../executors');
+
+// Shells that can be requested explicitly through the `shell` option
+const SUPPORTED_SHELLS = ['bash', 'sh'];
+// Upper bound for PTY columns and rows
+const MAX_TERMINAL_SIZE = 1000;
+// Minimum delay between history writes while a process is producing output
+const PERSIST_INTERVAL = 1000;
+// Default page size for list_processes
+const DEFAULT_LIST_LIMIT = 100;
+// Time a process gets to exit after a kill signal before it is sent SIGKILL
+const DEFAULT_GRACE_PERIOD = 5000;
+// Time to wait for a process to exit after SIGKILL
+const SIGKILL_WAIT = 2000;
+// Default maximum wait of wait_for
+const DEFAULT_WAIT_TIMEOUT = 30000;
+// Default delay between port/URL checks of wait_for
+const DEFAULT_PROBE_INTERVAL = 500;
+// Statuses of processes that have not finished yet
+const ACTIVE_STATUSES = ['queued', 'running'];
+// Delay between two sweeps deleting expired output logs
+const LOG_PRUNE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Send a signal to a process and all of its descendants.
+ * Commands are spawned as process group leaders, so signalling the negative
+ * PID reaches grandchildren started by the shell (e.g. node under npm run dev).
+ */
+function killProcessTree(pid, signal = 'SIGTERM') {
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(pid), '/T', '/F'], { stdio: 'ignore' });
+    return;
+  }
+  try {
+    process.kill(-pid, signal);
+  } catch (error) {
+    if (error.code !== 'ESRCH') throw error;
+    // Not a group leader (or the group is gone): signal the process itself
+    try {
+      process.kill(pid, signal);
+    } catch (innerError) {
+      if (innerError.code !== 'ESRCH') throw innerError;
+    }
+  }
+}
 
 /**
  * Command execution functionality with async streaming support
+ * Emits 'added' (processInfo) when a process is tracked, 'start' (processInfo) when it is spawned,
+ * 'output' (processInfo, stream, text) as it writes output, 'exit' (processInfo) when it finishes,
+ * 'retry' (previousInfo, processInfo) when a failed attempt is run again
+ * and 'removed' (processInfo) when it is cleared.
+ * Synchronous runs are not tracked; they emit 'sync-start' (record) when spawned
+ * and 'sync-exit' (record) when they finish
  */
-class CommandRunner {
-  constructor() {
+class CommandRunner extends EventEmitter {
+  /**
+   * @param {ProcessDatabase} database - Optional process history storage
+   * @param {Object} options - { redactor: masks secrets in logged commands and searched output,
+   *   executors: executors keyed by name, default_executor: name of the executor used when a call names none }
+   */
+  constructor(database = null, options = {}) {
+    super();
     // Store running and completed processes
     this.processes = new Map();
+    // Child process handles of running processes, keyed by process_id
+    this.children = new Map();
+    // Rendered terminal screens of processes started in PTY mode
+    this.screens = new Map();
+    // Pending timeout timers of running processes, keyed by process_id
+    this.timers = new Map();
+    // Pending throttled history writes, keyed by process_id
+    this.persistTimers = new Map();
+    // Bounded stdout/stderr buffers of tracked processes, keyed by process_id
+    this.outputs = new Map();
+    // Log files of finished processes are deleted after OUTPUT_LOG_RETENTION_HOURS
+    this.pruneOutputLogs();
+    this.logPruneTimer = setInterval(() => this.pruneOutputLogs(), LOG_PRUNE_INTERVAL);
+    this.logPruneTimer.unref();
+    // Caps the number of commands running at once (MAX_CONCURRENT_PROCESSES)
+    this.limiter = new ConcurrencyLimiter();
+    // Default and maximum resource limits of every command (LIMIT_* variables)
+    this.serverLimits = getServerLimits();
+    this.memoryMonitor = new MemoryMonitor();
+    // How to run the next attempt of processes with a retry policy, keyed by process_id
+    this.retries = new Map();
+    // Pending retry timers of failed attempts, keyed by process_id
+    this.retryTimers = new Map();
+    this.redactor = options.redactor || new Redactor({ enabled: false });
+    // How commands are spawned: directly on the host, or in a sandbox (EXECUTOR)
+    this.executors = options.executors || { local: new LocalExecutor() };
+    this.defaultExecutor = options.default_executor || 'local';
+
+    this.database = database;
+    if (this.database) {
+      this.database.markOrphaned()
+        .then((count) => {
+          if (count > 0) {
+            console.log(`[MCP Server] Marked ${count} processes from a previous run as orphaned`);
+          }
+        })
+        .catch((error) => {
+          console.error('[MCP Server] Process history unavailable, keeping processes in memory only:', error.message);
+          this.database = null;
+        });
+    }
+  }
+
+  /**
+   * Write a process record to the history database
+   * @param {Object} processInfo - The process record
+   * @param {boolean} throttle - Coalesce writes while output is streaming
+   */
+  persistProcess(processInfo, throttle = false) {
+    if (!this.database) {
+      return;
+    }
+
+    if (throttle) {
+      if (!this.persistTimers.has(processInfo.id)) {
+        this.persistTimers.set(processInfo.id, setTimeout(() => {
+          this.persistTimers.delete(processInfo.id);
+          this.persistProcess(processInfo);
+        }, PERSIST_INTERVAL));
+      }
+      return;
+    }
+
+    clearTimeout(this.persistTimers.get(processInfo.id));
+    this.persistTimers.delete(processInfo.id);
+
+    // Only the output retained in memory is stored; the full output lives in the log files
+    const record = { ...processInfo };
+    const buffers = this.outputs.get(processInfo.id);
+    for (const stream of ['stdout', 'stderr']) {
+      if (buffers) {
+        record[stream] = buffers[stream].toString();
+        record[`${stream}_bytes`] = buffers[stream].totalBytes;
+      } else {
+        record[`${stream}_bytes`] = Buffer.byteLength(record[stream] || '');
+      }
+    }
+
+    this.database.saveProcess(record).catch((error) => {
+      console.error('[MCP Server] Failed to save process history:', processInfo.id, error.message);
+    });
+  }
+
+  /**
+   * Resolve execution options into the arguments passed to spawn()
+   * Returns { error } when the options are invalid
+   * @param {string} command - Command string, or the executable when args is given
+   * @param {Object} options - Execution options
+   * @param {string} [options.cwd] - Working directory for the command
+   * @param {Object} [options.env] - Environment variables for the command
+   * @param {string} [options.env_mode] - "merge" with the server environment (default) or "replace" it
+   * @param {string} [options.shell] - "default" (system shell), "bash", "sh" or "none"
+   * @param {string[]} [options.args] - Execute command directly with these arguments (no shell)
+   * @param {string} [options.executor] - Executor running the command (default: the server default)
+   * @param {Object} [options.sandbox] - Options of the sandbox executor, see SandboxExecutor.resolveOptions
+   */
+  resolveSpawnOptions(command, options = {}) {
+    const { cwd, env, env_mode: envMode = 'merge', args } = options;
+    let shell = options.shell || 'default';
+
+    if (typeof command !== 'string' || command.trim() === '') {
+      return { error: 'command must be a non-empty string' };
+    }
+
+    const spawnOptions = {};
+
+    if (cwd !== undefined && cwd !== null) {
+      if (typeof cwd !== 'string' || cwd === '') {
+        return { error: 'cwd must be a non-empty string' };
+      }
+      const resolvedCwd = path.resolve(cwd);
+      let stat;
+      try {
+        stat = fs.statSync(resolvedCwd);
+      } catch (error) {
+        return { error: `cwd does not exist: ${resolvedCwd}` };
+      }
+      if (!stat.isDirectory()) {
+        return { error: `cwd is not a directory: ${resolvedCwd}` };
+      }
+      spawnOptions.cwd = resolvedCwd;
+    }
+
+    if (envMode !== 'merge' && envMode !== 'replace') {
+      return { error: 'env_mode must be "merge" or "replace"' };
+    }
+
+    if (env !== undefined && env !== null) {
+      if (typeof env !== 'object' || Array.isArray(env)) {
+        return { error: 'env must be an object of variable names to values' };
+      }
+      for (const [key, value] of Object.entries(env)) {
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+          return { error: `env value for ${key} must be a string, number or boolean` };
+        }
+      }
+    }
+
+    const customEnv = {};
+    for (const [key, value] of Object.entries(env || {})) {
+      customEnv[key] = String(value);
+    }
+    spawnOptions.env = envMode === 'replace' ? customEnv : { ...process.env, ...customEnv };
+
+    if (args !== undefined && args !== null) {
+      if (!Array.isArray(args) || args.some(arg => !['string', 'number'].includes(typeof arg))) {
+        return { error: 'args must be an array of strings' };
+      }
+      if (shell !== 'default' && shell !== 'none') {
+        return { error: 'args cannot be combined with a shell; omit shell or set it to "none"' };
+      }
+      shell = 'none';
+    }
+
+    // Own process group, so the whole tree can be signalled (see killProcessTree)
+    spawnOptions.detached = process.platform !== 'win32';
+
+    if (shell === 'default') {
+      spawnOptions.shell = true;
+    } else if (SUPPORTED_SHELLS.includes(shell)) {
+      spawnOptions.shell = shell;
+    } else if (shell === 'none') {
+      spawnOptions.shell = false;
+    } else {
+      return { error: `Unsupported shell: ${shell}. Use one of: default, ${SUPPORTED_SHELLS.join(', ')}, none` };
+    }
+
+    const executor = this.resolveExecutor(options, spawnOptions.cwd);
+    if (executor.error) {
+      return { error: executor.error };
+    }
+
+    return {
+      file: command,
+      args: (args || []).map(String),
+      shell: shell,
+      spawnOptions: spawnOptions,
+      executor: executor.name,
+      executorOptions: executor.options
+    };
+  }
+
+  /**
+   * Pick the executor of a command. Calls may choose a sandbox when the server runs
+   * commands locally, but not run locally or with more access when it sandboxes them.
+   * @param {Object} options - { executor, sandbox }, see resolveSpawnOptions
+   * @param {string} [cwd] - Working directory of the command
+   * @returns {{ name: string, options: Object } | { error: string }}
+   */
+  resolveExecutor(options, cwd) {
+    const name = options.executor === undefined || options.executor === null ? this.defaultExecutor : options.executor;
+    const executor = Object.prototype.hasOwnProperty.call(this.executors, name) ? this.executors[name] : null;
+    if (!executor) {
+      return { error: `Unknown executor: ${name}. Use one of: ${Object.keys(this.executors).join(', ')}` };
+    }
+    if (name !== this.defaultExecutor && this.defaultExecutor !== 'local') {
+      return { error: `This server runs commands with the ${this.defaultExecutor} executor; executor "${name}" is not allowed` };
+    }
+    const reason = executor.unavailableReason();
+    if (reason) {
+      return { error: `Executor ${name} is unavailable: ${reason}` };
+    }
+
+    const resolved = executor.resolveOptions(options.sandbox, {
+      enforced: name === this.defaultExecutor,
+      cwd: cwd,
+    });
+    if (resolved.error) {
+      return { error: resolved.error };
+    }
+    return { name: name, options: resolved.options };
+  }
+
+  /**
+   * Turn a resolved command into the command its executor spawns
+   * @param {Object} resolved - From resolveSpawnOptions, possibly wrapped by applyLimits
+   */
+  applyExecutor(resolved) {
+    return this.executors[resolved.executor].wrap(resolved, resolved.executorOptions);
+  }
+
+  /**
+   * Start a command asynchronously (non-blocking)
+   * Returns a process_id to check status/output later
+   * @param {string} command - Full command string to execute (e.g., "npm install", "node server.js")
+   * @param {number} timeout - Timeout in milliseconds (0 = no timeout)
+   * @param {Object} options - Execution options (cwd, env, env_mode, shell, args), see resolveSpawnOptions,
+   *   plus pty/cols/rows, max_output_bytes (bytes of each output stream kept in memory),
+   *   limits (resource limits, see resolveLimits), retry (retry policy, see resolveRetryPolicy),
+   *   schedule_id (schedule that started the command) and session_id (MCP session owning the process).
+   *   When MAX_CONCURRENT_PROCESSES commands are running, the command is queued and the timeout
+   *   starts once it runs.
+   */
+  async startCommand(command, timeout = 0, options = {}) {
+    const resolved = this.resolveSpawnOptions(command, options);
+    if (!resolved.error && options.max_output_bytes !== undefined
+      && (!Number.isInteger(options.max_output_bytes) || options.max_output_bytes < 1)) {
+      resolved.error = 'max_output_bytes must be a positive integer';
+    }
+    const limits = resolved.error ? null : resolveLimits(options.limits, this.serverLimits);
+    if (limits && limits.error) {
+      resolved.error = limits.error;
+    }
+    const retry = resolved.error ? null : resolveRetryPolicy(options.retry);
+    if (retry && retry.error) {
+      resolved.error = retry.error;
+    }
+    if (resolved.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: resolved.error,
+              command: command
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    const processId = uuidv4();
+    console.log('[MCP Server] Starting async command:', processId, this.redactor.redactText(command));
+
+    const processInfo = {
+      id: processId,
+      mode: 'async',
+      session_id: options.session_id || null,
+      command: command,
+      args: resolved.args,
+      cwd: resolved.spawnOptions.cwd || process.cwd(),
+      shell: resolved.shell,
+      executor: resolved.executor,
+      limits: limits.limits,
+      limit_exceeded: null,
+      schedule_id: options.schedule_id || null,
+      attempt: options.attempt || 1,
+      max_attempts: retry.policy ? retry.policy.max_attempts : 1,
+      previous_attempt_id: options.previous_attempt_id || null,
+      next_attempt_id: null,
+      next_attempt_at: null,
+      status: 'running',
+      exit_code: null,
+      error: null,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      timed_out: false
+    };
+    if (retry.policy) {
+      this.retries.set(processId, { command, timeout, options: { ...options, retry: retry.policy } });
+    }
+
+    this.outputs.set(processId, {
+      stdout: new OutputBuffer({ maxBytes: options.max_output_bytes, logFile: getLogFile(processId, 'stdout') }),
+      stderr: new OutputBuffer({ maxBytes: options.max_output_bytes, logFile: getLogFile(processId, 'stderr') }),
+    });
+
+    if (!this.limiter.tryAcquire()) {
+      processInfo.status = 'queued';
+      this.processes.set(processId, processInfo);
+      this.persistProcess(processInfo);
+      const position = this.limiter.enqueue(processId, () => {
+        try {
+          this.launchProcess(processInfo, resolved, options, timeout);
+        } catch (error) {
+          this.finishProcess(processInfo, null, error);
+        }
+      });
+      console.log('[MCP Server] Command queued:', processId, `position ${position}`);
+      this.emit('added', processInfo);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              process_id: processId,
+              command: command,
+              cwd: processInfo.cwd,
+              executor: processInfo.executor,
+              status: 'queued',
+              queue_position: position,
+              attempt: processInfo.attempt,
+              max_attempts: processInfo.max_attempts,
+              limits: processInfo.limits,
+              limits_capped: limits.capped,
+              message: `The limit of ${this.limiter.max} running commands is reached. The command starts when one finishes; use get_command_output with this process_id to check its status.`
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    let child;
+    try {
+      child = this.launchProcess(processInfo, resolved, options, timeout);
+    } catch (error) {
+      this.limiter.release();
+      this.children.delete(processId);
+      this.processes.delete(processId);
+      this.retries.delete(processId);
+      this.removeOutputs(processId);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              command: command
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    this.emit('added', processInfo);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            process_id: processId,
+            pid: child.pid,
+            command: command,
+            cwd: processInfo.cwd,
+            executor: processInfo.executor,
+            pty: processInfo.pty,
+            status: 'running',
+            attempt: processInfo.attempt,
+            max_attempts: processInfo.max_attempts,
+            limits: processInfo.limits,
+            limits_capped: limits.capped,
+            message: 'Command started. Use get_output with this process_id to check status and logs.'
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Spawn a command that holds a concurrency slot, and arm its timeout and memory limit
+   * @returns {Object} The child process (or PTY)
+   */
+  launchProcess(processInfo, resolved, options, timeout) {
+    const processId = processInfo.id;
+    processInfo.status = 'running';
+    processInfo.started_at = new Date().toISOString();
+    this.processes.set(processId, processInfo);
+
+    const limited = this.applyExecutor(applyLimits(resolved, processInfo.limits));
+    const child = options.pty
+      ? this.spawnPtyProcess(processInfo, limited, options)
+      : this.spawnPipedProcess(processInfo, limited);
+
+    processInfo.pid = child.pid;
+    processInfo.stdin_open = true;
+    this.children.set(processId, child);
+    this.persistProcess(processInfo);
+    this.emit('start', processInfo);
+
+    // Set timeout if specified
+    if (timeout > 0) {
+      this.timers.set(processId, setTimeout(() => {
+        processInfo.timed_out = true;
+        this.terminateProcess(processInfo, 'SIGTERM', DEFAULT_GRACE_PERIOD).catch((error) => {
+          console.error('[MCP Server] Failed to terminate timed out process:', processId, error.message);
+        });
+      }, timeout));
+    }
+
+    if (processInfo.limits.memory_mb && child.pid) {
+      this.memoryMonitor.watch(child.pid, processInfo.limits.memory_mb, (bytes) => {
+        console.log('[MCP Server] Process exceeded its memory limit, killing:', processId, `${bytes} bytes`);
+        processInfo.limit_exceeded = 'memory_mb';
+        killProcessTree(child.pid, 'SIGKILL');
+      });
+    }
+
+    return child;
+  }
+
+  /**
+   * Spawn a command with plain stdio pipes and wire its output into processInfo
+   */
+  spawnPipedProcess(processInfo, resolved) {
+    const child = spawn(resolved.file, resolved.args, resolved.spawnOptions);
+    const buffers = this.outputs.get(processInfo.id);
+
+    // Writes to a process that exited or closed its stdin are reported by writeStdin
+    child.stdin.on('error', () => {
+      processInfo.stdin_open = false;
+    });
+
+    child.stdout.on('data', (data) => {
+      buffers.stdout.write(data);
+      this.persistProcess(processInfo, true);
+      this.emit('output', processInfo, 'stdout', data.toString());
+    });
+
+    child.stderr.on('data', (data) => {
+      buffers.stderr.write(data);
+      this.persistProcess(processInfo, true);
+      this.emit('output', processInfo, 'stderr', data.toString());
+    });
+
+    child.on('close', (code, signal) => {
+      this.finishProcess(processInfo, code, null, signal);
+    });
+
+    child.on('error', (error) => {
+      this.finishProcess(processInfo, null, error);
+    });
+
+    return child;
+  }
+
+  /**
+   * Spawn a command in a pseudo-terminal. The terminal merges stdout and stderr,
+   * so all output is recorded as stdout and rendered into a screen for snapshots.
+   */
+  spawnPtyProcess(processInfo, resolved, options) {
+    const cols = options.cols || DEFAULT_COLS;
+    const rows = options.rows || DEFAULT_ROWS;
+    for (const [name, value] of [['cols', cols], ['rows', rows]]) {
+      if (!Number.isInteger(value) || value < 1 || value > MAX_TERMINAL_SIZE) {
+        throw new Error(`${name} must be an integer between 1 and ${MAX_TERMINAL_SIZE}`);
+      }
+    }
+
+    let file = resolved.file;
+    let args = resolved.args;
+    if (resolved.shell !== 'none') {
+      if (resolved.shell === 'default' && process.platform === 'win32') {
+        file = process.env.ComSpec || 'cmd.exe';
+        args = ['/d', '/s', '/c', resolved.file];
+      } else {
+        file = resolved.shell === 'default' ? '/bin/sh' : resolved.shell;
+        args = ['-c', resolved.file];
+      }
+    }
+
+    const child = spawnPty(file, args, {
+      cwd: resolved.spawnOptions.cwd,
+      env: resolved.spawnOptions.env,
+      cols: cols,
+      rows: rows,
+    });
+
+    const screen = new TerminalScreen(cols, rows);
+    this.screens.set(processInfo.id, screen);
+    processInfo.pty = { cols, rows };
+    const buffers = this.outputs.get(processInfo.id);
+
+    child.onData((data) => {
+      buffers.stdout.write(data);
+      screen.write(data);
+      this.persistProcess(processInfo, true);
+      this.emit('output', processInfo, 'stdout', data);
+    });
+
+    child.onExit(({ exitCode, signal }) => {
+      const signalName = Object.keys(os.constants.signals).find(name => os.constants.signals[name] === signal);
+      this.finishProcess(processInfo, signal ? null : exitCode, null, signalName || null);
+    });
+
+    return child;
+  }
+
+  /**
+   * Record the end of a process, either by exit code or by spawn error,
+   * and start the next queued command
+   * @param {string|null} signal - Signal that ended the process, if any
+   */
+  finishProcess(processInfo, code, error = null, signal = null) {
+    // A spawn error can be followed by a close event; the first one decides the status
+    if (processInfo.status !== 'running') {
+      if (processInfo.exit_code === null && code !== null) {
+        processInfo.exit_code = code;
+        this.persistProcess(processInfo);
+      }
+      return;
+    }
+
+    clearTimeout(this.timers.get(processInfo.id));
+    this.timers.delete(processInfo.id);
+    this.children.delete(processInfo.id);
+    this.memoryMonitor.unwatch(processInfo.pid);
+    processInfo.stdin_open = false;
+    processInfo.finished_at = new Date().toISOString();
+
+    const buffers = this.outputs.get(processInfo.id);
+    if (buffers) {
+      buffers.stdout.end();
+      buffers.stderr.end();
+    }
+
+    if (error) {
+      processInfo.error = error.message;
+      processInfo.status = 'error';
+    } else {
+      processInfo.exit_code = code;
+      const limitExceeded = processInfo.limit_exceeded || detectLimitExceeded(processInfo.limits || {}, code, signal);
+      if (processInfo.kill_signal) {
+        processInfo.status = 'killed';
+      } else if (limitExceeded) {
+        processInfo.status = 'resource_exceeded';
+        processInfo.limit_exceeded = limitExceeded;
+        processInfo.error = describeLimitExceeded(limitExceeded, processInfo.limits);
+      } else if (processInfo.timed_out) {
+        processInfo.status = 'timed_out';
+      } else {
+        processInfo.status = code === 0 ? 'completed' : 'failed';
+      }
+    }
+
+    this.scheduleRetry(processInfo);
+    this.persistProcess(processInfo);
+    this.emit('exit', processInfo);
+    this.limiter.release();
+  }
+
+  /**
+   * Arm the next attempt of a finished process if its retry policy asks for one
+   */
+  scheduleRetry(processInfo) {
+    const retry = this.retries.get(processInfo.id);
+    this.retries.delete(processInfo.id);
+    if (!retry || !shouldRetry(retry.options.retry, processInfo)) {
+      return;
+    }
+
+    const delay = getRetryDelay(retry.options.retry, processInfo.attempt);
+    processInfo.next_attempt_at = new Date(Date.now() + delay).toISOString();
+    console.log(`[MCP Server] Retrying process ${processInfo.id} in ${delay}ms (attempt ${processInfo.attempt + 1} of ${processInfo.max_attempts})`);
+
+    this.retryTimers.set(processInfo.id, setTimeout(async () => {
+      this.retryTimers.delete(processInfo.id);
+      const result = await this.startCommand(retry.command, retry.timeout, {
+        ...retry.options,
+        attempt: processInfo.attempt + 1,
+        previous_attempt_id: processInfo.id,
+      });
+      const started = JSON.parse(result.content[0].text);
+      processInfo.next_attempt_at = null;
+      if (!started.success) {
+        console.error('[MCP Server] Failed to retry process:', processInfo.id, started.error);
+        return;
+      }
+      processInfo.next_attempt_id = started.process_id;
+      this.persistProcess(processInfo);
+      this.emit('retry', processInfo, this.processes.get(started.process_id));
+    }, delay));
+  }
+
+  /**
+   * Drop the pending retry of a finished attempt
+   * @returns {boolean} false if no retry was pending
+   */
+  cancelRetry(processInfo) {
+    const timer = this.retryTimers.get(processInfo.id);
+    if (!timer) {
+      return false;
+    }
+    clearTimeout(timer);
+    this.retryTimers.delete(processInfo.id);
+    processInfo.next_attempt_at = null;
+    return true;
+  }
+
+  /**
+   * Remove a queued command before it started
+   */
+  cancelQueuedProcess(processInfo) {
+    this.limiter.cancel(processInfo.id);
+    this.retries.delete(processInfo.id);
+    processInfo.status = 'cancelled';
+    processInfo.stdin_open = false;
+    processInfo.finished_at = new Date().toISOString();
+
+    const buffers = this.outputs.get(processInfo.id);
+    if (buffers) {
+      buffers.stdout.end();
+      buffers.stderr.end();
+    }
+
+    this.persistProcess(processInfo);
+    this.emit('exit', processInfo);
+  }
+
+  /**
+   * Wait until a tracked process has exited
+   * @returns {Promise<boolean>} false if it is still running after timeoutMs
+   */
+  waitForExit(processId, timeoutMs) {
+    const processInfo = this.processes.get(processId);
+    if (!processInfo || !ACTIVE_STATUSES.includes(processInfo.status)) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const onExit = (exited) => {
+        if (exited.id === processId) {
+          clearTimeout(timer);
+          this.off('exit', onExit);
+          resolve(true);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.off('exit', onExit);
+        resolve(false);
+      }, timeoutMs);
+      this.on('exit', onExit);
+    });
+  }
+
+  /**
+   * Signal a process tree and escalate to SIGKILL if it does not exit within the grace period
+   * @returns {Promise<{ exited: boolean, escalated: boolean }>}
+   */
+  async terminateProcess(processInfo, signal, gracePeriod) {
+    killProcessTree(processInfo.pid, signal);
+    if (await this.waitForExit(processInfo.id, gracePeriod)) {
+      return { exited: true, escalated: false };
+    }
+    if (signal === 'SIGKILL') {
+      return { exited: false, escalated: false };
+    }
+
+    console.log('[MCP Server] Process did not exit, sending SIGKILL:', processInfo.id);
+    killProcessTree(processInfo.pid, 'SIGKILL');
+    return { exited: await this.waitForExit(processInfo.id, SIGKILL_WAIT), escalated: true };
+  }
+
+  /**
+   * Resize the pseudo-terminal of a process started in PTY mode
+   */
+  async resizeTerminal(processId, cols, rows) {
+    console.log('[MCP Server] Resizing terminal of process:', processId, cols, rows);
+
+    const processInfo = this.processes.get(processId);
+
+    if (!processInfo) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process not found',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (!processInfo.pty) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process was not started in PTY mode',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    const invalid = [['cols', cols], ['rows', rows]].find(
+      ([, value]) => !Number.isInteger(value) || value < 1 || value > MAX_TERMINAL_SIZE
+    );
+    if (invalid) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: `${invalid[0]} must be an integer between 1 and ${MAX_TERMINAL_SIZE}`,
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    const child = this.children.get(processId);
+    if (child) {
+      child.resize(cols, rows);
+    }
+    this.screens.get(processId).resize(cols, rows);
+    processInfo.pty = { cols, rows };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            process_id: processId,
+            cols: cols,
+            rows: rows,
+            status: processInfo.status
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Get the current output and status of a running/completed process
+   * @param {string} processId - The process ID returned by startCommand
+   * @param {number} tail - Only return the last N lines of output (0 = all)
+   * @param {Object} options - Output selection
+   * @param {boolean} [options.screen] - Return the rendered terminal screen of a PTY process instead of raw output
+   * @param {number} [options.head] - Only return the first N lines of output
+   * @param {string} [options.since_cursor] - Only return output written after this cursor from a previous call
+   * @param {number} [options.start_byte] - Start of a byte range to read from each stream
+   * @param {number} [options.end_byte] - End (exclusive) of a byte range to read from each stream
+   * @param {string} [options.parse] - Also return the stdout read as structured data, see parseOutput
+   */
+  async getOutput(processId, tail = 0, options = {}) {
+    console.log('[MCP Server] Getting output for process:', processId);
+
+    if (options.parse !== undefined && !PARSE_FORMATS.includes(options.parse)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: `parse must be one of ${PARSE_FORMATS.join(', ')}`,
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    // Processes from before a restart or already cleared from memory are read from history
+    const processInfo = await this.findProcess(processId);
+
+    if (!processInfo) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process not found',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    const screen = this.screens.get(processId);
+
+    if (options.screen && !screen) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process was not started in PTY mode',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    let cursor = null;
+    if (options.since_cursor) {
+      cursor = decodeCursor(options.since_cursor);
+      if (!cursor) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'Invalid since_cursor',
+                process_id: processId
+              }, null, 2),
+            },
+          ],
+        };
+      }
+    }
+
+    const buffers = this.getOutputBuffers(processInfo);
+    const hasRange = cursor !== null || options.start_byte !== undefined || options.end_byte !== undefined;
+
+    const output = {};
+    const ranges = {};
+    let parsed = {};
+    for (const stream of ['stdout', 'stderr']) {
+      const buffer = buffers[stream];
+      let result;
+      if (cursor) {
+        result = await buffer.read(cursor[stream]);
+      } else if (hasRange) {
+        result = await buffer.read(options.start_byte || 0, options.end_byte);
+      } else {
+        // Without a range, return the most recent output
+        result = await buffer.read(Math.max(buffer.startOffset, buffer.totalBytes - MAX_READ_BYTES));
+        result.truncated = result.start > 0;
+      }
+
+      // Parsing covers all of the output read, head and tail only trim what is returned
+      if (stream === 'stdout' && options.parse) {
+        parsed = parseOutput(options.parse, result.text);
+      }
+
+      // The range covers the text returned, so a cursor continues after the last line
+      // returned by head instead of skipping the lines it left out
+      let text = result.text;
+      let start = result.start;
+      let end = result.end;
+      if (options.head > 0) {
+        const lines = text.split('\n');
+        if (lines.length > options.head) {
+          text = lines.slice(0, options.head).join('\n');
+          end = start + Buffer.byteLength(text) + 1;
+        }
+      }
+      if (tail > 0) {
+        // A trailing newline ends the last line rather than starting another one
+        const newline = text.endsWith('\n') ? '\n' : '';
+        const kept = (newline ? text.slice(0, -1) : text).split('\n').slice(-tail).join('\n') + newline;
+        start += Buffer.byteLength(text) - Buffer.byteLength(kept);
+        text = kept;
+      }
+
+      // Incremental reads are returned verbatim so consecutive chunks join up exactly
+      output[stream] = hasRange ? text : text.trim();
+      ranges[stream] = {
+        start: start,
+        end: end,
+        total_bytes: buffer.totalBytes,
+        truncated: result.truncated,
+      };
+    }
+
+    if (options.screen) {
+      const snapshot = await screen.snapshot();
+      if (tail > 0) {
+        snapshot.lines = snapshot.lines.slice(-tail);
+      }
+      output.screen = snapshot;
+      delete output.stdout;
+      delete output.stderr;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            process_id: processId,
+            pid: processInfo.pid,
+            command: processInfo.command,
+            args: processInfo.args,
+            cwd: processInfo.cwd,
+            executor: processInfo.executor,
+            pty: processInfo.pty,
+            mode: processInfo.mode,
+            status: processInfo.status,
+            queue_position: processInfo.status === 'queued' ? this.limiter.position(processId) : undefined,
+            exit_code: processInfo.exit_code,
+            limits: processInfo.limits,
+            limit_exceeded: processInfo.limit_exceeded,
+            schedule_id: processInfo.schedule_id || undefined,
+            attempt: processInfo.attempt,
+            max_attempts: processInfo.max_attempts,
+            previous_attempt_id: processInfo.previous_attempt_id || undefined,
+            next_attempt_id: processInfo.next_attempt_id || undefined,
+            next_attempt_at: processInfo.next_attempt_at || undefined,
+            ...output,
+            parsed: parsed.result,
+            parse_error: parsed.error,
+            cursor: encodeCursor(ranges.stdout.end, ranges.stderr.end),
+            truncated: ranges.stdout.truncated || ranges.stderr.truncated,
+            ranges: ranges,
+            error: processInfo.error,
+            started_at: processInfo.started_at,
+            finished_at: processInfo.finished_at,
+            timed_out: processInfo.timed_out
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Write input to the stdin of a running process
+   * Optionally closes stdin (EOF) and waits for the output produced in response
+   * @param {string} processId - The process ID returned by startCommand
+   * @param {string} input - Text to write (may contain control characters, e.g. "\u0003")
+   * @param {Object} options - { eof: close stdin after writing, wait_ms: time to wait for new output }
+   */
+  async writeStdin(processId, input = '', options = {}) {
+    const { eof = false, wait_ms: waitMs = 0 } = options;
+    console.log('[MCP Server] Writing to stdin of process:', processId);
+
+    const processInfo = this.processes.get(processId);
+    const child = this.children.get(processId);
+
+    if (!processInfo) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process not found',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (processInfo.status !== 'running' || !child) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process is not running',
+              process_id: processId,
+              status: processInfo.status
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (!processInfo.stdin_open || (!processInfo.pty && !child.stdin.writable)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process stdin is closed',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    const buffers = this.outputs.get(processId);
+    const stdoutOffset = buffers.stdout.totalBytes;
+    const stderrOffset = buffers.stderr.totalBytes;
+
+    try {
+      if (processInfo.pty) {
+        // A terminal has no separate stdin stream; EOF is the Ctrl-D key
+        child.write(eof ? input + '\x04' : input);
+      } else {
+        if (input) {
+          await new Promise((resolve, reject) => {
+            child.stdin.write(input, (error) => (error ? reject(error) : resolve()));
+          });
+        }
+        if (eof) {
+          child.stdin.end();
+          processInfo.stdin_open = false;
+        }
+      }
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            process_id: processId,
+            bytes_written: Buffer.byteLength(input),
+            stdin_open: processInfo.stdin_open,
+            status: processInfo.status,
+            exit_code: processInfo.exit_code,
+            stdout: (await buffers.stdout.read(stdoutOffset)).text,
+            stderr: (await buffers.stderr.read(stderrOffset)).text
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * List tracked processes, including history from previous runs when a database is configured
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status] - Only processes with this status
+   * @param {string} [filters.command] - Only commands containing this text
+   * @param {string} [filters.since] - Only processes started at or after this ISO date
+   * @param {string} [filters.until] - Only processes started at or before this ISO date
+   * @param {string} [filters.session_id] - Only processes owned by this MCP session
+   * @param {string} [filters.schedule_id] - Only processes started by this schedule
+   * @param {number} [filters.limit] - Page size (default: 100)
+   * @param {number} [filters.offset] - Number of processes to skip
+   */
+  async listProcesses(filters = {}) {
+    console.log('[MCP Server] Listing processes, filter:', JSON.stringify(filters));
+
+    const query = {
+      ...filters,
+      limit: filters.limit > 0 ? filters.limit : DEFAULT_LIST_LIMIT,
+      offset: filters.offset > 0 ? filters.offset : 0,
+    };
+
+    let page;
+    if (this.database) {
+      page = await this.database.listProcesses(query);
+      // Running processes in memory are fresher than their last saved state
+      page.processes = page.processes.map(p => this.processes.get(p.id) || p);
+    } else {
+      const matching = Array.from(this.processes.values())
+        .filter(p => !query.session_id || p.session_id === query.session_id)
+        .filter(p => !query.schedule_id || p.schedule_id === query.schedule_id)
+        .filter(p => !query.status || p.status === query.status)
+        .filter(p => !query.command || p.command.includes(query.command))
+        .filter(p => !query.since || p.started_at >= query.since)
+        .filter(p => !query.until || p.started_at <= query.until)
+        .reverse();
+      page = {
+        total: matching.length,
+        processes: matching.slice(query.offset, query.offset + query.limit),
+      };
+    }
+
+    const processes = page.processes.map(p => ({
+      process_id: p.id,
+      pid: p.pid,
+      command: p.command,
+      cwd: p.cwd,
+      mode: p.mode,
+      session_id: p.session_id,
+      schedule_id: p.schedule_id || undefined,
+      attempt: p.max_attempts > 1 ? p.attempt : undefined,
+      next_attempt_id: p.next_attempt_id || undefined,
+      status: p.status,
+      exit_code: p.exit_code,
+      started_at: p.started_at,
+      finished_at: p.finished_at
+    }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            total: page.total,
+            limit: query.limit,
+            offset: query.offset,
+            processes: processes
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Kill a running process and all of its descendants
+   * Resolves once the process has exited, escalating to SIGKILL after the grace period
+   * @param {string} processId - The process ID returned by startCommand
+   * @param {Object} options - { signal: signal to send first (default SIGTERM), grace_period_ms: wait before SIGKILL }
+   */
+  async killProcess(processId, options = {}) {
+    const { signal = 'SIGTERM', grace_period_ms: gracePeriod = DEFAULT_GRACE_PERIOD } = options;
+    console.log('[MCP Server] Killing process:', processId, signal);
+
+    const processInfo = this.processes.get(processId);
+
+    if (!processInfo) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process not found',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (processInfo.status === 'queued') {
+      this.cancelQueuedProcess(processInfo);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              process_id: processId,
+              status: processInfo.status,
+              message: 'Queued command cancelled before it started'
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (this.cancelRetry(processInfo)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              process_id: processId,
+              status: processInfo.status,
+              message: 'Pending retry cancelled; the command will not run again'
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (processInfo.status !== 'running') {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'Process is not running',
+              process_id: processId,
+              status: processInfo.status
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (!(signal in os.constants.signals)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: `Unknown signal: ${signal}`,
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (!Number.isInteger(gracePeriod) || gracePeriod < 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: 'grace_period_ms must be a non-negative integer',
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    try {
+      processInfo.kill_signal = signal;
+      const { exited, escalated } = await this.terminateProcess(processInfo, signal, gracePeriod);
+
+      if (!exited) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                error: 'Process did not exit after SIGKILL',
+                process_id: processId,
+                status: processInfo.status
+              }, null, 2),
+            },
+          ],
+        };
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              process_id: processId,
+              signal: signal,
+              escalated_to_sigkill: escalated,
+              status: processInfo.status,
+              exit_code: processInfo.exit_code,
+              message: 'Process killed'
+            }, null, 2),
+          },
+        ],
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+  }
+
+  /**
+   * Deliver the output of a process from the given byte offsets on, as it is written,
+   * then report its exit. Each stream is delivered in order.
+   * @param {Object} processInfo - Tracked process or history record, see findProcess
+   * @param {Object} offsets - { stdout, stderr } byte offsets to start from
+   * @param {Object} handlers - { onData: (stream, text, cursor), onExit: (processInfo) }; the cursor
+   *   resumes after the text, as in getOutput
+   * @returns {Function} Stops following
+   */
+  followOutput(processInfo, offsets, handlers) {
+    const processId = processInfo.id;
+    const buffers = this.getOutputBuffers(processInfo);
+    const positions = { ...offsets };
+    let stopped = false;
+    let scanning = Promise.resolve();
+
+    const stop = () => {
+      stopped = true;
+      this.off('output', onOutput);
+      this.off('exit', onExit);
+    };
+
+    // Deliver output written since the last scan, one scan at a time
+    const scanOutput = () => {
+      scanning = scanning.then(async () => {
+        for (const stream of ['stdout', 'stderr']) {
+          while (!stopped && positions[stream] < buffers[stream].totalBytes) {
+            const result = await buffers[stream].read(positions[stream]);
+            if (result.end <= positions[stream]) {
+              break;
+            }
+            positions[stream] = result.end;
+            handlers.onData(stream, result.text, encodeCursor(positions.stdout, positions.stderr));
+          }
+        }
+      }).catch((error) => {
+        console.error('[MCP Server] Failed to read output of process:', processId, error.message);
+      });
+      return scanning;
+    };
+
+    const onExited = (info) => {
+      scanOutput().then(() => {
+        if (!stopped) {
+          stop();
+          handlers.onExit(info);
+        }
+      });
+    };
+    const onOutput = (info) => {
+      if (info.id === processId) {
+        scanOutput();
+      }
+    };
+    const onExit = (info) => {
+      if (info.id === processId) {
+        onExited(info);
+      }
+    };
+
+    this.on('output', onOutput);
+    this.on('exit', onExit);
+    if (ACTIVE_STATUSES.includes(processInfo.status)) {
+      scanOutput();
+    } else {
+      onExited(processInfo);
+    }
+    return stop;
   }
 
   /**
-   * Start a command asynchronously (non-blocking)
-   * Returns a process_id to check status/output later
-   * @param {string} command - Full command string to execute (e.g., "npm install", "node server.js")
-   * @param {number} timeout - Timeout in milliseconds (0 = no timeout)
+   * Wait until a process prints matching output, accepts connections on a port,
+   * serves a URL with a 2xx status, or exits. The first condition to hold wins.
+   * @param {string} processId - The process ID returned by startCommand
+   * @param {Object[]} conditions - Conditions to wait for, see compileConditions
+   * @param {Object} options - { timeout_ms: maximum wait, interval_ms: delay between port/URL checks,
+   *   since_cursor: only match output written after this cursor (default: all retained output) }
    */
-  async startCommand(command, timeout = 0) {
-    const processId = uuidv4();
-    console.log('[MCP Server] Starting async command:', processId, command);
+  async waitFor(processId, conditions, options = {}) {
+    const {
+      timeout_ms: timeoutMs = DEFAULT_WAIT_TIMEOUT,
+      interval_ms: intervalMs = DEFAULT_PROBE_INTERVAL,
+    } = options;
+    console.log('[MCP Server] Waiting for process:', processId);
 
-    const processInfo = {
-      id: processId,
-      command: command,
-      status: 'running',
-      stdout: '',
-      stderr: '',
-      exit_code: null,
-      error: null,
-      started_at: new Date().toISOString(),
-      finished_at: null,
-      timed_out: false
+    const processInfo = await this.findProcess(processId);
+
+    let error = null;
+    const compiled = compileConditions(conditions);
+    let cursor = null;
+    if (!processInfo) {
+      error = 'Process not found';
+    } else if (compiled.error) {
+      error = compiled.error;
+    } else if (!Number.isInteger(timeoutMs) || timeoutMs < 0) {
+      error = 'timeout_ms must be a non-negative integer';
+    } else if (!Number.isInteger(intervalMs) || intervalMs <= 0) {
+      error = 'interval_ms must be a positive integer';
+    } else if (options.since_cursor) {
+      cursor = decodeCursor(options.since_cursor);
+      if (!cursor) {
+        error = 'Invalid since_cursor';
+      }
+    }
+
+    if (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error,
+              process_id: processId
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    const startedAt = Date.now();
+    const buffers = this.getOutputBuffers(processInfo);
+    const matcher = new LineMatcher(compiled.conditions);
+    const exitCondition = compiled.conditions.find(condition => condition.type === 'exit');
+    const probes = compiled.conditions.filter(condition => condition.type === 'port' || condition.type === 'http');
+    // Byte offsets up to which output has been matched
+    const offsets = cursor || {
+      stdout: buffers.stdout.startOffset,
+      stderr: buffers.stderr.startOffset,
     };
 
-    this.processes.set(processId, processInfo);
+    const outcome = await new Promise((resolve) => {
+      let finished = false;
+      let probeTimer = null;
+      let scanning = Promise.resolve();
 
-    const child = spawn(command, [], { shell: true });
-    processInfo.pid = child.pid;
+      const finish = (reason, condition = null, match = null) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        clearTimeout(probeTimer);
+        this.off('output', onOutput);
+        this.off('exit', onExit);
+        resolve({ reason, condition, match });
+      };
 
-    // Set timeout if specified
-    let timeoutId = null;
-    if (timeout > 0) {
-      timeoutId = setTimeout(() => {
-        processInfo.timed_out = true;
-        processInfo.status = 'timed_out';
-        child.kill('SIGTERM');
-      }, timeout);
-    }
+      // Match output written since the last scan, one scan at a time
+      const scanOutput = () => {
+        scanning = scanning.then(async () => {
+          for (const stream of ['stdout', 'stderr']) {
+            while (!finished && offsets[stream] < buffers[stream].totalBytes) {
+              const result = await buffers[stream].read(offsets[stream]);
+              offsets[stream] = result.end;
+              const found = matcher.push(stream, result.text);
+              if (found) {
+                finish('condition', found.condition, { stream, line: found.line, groups: found.groups });
+              }
+            }
+          }
+        });
+        return scanning;
+      };
 
-    child.stdout.on('data', (data) => {
-      processInfo.stdout += data.toString();
-    });
+      const onExited = () => {
+        scanOutput().then(() => {
+          if (exitCondition) {
+            finish('condition', exitCondition, { exit_code: processInfo.exit_code });
+          } else {
+            finish('exited');
+          }
+        });
+      };
 
-    child.stderr.on('data', (data) => {
-      processInfo.stderr += data.toString();
-    });
+      const probe = async () => {
+        for (const condition of probes) {
+          if (condition.type === 'port' && await isPortOpen(condition.port, condition.host)) {
+            finish('condition', condition, { host: condition.host, port: condition.port });
+          } else if (condition.type === 'http') {
+            const { ready, status_code: statusCode } = await checkUrl(condition.url);
+            if (ready) {
+              finish('condition', condition, { url: condition.url, status_code: statusCode });
+            }
+          }
+          if (finished) {
+            return;
+          }
+        }
+        probeTimer = setTimeout(probe, intervalMs);
+      };
 
-    child.on('close', (code) => {
-      if (timeoutId) clearTimeout(timeoutId);
-      processInfo.exit_code = code;
-      processInfo.finished_at = new Date().toISOString();
-      if (processInfo.status === 'running') {
-        processInfo.status = code === 0 ? 'completed' : 'failed';
+      const onOutput = (info) => {
+        if (info.id === processId) {
+          scanOutput();
+        }
+      };
+      const onExit = (info) => {
+        if (info.id === processId) {
+          onExited();
+        }
+      };
+
+      const timer = setTimeout(() => finish('timeout'), timeoutMs);
+      this.on('output', onOutput);
+      this.on('exit', onExit);
+
+      if (!ACTIVE_STATUSES.includes(processInfo.status)) {
+        onExited();
+        return;
+      }
+      scanOutput();
+      if (probes.length > 0) {
+        probe();
       }
     });
 
-    child.on('error', (error) => {
-      if (timeoutId) clearTimeout(timeoutId);
-      processInfo.error = error.message;
-      processInfo.status = 'error';
-      processInfo.finished_at = new Date().toISOString();
-    });
+    const matched = outcome.reason === 'condition';
+    let message = 'Process exited before any condition was met';
+    if (matched) {
+      message = `Condition ${outcome.condition.index + 1} (${outcome.condition.type}) met`;
+    } else if (outcome.reason === 'timeout') {
+      message = `No condition was met within ${timeoutMs}ms`;
+    }
 
     return {
       content: [
@@ -79,10 +1611,15 @@ class CommandRunner {
           text: JSON.stringify({
             success: true,
             process_id: processId,
-            pid: child.pid,
-            command: command,
-            status: 'running',
-            message: 'Command started. Use get_output with this process_id to check status and logs.'
+            matched: matched,
+            reason: outcome.reason,
+            condition: matched ? { index: outcome.condition.index, ...conditions[outcome.condition.index] } : null,
+            match: outcome.match,
+            status: processInfo.status,
+            exit_code: processInfo.exit_code,
+            elapsed_ms: Date.now() - startedAt,
+            cursor: encodeCursor(offsets.stdout, offsets.stderr),
+            message: message
           }, null, 2),
         },
       ],
@@ -90,37 +1627,96 @@ class CommandRunner {
   }
 
   /**
-   * Get the current output and status of a running/completed process
+   * Search the output of processes line by line, like grep
+   * @param {string} pattern - Regular expression matched against each line
+   * @param {Object} options - process_ids (processes to search, default: all tracked processes),
+   *   session_id (only search tracked processes of this session), plus the search options of compileSearch
    */
-  async getOutput(processId, tail = 0) {
-    console.log('[MCP Server] Getting output for process:', processId);
-
-    const processInfo = this.processes.get(processId);
+  async searchOutput(pattern, options = {}) {
+    console.log('[MCP Server] Searching process output:', pattern);
 
-    if (!processInfo) {
+    const compiled = compileSearch(pattern, options);
+    if (!compiled.error && options.process_ids !== undefined
+      && (!Array.isArray(options.process_ids) || options.process_ids.some(id => typeof id !== 'string'))) {
+      compiled.error = 'process_ids must be a list of process IDs';
+    }
+    if (compiled.error) {
       return {
         content: [
           {
             type: 'text',
             text: JSON.stringify({
               success: false,
-              error: 'Process not found',
-              process_id: processId
+              error: compiled.error,
+              pattern: pattern
             }, null, 2),
           },
         ],
       };
     }
+    const { search } = compiled;
+    // Lines are matched once redacted, so patterns cannot probe for hidden secrets
+    search.redact = text => this.redactor.redact(text);
 
-    let stdout = processInfo.stdout;
-    let stderr = processInfo.stderr;
+    let processes;
+    if (options.process_ids) {
+      processes = [];
+      for (const processId of options.process_ids) {
+        const processInfo = await this.findProcess(processId);
+        if (!processInfo) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  success: false,
+                  error: 'Process not found',
+                  process_id: processId
+                }, null, 2),
+              },
+            ],
+          };
+        }
+        processes.push(processInfo);
+      }
+    } else {
+      processes = Array.from(this.processes.values())
+        .filter(p => !options.session_id || p.session_id === options.session_id)
+        .reverse();
+    }
 
-    // If tail is specified, only return last N lines
-    if (tail > 0) {
-      const stdoutLines = stdout.split('\n');
-      const stderrLines = stderr.split('\n');
-      stdout = stdoutLines.slice(-tail).join('\n');
-      stderr = stderrLines.slice(-tail).join('\n');
+    const results = [];
+    let matchCount = 0;
+    let redactions = 0;
+    let truncated = false;
+    for (const processInfo of processes) {
+      const buffers = this.getOutputBuffers(processInfo);
+      const matches = [];
+      let partial = false;
+      for (const stream of search.streams) {
+        if (truncated) {
+          break;
+        }
+        const found = await searchBuffer(buffers[stream], stream, search, search.maxMatches - matchCount);
+        matches.push(...found.matches);
+        matchCount += found.matches.length;
+        redactions += found.redactions;
+        truncated = found.truncated;
+        partial = partial || found.partial;
+      }
+      if (matches.length > 0) {
+        results.push({
+          process_id: processInfo.id,
+          command: processInfo.command,
+          status: processInfo.status,
+          started_at: processInfo.started_at,
+          partial: partial || undefined,
+          matches: matches,
+        });
+      }
+      if (truncated) {
+        break;
+      }
     }
 
     return {
@@ -129,17 +1725,12 @@ class CommandRunner {
           type: 'text',
           text: JSON.stringify({
             success: true,
-            process_id: processId,
-            pid: processInfo.pid,
-            command: processInfo.command,
-            status: processInfo.status,
-            exit_code: processInfo.exit_code,
-            stdout: stdout.trim(),
-            stderr: stderr.trim(),
-            error: processInfo.error,
-            started_at: processInfo.started_at,
-            finished_at: processInfo.finished_at,
-            timed_out: processInfo.timed_out
+            pattern: pattern,
+            processes_searched: processes.length,
+            total_matches: matchCount,
+            truncated: truncated,
+            results: results,
+            redactions: redactions || undefined
           }, null, 2),
         },
       ],
@@ -147,118 +1738,105 @@ class CommandRunner {
   }
 
   /**
-   * List all tracked processes
+   * Record of a tracked process, or its history record when it is no longer in memory
+   * @returns {Promise<Object|null>}
    */
-  async listProcesses(status = null) {
-    console.log('[MCP Server] Listing processes, filter:', status);
-
-    let processes = Array.from(this.processes.values()).map(p => ({
-      process_id: p.id,
-      pid: p.pid,
-      command: p.command,
-      status: p.status,
-      started_at: p.started_at,
-      finished_at: p.finished_at
-    }));
+  async findProcess(processId) {
+    return this.processes.get(processId)
+      || (this.database && await this.database.getProcess(processId))
+      || null;
+  }
 
-    if (status) {
-      processes = processes.filter(p => p.status === status);
-    }
+  /**
+   * Running and queued processes owned by an MCP session
+   */
+  getRunningProcesses(sessionId) {
+    return Array.from(this.processes.values())
+      .filter(p => ACTIVE_STATUSES.includes(p.status) && p.session_id === sessionId);
+  }
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            success: true,
-            total: processes.length,
-            processes: processes
-          }, null, 2),
-        },
-      ],
+  /**
+   * Output buffers of a tracked process, or buffers rebuilt from its history record
+   */
+  getOutputBuffers(processInfo) {
+    return this.outputs.get(processInfo.id) || {
+      stdout: OutputBuffer.fromHistory(processInfo.stdout, processInfo.stdout_bytes, getLogFile(processInfo.id, 'stdout')),
+      stderr: OutputBuffer.fromHistory(processInfo.stderr, processInfo.stderr_bytes, getLogFile(processInfo.id, 'stderr')),
     };
   }
 
   /**
-   * Kill a running process
+   * Release the output buffers of a process and delete its log files
    */
-  async killProcess(processId) {
-    console.log('[MCP Server] Killing process:', processId);
-
-    const processInfo = this.processes.get(processId);
-
-    if (!processInfo) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              error: 'Process not found',
-              process_id: processId
-            }, null, 2),
-          },
-        ],
-      };
+  removeOutputs(processId) {
+    const buffers = this.outputs.get(processId);
+    this.outputs.delete(processId);
+    for (const stream of ['stdout', 'stderr']) {
+      if (buffers) {
+        buffers[stream].end();
+      }
+      const logFile = getLogFile(processId, stream);
+      if (logFile) {
+        fs.promises.rm(logFile, { force: true }).catch((error) => {
+          console.error('[MCP Server] Failed to delete output log:', logFile, error.message);
+        });
+      }
     }
+  }
 
-    if (processInfo.status !== 'running') {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              error: 'Process is not running',
-              process_id: processId,
-              status: processInfo.status
-            }, null, 2),
-          },
-        ],
-      };
+  /**
+   * Delete expired output logs; older output of those processes is then no longer readable
+   */
+  async pruneOutputLogs() {
+    const deleted = await pruneLogFiles((processId) => {
+      const processInfo = this.processes.get(processId);
+      return Boolean(processInfo) && ACTIVE_STATUSES.includes(processInfo.status);
+    });
+    for (const { processId, stream } of deleted) {
+      const buffers = this.outputs.get(processId);
+      if (buffers) {
+        buffers[stream].end();
+        buffers[stream].logFile = null;
+      }
     }
+    if (deleted.length > 0) {
+      console.log(`[MCP Server] Deleted ${deleted.length} expired output logs`);
+    }
+  }
 
-    try {
-      process.kill(processInfo.pid, 'SIGTERM');
-      processInfo.status = 'killed';
-      processInfo.finished_at = new Date().toISOString();
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: true,
-              process_id: processId,
-              message: 'Process killed'
-            }, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              error: error.message,
-              process_id: processId
-            }, null, 2),
-          },
-        ],
-      };
+  /**
+   * Forget a tracked process and release its terminal screen and output
+   */
+  removeProcess(processId) {
+    const processInfo = this.processes.get(processId);
+    if (processInfo) {
+      this.cancelRetry(processInfo);
+    }
+    this.processes.delete(processId);
+    this.removeOutputs(processId);
+    clearTimeout(this.persistTimers.get(processId));
+    this.persistTimers.delete(processId);
+    const screen = this.screens.get(processId);
+    if (screen) {
+      screen.dispose();
+      this.screens.delete(processId);
+    }
+    if (processInfo) {
+      this.emit('removed', processInfo);
     }
   }
 
   /**
    * Clear completed/failed processes from memory
+   * @param {string} processId - Process to clear (default: all finished processes)
+   * @param {Object} options - { session_id: only clear all finished processes of this session }
    */
-  async clearProcesses(processId = null) {
+  async clearProcesses(processId = null, options = {}) {
+    const { session_id: sessionId } = options;
     console.log('[MCP Server] Clearing processes:', processId || 'all finished');
 
     if (processId) {
-      const processInfo = this.processes.get(processId);
+      const processInfo = await this.findProcess(processId);
       if (!processInfo) {
         return {
           content: [
@@ -273,7 +1851,14 @@ class CommandRunner {
           ],
         };
       }
-      this.processes.delete(processId);
+      if (processInfo.status === 'queued') {
+        this.cancelQueuedProcess(processInfo);
+      }
+      this.removeProcess(processId);
+      if (this.database) {
+        await this.database.deleteProcesses([processId]);
+        this.removeOutputs(processId);
+      }
       return {
         content: [
           {
@@ -288,14 +1873,19 @@ class CommandRunner {
       };
     }
 
-    // Clear all non-running processes
+    // Clear all finished processes
     let cleared = 0;
     for (const [id, info] of this.processes.entries()) {
-      if (info.status !== 'running') {
-        this.processes.delete(id);
+      if (!ACTIVE_STATUSES.includes(info.status) && (!sessionId || info.session_id === sessionId)) {
+        this.removeProcess(id);
         cleared++;
       }
     }
+    if (this.database) {
+      const clearedIds = await this.database.deleteFinishedProcesses(sessionId);
+      clearedIds.forEach(id => this.removeOutputs(id));
+      cleared = clearedIds.length;
+    }
 
     return {
       content: [
@@ -313,44 +1903,210 @@ class CommandRunner {
   /**
    * Run a command synchronously (blocking)
    * @param {string} command - Full command string to execute (e.g., "npm install", "echo hello world")
-   * @param {number} timeout - Timeout in milliseconds (default: 30000)
+   * @param {number} timeout - Timeout in milliseconds (default: 30000), including time spent queued
+   * @param {Object} options - Execution options (cwd, env, env_mode, shell, args), see resolveSpawnOptions,
+   *   plus limits (resource limits, see resolveLimits), session_id (MCP session running the command),
+   *   parse (format of stdout to return as structured data, see parseOutput)
+   *   and onOutput(stream, text) called as the command writes output
    */
-  async runCommand(command, timeout = 30000) {
-    console.log('[MCP Server] Running command (sync):', command);
+  async runCommand(command, timeout = 30000, options = {}) {
+    const { onOutput = () => {} } = options;
+    const resolved = this.resolveSpawnOptions(command, options);
+    const limits = resolved.error ? null : resolveLimits(options.limits, this.serverLimits);
+    if (limits && limits.error) {
+      resolved.error = limits.error;
+    } else if (options.parse !== undefined && !PARSE_FORMATS.includes(options.parse)) {
+      resolved.error = `parse must be one of ${PARSE_FORMATS.join(', ')}`;
+    }
+    if (resolved.error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              exit_code: null,
+              error: resolved.error,
+              command: command
+            }, null, 2),
+          },
+        ],
+      };
+    }
+
+    console.log('[MCP Server] Running command (sync):', this.redactor.redactText(command));
+
+    // History record of this run; sync runs are not tracked in this.processes
+    const record = {
+      id: uuidv4(),
+      mode: 'sync',
+      session_id: options.session_id || null,
+      pid: null,
+      command: command,
+      args: resolved.args,
+      cwd: resolved.spawnOptions.cwd || process.cwd(),
+      shell: resolved.shell,
+      executor: resolved.executor,
+      limits: limits.limits,
+      limit_exceeded: null,
+      status: 'running',
+      exit_code: null,
+      error: null,
+      stdout: '',
+      stderr: '',
+      timed_out: false,
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+    const deadline = Date.now() + timeout;
+
+    if (!this.limiter.tryAcquire()) {
+      record.status = 'queued';
+      this.persistProcess(record);
+      console.log('[MCP Server] Command queued:', record.id);
+
+      const started = await new Promise((resolve) => {
+        const queueTimer = setTimeout(() => {
+          this.limiter.cancel(record.id);
+          resolve(false);
+        }, timeout);
+        this.limiter.enqueue(record.id, () => {
+          clearTimeout(queueTimer);
+          resolve(true);
+        });
+      });
+
+      if (!started) {
+        Object.assign(record, {
+          status: 'timed_out',
+          error: 'Timed out waiting for a running command to finish',
+          timed_out: true,
+          finished_at: new Date().toISOString()
+        });
+        this.persistProcess(record);
+        this.emit('sync-exit', record);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                success: false,
+                process_id: record.id,
+                exit_code: null,
+                stdout: '',
+                stderr: '',
+                timed_out: true,
+                error: `Command was still queued after ${timeout}ms; the limit of ${this.limiter.max} running commands was reached`,
+                command: command
+              }, null, 2),
+            },
+          ],
+        };
+      }
+      record.status = 'running';
+      record.started_at = new Date().toISOString();
+    }
 
     return new Promise((resolve) => {
       let stdout = '';
       let stderr = '';
       let timedOut = false;
 
-      const child = spawn(command, [], { shell: true });
+      const limited = this.applyExecutor(applyLimits(resolved, record.limits));
+      const child = spawn(limited.file, limited.args, limited.spawnOptions);
+      record.pid = child.pid;
+      this.persistProcess(record);
+      this.emit('sync-start', record);
+
+      let released = false;
+      let finished = false;
+      const release = () => {
+        if (!released) {
+          released = true;
+          this.memoryMonitor.unwatch(child.pid);
+          this.limiter.release();
+        }
+      };
+
+      const finishRecord = (code, error = null, signal = null) => {
+        // A child that failed to spawn reports both an error and a close; the error is kept
+        if (finished) {
+          return;
+        }
+        finished = true;
+
+        const limitExceeded = error ? null : (record.limit_exceeded || detectLimitExceeded(record.limits, code, signal));
+        let status = code === 0 ? 'completed' : 'failed';
+        if (error) {
+          status = 'error';
+        } else if (limitExceeded) {
+          status = 'resource_exceeded';
+        } else if (timedOut) {
+          status = 'timed_out';
+        }
+        Object.assign(record, {
+          status: status,
+          exit_code: code,
+          error: error ? error.message : (limitExceeded && describeLimitExceeded(limitExceeded, record.limits)) || null,
+          limit_exceeded: limitExceeded,
+          stdout: stdout,
+          stderr: stderr,
+          timed_out: timedOut,
+          finished_at: new Date().toISOString()
+        });
+        this.persistProcess(record);
+        release();
+        this.emit('sync-exit', record);
+      };
+
+      if (record.limits.memory_mb && child.pid) {
+        this.memoryMonitor.watch(child.pid, record.limits.memory_mb, (bytes) => {
+          console.log('[MCP Server] Command exceeded its memory limit, killing:', record.id, `${bytes} bytes`);
+          record.limit_exceeded = 'memory_mb';
+          killProcessTree(child.pid, 'SIGKILL');
+        });
+      }
 
+      let killTimeoutId = null;
       const timeoutId = setTimeout(() => {
         timedOut = true;
-        child.kill('SIGTERM');
-      }, timeout);
+        killProcessTree(child.pid, 'SIGTERM');
+        killTimeoutId = setTimeout(() => killProcessTree(child.pid, 'SIGKILL'), DEFAULT_GRACE_PERIOD);
+      }, Math.max(deadline - Date.now(), 0));
 
       child.stdout.on('data', (data) => {
         stdout += data.toString();
+        onOutput('stdout', data.toString());
       });
 
       child.stderr.on('data', (data) => {
         stderr += data.toString();
+        onOutput('stderr', data.toString());
       });
 
-      child.on('close', (code) => {
+      child.on('close', (code, signal) => {
         clearTimeout(timeoutId);
+        clearTimeout(killTimeoutId);
+        finishRecord(code, null, signal);
+        // Parse failures are reported next to the raw output, which is returned as usual
+        const parsed = options.parse ? parseOutput(options.parse, stdout) : {};
 
         resolve({
           content: [
             {
               type: 'text',
               text: JSON.stringify({
-                success: !timedOut && code === 0,
+                success: record.status === 'completed',
+                process_id: record.id,
+                pid: record.pid,
                 exit_code: code,
                 stdout: stdout.trim(),
                 stderr: stderr.trim(),
                 timed_out: timedOut,
+                parsed: parsed.result,
+                parse_error: parsed.error,
+                limit_exceeded: record.limit_exceeded,
+                error: record.error,
                 command: command
               }, null, 2),
             },
@@ -360,6 +2116,8 @@ class CommandRunner {
 
       child.on('error', (error) => {
         clearTimeout(timeoutId);
+        clearTimeout(killTimeoutId);
+        finishRecord(null, error);
 
         resolve({
           content: [
@@ -367,6 +2125,7 @@ class CommandRunner {
               type: 'text',
               text: JSON.stringify({
                 success: false,
+                process_id: record.id,
                 exit_code: null,
                 stdout: stdout.trim(),
                 stderr: stderr.trim(),
@@ -381,4 +2140,4 @@ class CommandRunner {
   }
 }
 
-module.exports = { CommandRunner };
+module.exports = { CommandRunner, killProcessTree };
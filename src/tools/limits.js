@@ -0,0 +1,282 @@
+const { execFile } = require('child_process');
+const os = require('os');
+
+// Per-command resource limits and the server-wide maximum of each, from the environment
+const LIMIT_VARIABLES = {
+  cpu_seconds: 'LIMIT_CPU_SECONDS',
+  memory_mb: 'LIMIT_MEMORY_MB',
+  file_size_mb: 'LIMIT_FILE_SIZE_MB',
+  open_files: 'LIMIT_OPEN_FILES',
+};
+// Signals sent by the kernel when a process exceeds its CPU time or file size limit
+const LIMIT_SIGNALS = {
+  SIGXCPU: 'cpu_seconds',
+  SIGXFSZ: 'file_size_mb',
+};
+// Delay between two memory usage samples
+const MEMORY_SAMPLE_INTERVAL = 1000;
+
+/**
+ * Maximum number of commands running at once (0 = unlimited)
+ */
+function getMaxConcurrent() {
+  return parseInt(process.env.MAX_CONCURRENT_PROCESSES, 10) || 0;
+}
+
+/**
+ * Server-wide resource limits: the default for every command, and the most a command may request
+ */
+function getServerLimits() {
+  const limits = {};
+  for (const [name, variable] of Object.entries(LIMIT_VARIABLES)) {
+    const value = parseInt(process.env[variable], 10);
+    if (value > 0) {
+      limits[name] = value;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Validate the limits requested for a command and cap them at the server limits
+ * @param {Object} [requested] - { cpu_seconds, memory_mb, file_size_mb, open_files }
+ * @param {Object} serverLimits - Limits from getServerLimits()
+ * @returns {{ limits: Object, capped: boolean } | { error: string }}
+ */
+function resolveLimits(requested, serverLimits) {
+  if (requested !== undefined && requested !== null && (typeof requested !== 'object' || Array.isArray(requested))) {
+    return { error: 'limits must be an object' };
+  }
+
+  const limits = { ...serverLimits };
+  let capped = false;
+  for (const [name, value] of Object.entries(requested || {})) {
+    if (!(name in LIMIT_VARIABLES)) {
+      return { error: `Unknown limit: ${name}. Use one of: ${Object.keys(LIMIT_VARIABLES).join(', ')}` };
+    }
+    if (!Number.isInteger(value) || value < 1) {
+      return { error: `limits.${name} must be a positive integer` };
+    }
+    if (serverLimits[name] && value > serverLimits[name]) {
+      capped = true;
+    } else {
+      limits[name] = value;
+    }
+  }
+
+  if (Object.keys(limits).length > 0 && process.platform === 'win32') {
+    return { error: 'Resource limits are not supported on Windows' };
+  }
+  return { limits, capped };
+}
+
+/**
+ * Wrap resolved spawn arguments so the command starts with CPU time, file size and
+ * open file limits set. The wrapper sets the limits with ulimit and then replaces
+ * itself with the original command, so the PID and process group stay the same.
+ * Memory is not limited here but sampled by a MemoryMonitor, since address-space
+ * limits break runtimes that reserve large virtual ranges (node, java).
+ * @param {Object} resolved - Result of CommandRunner.resolveSpawnOptions
+ * @param {Object} limits - Resolved limits
+ * @returns {Object} Resolved spawn arguments running the wrapper
+ */
+function applyLimits(resolved, limits) {
+  const commands = [];
+  if (limits.cpu_seconds) {
+    // SIGXCPU at the soft limit; the hard limit a second later kills processes ignoring it
+    commands.push(`ulimit -S -t ${limits.cpu_seconds}`, `ulimit -H -t ${limits.cpu_seconds + 1}`);
+  }
+  if (limits.file_size_mb) {
+    // In 512-byte blocks, as POSIX sh counts them
+    commands.push(`ulimit -f ${limits.file_size_mb * 2048}`);
+  }
+  if (limits.open_files) {
+    commands.push(`ulimit -n ${limits.open_files}`);
+  }
+  if (commands.length === 0) {
+    return resolved;
+  }
+
+  let argv;
+  if (resolved.shell === 'none') {
+    argv = [resolved.file, ...resolved.args];
+  } else {
+    argv = [resolved.shell === 'default' ? '/bin/sh' : resolved.shell, '-c', resolved.file];
+  }
+
+  return {
+    ...resolved,
+    file: '/bin/sh',
+    args: ['-c', `${commands.join(' && ')} && exec "$@"`, 'sh', ...argv],
+    shell: 'none',
+    spawnOptions: { ...resolved.spawnOptions, shell: false },
+  };
+}
+
+/**
+ * Name of the limit a process exceeded, judged from how it ended
+ * @param {Object} limits - Limits the process ran with
+ * @param {number|null} code - Exit code
+ * @param {string|null} signal - Signal that ended the process
+ * @returns {string|null}
+ */
+function detectLimitExceeded(limits, code, signal) {
+  for (const [limitSignal, name] of Object.entries(LIMIT_SIGNALS)) {
+    // Shells report a command ended by a signal as exit code 128 + signal number
+    if (limits[name] && (signal === limitSignal || code === 128 + os.constants.signals[limitSignal])) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe an exceeded limit for the error field of a process
+ */
+function describeLimitExceeded(name, limits) {
+  const descriptions = {
+    cpu_seconds: `CPU time limit of ${limits.cpu_seconds}s exceeded`,
+    memory_mb: `Memory limit of ${limits.memory_mb} MB exceeded`,
+    file_size_mb: `File size limit of ${limits.file_size_mb} MB exceeded`,
+  };
+  return descriptions[name];
+}
+
+/**
+ * Caps the number of commands running at once; further commands wait in FIFO order
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {number} max - Maximum number of running commands (0 = unlimited)
+   */
+  constructor(max = getMaxConcurrent()) {
+    this.max = max;
+    this.active = 0;
+    // Waiting commands: { id, start }
+    this.waiting = [];
+  }
+
+  /**
+   * Take a slot if one is free
+   * @returns {boolean} false when the command has to wait
+   */
+  tryAcquire() {
+    if (this.max > 0 && this.active >= this.max) {
+      return false;
+    }
+    this.active++;
+    return true;
+  }
+
+  /**
+   * Queue a command; start() is called once it holds a slot
+   * @returns {number} Position in the queue, starting at 1
+   */
+  enqueue(id, start) {
+    this.waiting.push({ id, start });
+    return this.waiting.length;
+  }
+
+  /**
+   * Free a slot and start the next waiting command
+   */
+  release() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) {
+      this.active++;
+      next.start();
+    }
+  }
+
+  /**
+   * Remove a waiting command from the queue
+   * @returns {boolean} false if it was not waiting
+   */
+  cancel(id) {
+    const index = this.waiting.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.waiting.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Position of a waiting command, starting at 1 (0 if it is not waiting)
+   */
+  position(id) {
+    return this.waiting.findIndex(entry => entry.id === id) + 1;
+  }
+}
+
+/**
+ * Samples the resident memory of process groups and reports those above their limit
+ */
+class MemoryMonitor {
+  constructor(interval = MEMORY_SAMPLE_INTERVAL) {
+    this.interval = interval;
+    // Watched process groups: pgid -> { limitBytes, onExceeded }
+    this.groups = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * @param {number} pid - Process group leader
+   * @param {number} limitMb - Memory limit of the whole group
+   * @param {Function} onExceeded - Called once with the resident bytes of the group
+   */
+  watch(pid, limitMb, onExceeded) {
+    this.groups.set(pid, { limitBytes: limitMb * 1024 * 1024, onExceeded });
+    if (!this.timer) {
+      this.schedule();
+    }
+  }
+
+  unwatch(pid) {
+    this.groups.delete(pid);
+  }
+
+  schedule() {
+    this.timer = setTimeout(() => this.sample(), this.interval);
+    this.timer.unref();
+  }
+
+  sample() {
+    if (this.groups.size === 0) {
+      this.timer = null;
+      return;
+    }
+    execFile('ps', ['-A', '-o', 'pgid=,rss='], (error, stdout) => {
+      if (error) {
+        console.error('[MCP Server] Failed to sample memory usage:', error.message);
+      } else {
+        const usage = new Map();
+        for (const line of stdout.split('\n')) {
+          const [pgid, rss] = line.trim().split(/\s+/).map(Number);
+          if (this.groups.has(pgid)) {
+            usage.set(pgid, (usage.get(pgid) || 0) + rss * 1024);
+          }
+        }
+        for (const [pgid, bytes] of usage) {
+          const group = this.groups.get(pgid);
+          if (group && bytes > group.limitBytes) {
+            this.groups.delete(pgid);
+            group.onExceeded(bytes);
+          }
+        }
+      }
+      this.schedule();
+    });
+  }
+}
+
+module.exports = {
+  getServerLimits,
+  resolveLimits,
+  applyLimits,
+  detectLimitExceeded,
+  describeLimitExceeded,
+  ConcurrencyLimiter,
+  MemoryMonitor,
+};
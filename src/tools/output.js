@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bytes of output kept in memory per stream (default: 1 MiB)
+const DEFAULT_BUFFER_BYTES = parseInt(process.env.OUTPUT_BUFFER_BYTES, 10) || 1024 * 1024;
+// Directory receiving the full output of every process; empty string disables spilling to disk
+const DEFAULT_LOG_DIR = process.env.OUTPUT_LOG_DIR !== undefined
+  ? process.env.OUTPUT_LOG_DIR
+  : path.join(__dirname, '..', '..', 'data', 'logs');
+// Hours a log file is kept after its process last wrote to it (default: 7 days, 0 = forever)
+const LOG_RETENTION_HOURS = process.env.OUTPUT_LOG_RETENTION_HOURS !== undefined
+  ? parseFloat(process.env.OUTPUT_LOG_RETENTION_HOURS) || 0
+  : 7 * 24;
+// Log file names: <process_id>.<stream>.log
+const LOG_FILE_PATTERN = /^(.+)\.(stdout|stderr)\.log$/;
+// Maximum number of bytes returned per stream by a single read
+const MAX_READ_BYTES = 1024 * 1024;
+// Output written within this many milliseconds of a time mark shares its timestamp
+const TIME_MARK_INTERVAL = 1000;
+// Time marks kept per stream; output older than the oldest mark has no timestamp
+const MAX_TIME_MARKS = 10000;
+
+/**
+ * Output of one stream (stdout or stderr) of a process.
+ * Keeps the most recent bytes in memory and optionally appends everything to a
+ * log file, so older output can still be read by byte offset once it has been
+ * dropped from memory. Output is only dropped once its write to the log file
+ * has completed, so every byte can be read from one of the two.
+ */
+class OutputBuffer {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxBytes] - Bytes kept in memory
+   * @param {string} [options.logFile] - File receiving the full output (null = memory only)
+   */
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || DEFAULT_BUFFER_BYTES;
+    this.logFile = options.logFile || null;
+    this.chunks = [];
+    this.retainedBytes = 0;
+    this.totalBytes = 0;
+    // Bytes whose write to the log file has completed
+    this.loggedBytes = 0;
+    this.ended = false;
+    this.logStream = null;
+    // { offset, time } of the first output written in each interval, oldest first
+    this.timeMarks = [];
+
+    if (this.logFile) {
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+      this.logStream = fs.createWriteStream(this.logFile, { flags: 'a' });
+      this.logStream.on('error', (error) => {
+        console.error('[MCP Server] Output log unavailable, keeping output in memory only:', error.message);
+        this.logStream = null;
+        this.logFile = null;
+        this.trim();
+      });
+    }
+  }
+
+  /**
+   * Recreate a finished buffer from process history
+   * @param {string} text - Output retained when the process was saved
+   * @param {number} totalBytes - Total bytes the process wrote to the stream
+   * @param {string} logFile - Log file of the stream, used if it still exists
+   */
+  static fromHistory(text, totalBytes, logFile) {
+    const buffer = new OutputBuffer({ maxBytes: Number.MAX_SAFE_INTEGER });
+    const data = Buffer.from(text || '');
+    buffer.chunks = data.length > 0 ? [data] : [];
+    buffer.retainedBytes = data.length;
+    buffer.totalBytes = Math.max(totalBytes || 0, data.length);
+    buffer.loggedBytes = buffer.totalBytes;
+    buffer.ended = true;
+    buffer.logFile = logFile && fs.existsSync(logFile) ? logFile : null;
+    return buffer;
+  }
+
+  /**
+   * Byte offset of the oldest output still held in memory
+   */
+  get startOffset() {
+    return this.totalBytes - this.retainedBytes;
+  }
+
+  /**
+   * Byte offset of the oldest output that can still be read
+   */
+  get availableOffset() {
+    return this.logFile ? 0 : this.startOffset;
+  }
+
+  write(data) {
+    const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    if (chunk.length === 0) {
+      return;
+    }
+
+    if (this.logStream) {
+      this.logStream.write(chunk, (error) => {
+        if (!error) {
+          this.loggedBytes += chunk.length;
+          this.trim();
+        }
+      });
+    }
+
+    const now = Date.now();
+    const lastMark = this.timeMarks[this.timeMarks.length - 1];
+    if (!lastMark || now - lastMark.time >= TIME_MARK_INTERVAL) {
+      this.timeMarks.push({ offset: this.totalBytes, time: now });
+      if (this.timeMarks.length > MAX_TIME_MARKS) {
+        this.timeMarks.shift();
+      }
+    }
+
+    this.chunks.push(chunk);
+    this.retainedBytes += chunk.length;
+    this.totalBytes += chunk.length;
+    this.trim();
+  }
+
+  /**
+   * Drop the oldest output beyond the memory cap, keeping what is still being written
+   * to the log file
+   */
+  trim() {
+    const droppable = this.logFile ? this.loggedBytes : this.totalBytes;
+    while (this.retainedBytes > this.maxBytes && this.startOffset < droppable) {
+      const excess = Math.min(this.retainedBytes - this.maxBytes, droppable - this.startOffset);
+      const first = this.chunks[0];
+      if (first.length <= excess) {
+        this.chunks.shift();
+        this.retainedBytes -= first.length;
+      } else {
+        this.chunks[0] = first.subarray(excess);
+        this.retainedBytes -= excess;
+      }
+    }
+  }
+
+  /**
+   * Stop writing to the log file; no more output follows
+   */
+  end() {
+    this.ended = true;
+    if (this.logStream) {
+      this.logStream.end();
+      this.logStream = null;
+    }
+  }
+
+  /**
+   * When the output at a byte offset was written, to within TIME_MARK_INTERVAL
+   * @returns {string|null} ISO 8601 date, or null when not known (e.g. output restored from history)
+   */
+  timeAt(offset) {
+    let low = 0;
+    let high = this.timeMarks.length - 1;
+    let found = null;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (this.timeMarks[middle].offset <= offset) {
+        found = this.timeMarks[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found ? new Date(found.time).toISOString() : null;
+  }
+
+  /**
+   * Output held in memory, from its first whole character
+   */
+  toString() {
+    const data = Buffer.concat(this.chunks);
+    return data.subarray(skipPartialCharacter(data)).toString();
+  }
+
+  /**
+   * Read output by absolute byte offsets
+   * @param {number} start - First byte offset (inclusive)
+   * @param {number} end - Last byte offset (exclusive, default: end of output)
+   * @returns {Promise<{ text: string, start: number, end: number, truncated: boolean }>}
+   *   start/end describe the range actually returned; truncated is true when part of
+   *   the requested range was no longer available or exceeded the read limit. The range
+   *   holds whole UTF-8 characters: it starts after a character cut by start, and ends
+   *   before a character cut by end or not completely written yet.
+   */
+  async read(start = 0, end = this.totalBytes) {
+    const requestedStart = Math.max(0, Math.min(start, this.totalBytes));
+    const requestedEnd = Math.max(requestedStart, Math.min(end, this.totalBytes));
+
+    const from = Math.max(requestedStart, this.availableOffset);
+    if (from >= requestedEnd) {
+      // Nothing requested, or the whole range was dropped from memory
+      return {
+        text: '',
+        start: requestedEnd,
+        end: requestedEnd,
+        truncated: requestedStart < requestedEnd,
+      };
+    }
+    const to = Math.min(requestedEnd, from + MAX_READ_BYTES);
+
+    const parts = [];
+
+    // Older output comes from the log file
+    if (from < this.startOffset) {
+      const fileEnd = Math.min(to, this.startOffset);
+      parts.push(await this.readLogFile(from, fileEnd));
+    }
+
+    // Recent output comes from memory
+    const memoryFrom = Math.max(from, this.startOffset);
+    if (memoryFrom < to) {
+      const memory = Buffer.concat(this.chunks);
+      parts.push(memory.subarray(memoryFrom - this.startOffset, to - this.startOffset));
+    }
+
+    const data = Buffer.concat(parts);
+    const first = skipPartialCharacter(data);
+    // Output that ended with an incomplete character is returned as it is
+    const last = to < this.totalBytes || !this.ended ? Math.max(first, endOfLastCharacter(data)) : data.length;
+    return {
+      text: data.subarray(first, last).toString(),
+      start: from + first,
+      end: from + last,
+      truncated: from > requestedStart || to < requestedEnd,
+    };
+  }
+
+  async readLogFile(start, end) {
+    const handle = await fs.promises.open(this.logFile, 'r');
+    try {
+      const data = Buffer.alloc(end - start);
+      const { bytesRead } = await handle.read(data, 0, data.length, start);
+      return data.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+/**
+ * Number of UTF-8 continuation bytes at the start of data, left from a character
+ * that starts before it
+ */
+function skipPartialCharacter(data) {
+  let index = 0;
+  while (index < 3 && index < data.length && (data[index] & 0xc0) === 0x80) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Length of data without a UTF-8 character at its end that is missing bytes
+ */
+function endOfLastCharacter(data) {
+  for (let index = data.length - 1; index >= Math.max(0, data.length - 3); index--) {
+    const byte = data[index];
+    if ((byte & 0xc0) === 0x80) {
+      continue;
+    }
+    // Length of the character led by this byte
+    const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    return index + length > data.length ? index : data.length;
+  }
+  return data.length;
+}
+
+/**
+ * Log file path of one stream of a process, or null when spilling is disabled
+ */
+function getLogFile(processId, stream, logDir = DEFAULT_LOG_DIR) {
+  return logDir ? path.join(logDir, `${processId}.${stream}.log`) : null;
+}
+
+/**
+ * Delete the log files that have not been written to for longer than the retention period
+ * @param {Function} isActive - Called with a process_id; logs of active processes are kept
+ * @param {number} [retentionHours] - Hours since the last write (0 = keep every log)
+ * @returns {Promise<Object[]>} { processId, stream } of each deleted log
+ */
+async function pruneLogFiles(isActive, retentionHours = LOG_RETENTION_HOURS, logDir = DEFAULT_LOG_DIR) {
+  if (!logDir || !(retentionHours > 0)) {
+    return [];
+  }
+  const names = await fs.promises.readdir(logDir).catch(() => []);
+  const cutoff = Date.now() - retentionHours * 60 * 60 * 1000;
+  const deleted = [];
+  for (const name of names) {
+    const match = LOG_FILE_PATTERN.exec(name);
+    if (!match || isActive(match[1])) {
+      continue;
+    }
+    const file = path.join(logDir, name);
+    try {
+      const stat = await fs.promises.stat(file);
+      if (stat.mtimeMs < cutoff) {
+        await fs.promises.rm(file, { force: true });
+        deleted.push({ processId: match[1], stream: match[2] });
+      }
+    } catch (error) {
+      console.error('[MCP Server] Failed to delete expired output log:', file, error.message);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Encode stdout/stderr byte offsets into an opaque cursor token
+ */
+function encodeCursor(stdoutOffset, stderrOffset) {
+  return Buffer.from(JSON.stringify({ o: stdoutOffset, e: stderrOffset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor token, returning null when it is invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const { o, e } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isInteger(o) && Number.isInteger(e) && o >= 0 && e >= 0) {
+      return { stdout: o, stderr: e };
+    }
+  } catch (error) {
+    // Fall through to invalid cursor
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_BUFFER_BYTES,
+  DEFAULT_LOG_DIR,
+  MAX_READ_BYTES,
+  OutputBuffer,
+  getLogFile,
+  pruneLogFiles,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,446 @@
+const YAML = require('yaml');
+
+const PARSE_FORMATS = ['json', 'jsonl', 'junit', 'tap'];
+// Longest failure message returned; the full text stays in the raw output
+const MAX_MESSAGE_LENGTH = 1000;
+// Lines of output tried as the start of a JSON document preceded by other output
+const MAX_JSON_STARTS = 50;
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[ -/]*[@-~]/g;
+// file:line[:column] in a stack frame or diagnostic, e.g. "at foo (/src/a.test.js:12:5)"
+const LOCATION_PATTERN = /((?:[A-Za-z]:)?[^\s():'"]+\.[A-Za-z][A-Za-z0-9]*):(\d+)(?::\d+)?/g;
+const XML_TOKEN_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const XML_ATTRIBUTE_PATTERN = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Parse the output of a command into structured data. Test reports (Jest and
+ * Mocha JSON, JUnit XML, TAP) are summarized as totals and failed tests.
+ * @param {string} format - One of PARSE_FORMATS
+ * @param {string} text - Output to parse
+ * @returns {{ result: Object } | { error: string }}
+ */
+function parseOutput(format, text) {
+  if (!PARSE_FORMATS.includes(format)) {
+    return { error: `parse must be one of ${PARSE_FORMATS.join(', ')}` };
+  }
+  if (!text || text.trim() === '') {
+    return { error: 'No output to parse' };
+  }
+  try {
+    const parsers = { json: parseJson, jsonl: parseJsonLines, junit: parseJunit, tap: parseTap };
+    return { result: { format, ...parsers[format](text) } };
+  } catch (error) {
+    return { error: `Invalid ${format} output: ${error.message}` };
+  }
+}
+
+/**
+ * A JSON document, possibly preceded by other output such as the banner of npm run
+ */
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    data = findJsonDocument(text);
+    if (data === undefined) {
+      throw error;
+    }
+  }
+  return summarizeJsonReport(data) || { data };
+}
+
+function findJsonDocument(text) {
+  const lines = text.split('\n');
+  let attempts = 0;
+  for (let index = 1; index < lines.length && attempts < MAX_JSON_STARTS; index++) {
+    if (!/^\s*[[{]/.test(lines[index])) {
+      continue;
+    }
+    attempts++;
+    try {
+      return JSON.parse(lines.slice(index).join('\n'));
+    } catch (error) {
+      // Not the start of the document, try the next candidate line
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Totals and failures of a Jest (--json) or Mocha (--reporter json) report
+ */
+function summarizeJsonReport(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  if (typeof data.numTotalTests === 'number' && Array.isArray(data.testResults)) {
+    const failures = [];
+    for (const file of data.testResults) {
+      const assertions = file.assertionResults || [];
+      for (const assertion of assertions.filter(entry => entry.status === 'failed')) {
+        const message = (assertion.failureMessages || []).join('\n');
+        failures.push(createFailure(assertion.fullName || assertion.title, message, {
+          file: file.name,
+          line: assertion.location && assertion.location.line,
+        }));
+      }
+      // A test file that failed to run, e.g. on a syntax error, has no failed assertions
+      if (file.status === 'failed' && !assertions.some(entry => entry.status === 'failed')) {
+        failures.push(createFailure(file.name, file.message || file.failureMessage, { file: file.name }));
+      }
+    }
+    return {
+      report: 'jest',
+      success: data.success,
+      tests: {
+        total: data.numTotalTests,
+        passed: data.numPassedTests,
+        failed: data.numFailedTests,
+        skipped: (data.numPendingTests || 0) + (data.numTodoTests || 0),
+      },
+      suites: {
+        total: data.numTotalTestSuites,
+        failed: data.numFailedTestSuites,
+      },
+      failures,
+    };
+  }
+
+  if (data.stats && typeof data.stats.tests === 'number' && Array.isArray(data.failures)) {
+    return {
+      report: 'mocha',
+      success: data.stats.failures === 0,
+      tests: {
+        total: data.stats.tests,
+        passed: data.stats.passes,
+        failed: data.stats.failures,
+        skipped: data.stats.pending,
+      },
+      duration_ms: data.stats.duration,
+      failures: data.failures.map((test) => {
+        const err = test.err || {};
+        return createFailure(test.fullTitle || test.title, err.message, { file: test.file, stack: err.stack });
+      }),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * One JSON value per line. Lines that are not JSON are reported without failing the parse.
+ */
+function parseJsonLines(text) {
+  const records = [];
+  const errors = [];
+  text.split('\n').forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      errors.push({ line: index + 1, error: error.message });
+    }
+  });
+  if (records.length === 0) {
+    throw new Error('no line is a JSON value');
+  }
+  return { records, errors };
+}
+
+/**
+ * JUnit XML report, as written by jest-junit, pytest --junitxml, Maven Surefire and others
+ */
+function parseJunit(text) {
+  const root = parseXml(text);
+  const cases = [];
+  const suites = [];
+  const collect = (element, suite) => {
+    if (element.name === 'testsuite') {
+      suite = element;
+      suites.push(element);
+    } else if (element.name === 'testcase') {
+      cases.push({ element, suite });
+      return;
+    }
+    for (const child of element.children) {
+      collect(child, suite);
+    }
+  };
+  collect(root, null);
+  if (suites.length === 0 && cases.length === 0) {
+    throw new Error('no <testsuite> or <testcase> element found');
+  }
+
+  const tests = { total: cases.length, passed: 0, failed: 0, errors: 0, skipped: 0 };
+  const failures = [];
+  for (const { element, suite } of cases) {
+    const result = element.children.find(child => ['failure', 'error', 'skipped'].includes(child.name));
+    if (!result) {
+      tests.passed++;
+      continue;
+    }
+    if (result.name === 'skipped') {
+      tests.skipped++;
+      continue;
+    }
+    tests[result.name === 'failure' ? 'failed' : 'errors']++;
+    const attributes = element.attributes;
+    const details = result.text.trim();
+    failures.push({
+      ...createFailure(attributes.name, result.attributes.message || details, {
+        file: attributes.file || (suite && suite.attributes.file),
+        line: attributes.line,
+        stack: details,
+      }),
+      classname: attributes.classname,
+      suite: suite ? suite.attributes.name : undefined,
+      type: result.name,
+    });
+  }
+
+  const durationSource = root.name === 'testsuites' && root.attributes.time !== undefined
+    ? [root]
+    : suites.filter(suite => !suites.some(other => other !== suite && other.children.includes(suite)));
+  const duration = durationSource.reduce((total, element) => total + (parseFloat(element.attributes.time) || 0), 0);
+
+  return {
+    success: tests.failed === 0 && tests.errors === 0,
+    tests,
+    duration_ms: Math.round(duration * 1000),
+    suites: suites.map(suite => ({
+      name: suite.attributes.name,
+      tests: suite.children.filter(child => child.name === 'testcase').length,
+      time: suite.attributes.time !== undefined ? parseFloat(suite.attributes.time) : undefined,
+    })),
+    failures,
+  };
+}
+
+/**
+ * Minimal XML parser: elements with attributes and text content, enough for test reports
+ * @returns {Object} Root element { name, attributes, children, text }
+ */
+function parseXml(text) {
+  const document = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [document];
+  let position = 0;
+
+  const appendText = (value) => {
+    stack[stack.length - 1].text += value;
+  };
+
+  XML_TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = XML_TOKEN_PATTERN.exec(text)) !== null) {
+    appendText(decodeXmlEntities(text.slice(position, match.index)));
+    position = XML_TOKEN_PATTERN.lastIndex;
+
+    const [token, cdata, closing, name, attributes, selfClosing] = match;
+    if (cdata !== undefined) {
+      appendText(cdata);
+    } else if (name === undefined) {
+      // Comment, processing instruction or doctype
+    } else if (closing) {
+      const element = stack.pop();
+      if (!element.name || element.name !== name) {
+        throw new Error(`unexpected ${token}`);
+      }
+    } else {
+      const element = { name, attributes: parseXmlAttributes(attributes), children: [], text: '' };
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is not closed`);
+  }
+  if (document.children.length === 0) {
+    throw new Error('no XML element found');
+  }
+  return document.children[0];
+}
+
+function parseXmlAttributes(text) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of text.matchAll(XML_ATTRIBUTE_PATTERN)) {
+    attributes[name] = decodeXmlEntities(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+  }
+  return attributes;
+}
+
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-z]+);/g, (entity, code) => {
+    if (code.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(code.slice(2), 16));
+    }
+    if (code.startsWith('#')) {
+      return String.fromCodePoint(parseInt(code.slice(1), 10));
+    }
+    return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+  });
+}
+
+/**
+ * Test Anything Protocol output, e.g. from node --test, tap or prove. Only
+ * top-level test points are counted; indented subtests are part of their parent.
+ */
+function parseTap(text) {
+  const lines = text.split(/\r?\n/);
+  const points = [];
+  let plan = null;
+  let bailOut = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const planMatch = /^1\.\.(\d+)(?:\s*#\s*(.*))?$/.exec(line);
+    if (planMatch) {
+      plan = { count: parseInt(planMatch[1], 10), reason: planMatch[2] || undefined };
+      continue;
+    }
+    const bailMatch = /^Bail out!\s*(.*)$/.exec(line);
+    if (bailMatch) {
+      bailOut = bailMatch[1] || true;
+      break;
+    }
+    const pointMatch = /^(not )?ok\b\s*(\d+)?\s*(?:-\s*)?(.*)$/.exec(line);
+    if (pointMatch) {
+      const [description, directive, reason] = splitTapDirective(pointMatch[3]);
+      points.push({
+        ok: !pointMatch[1],
+        id: pointMatch[2] ? parseInt(pointMatch[2], 10) : points.length + 1,
+        name: description,
+        directive,
+        reason,
+      });
+      continue;
+    }
+    // YAML diagnostics of the previous test point, between indented --- and ... lines
+    const yamlMatch = /^(\s+)---\s*$/.exec(line);
+    if (yamlMatch && points.length > 0) {
+      const indent = yamlMatch[1].length;
+      const block = [];
+      while (++index < lines.length && !/^\s+\.\.\.\s*$/.test(lines[index])) {
+        block.push(lines[index].slice(indent));
+      }
+      try {
+        points[points.length - 1].diagnostics = YAML.parse(block.join('\n'));
+      } catch (error) {
+        points[points.length - 1].diagnostics = block.join('\n');
+      }
+    }
+  }
+
+  if (points.length === 0 && !plan) {
+    throw new Error('no test points or plan found');
+  }
+
+  const tests = { total: points.length, passed: 0, failed: 0, skipped: 0, todo: 0 };
+  const failures = [];
+  for (const point of points) {
+    if (point.directive === 'todo') {
+      tests.todo++;
+    } else if (point.directive === 'skip') {
+      tests.skipped++;
+    } else if (point.ok) {
+      tests.passed++;
+    } else {
+      tests.failed++;
+      failures.push({ id: point.id, ...createTapFailure(point) });
+    }
+  }
+
+  return {
+    success: tests.failed === 0 && !bailOut && (!plan || plan.count === points.length),
+    plan: plan ? plan.count : undefined,
+    skip_reason: plan && plan.count === 0 ? plan.reason : undefined,
+    bail_out: bailOut || undefined,
+    tests,
+    failures,
+  };
+}
+
+/**
+ * Split "description # SKIP reason" into its parts
+ */
+function splitTapDirective(text) {
+  const match = /^(.*?)\s*(?<!\\)#\s*(skip|todo)\S*\s*(.*)$/i.exec(text);
+  if (!match) {
+    return [text.trim(), undefined, undefined];
+  }
+  return [match[1], match[2].toLowerCase(), match[3] || undefined];
+}
+
+function createTapFailure(point) {
+  const diagnostics = point.diagnostics && typeof point.diagnostics === 'object' ? point.diagnostics : {};
+  const message = diagnostics.message || diagnostics.error
+    || (typeof point.diagnostics === 'string' ? point.diagnostics : undefined);
+  // node --test reports location: "file:line:column", tap reports at: { file, line }
+  const at = diagnostics.at && typeof diagnostics.at === 'object' ? diagnostics.at : {};
+  return createFailure(point.name, message, {
+    file: at.file,
+    line: at.line,
+    stack: [diagnostics.location, typeof diagnostics.at === 'string' ? diagnostics.at : '', diagnostics.stack]
+      .filter(value => typeof value === 'string').join('\n'),
+  });
+}
+
+/**
+ * A failed test with a short message and, when known, the file and line it failed at.
+ * Without an explicit file, the location is taken from the first stack frame
+ * outside node_modules in the stack or message.
+ */
+function createFailure(name, message, { file, line, stack } = {}) {
+  const text = typeof message === 'string' ? message : (message ? JSON.stringify(message) : '');
+  let location = { file: file || undefined, line: line ? parseInt(line, 10) : undefined };
+  if (!location.file || !location.line) {
+    const found = findLocation(`${stack || ''}\n${text}`, location.file);
+    if (found) {
+      location = { file: location.file || found.file, line: location.line || found.line };
+    }
+  }
+  return {
+    name: name,
+    message: summarizeMessage(text),
+    file: location.file,
+    line: location.line,
+  };
+}
+
+/**
+ * First file:line in a stack trace, preferring frames in the given file and skipping dependencies
+ */
+function findLocation(text, preferredFile) {
+  const candidates = [];
+  for (const [, file, line] of text.replace(ANSI_PATTERN, '').replace(/file:\/\//g, '').matchAll(LOCATION_PATTERN)) {
+    if (file.includes('node_modules') || file.startsWith('node:') || file.startsWith('internal/')) {
+      continue;
+    }
+    candidates.push({ file, line: parseInt(line, 10) });
+  }
+  if (preferredFile) {
+    return candidates.find(candidate => candidate.file === preferredFile || preferredFile.endsWith(candidate.file)) || null;
+  }
+  return candidates[0] || null;
+}
+
+/**
+ * The message of a failure without colors and stack frames, capped in length
+ */
+function summarizeMessage(text) {
+  const lines = text.replace(ANSI_PATTERN, '').split('\n');
+  const stackStart = lines.findIndex(line => /^\s+at\s/.test(line));
+  const message = (stackStart === -1 ? lines : lines.slice(0, stackStart)).join('\n').trim();
+  return message.length > MAX_MESSAGE_LENGTH ? `${message.slice(0, MAX_MESSAGE_LENGTH)}...` : message;
+}
+
+module.exports = {
+  PARSE_FORMATS,
+  parseOutput,
+};
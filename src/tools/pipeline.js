@@ -0,0 +1,426 @@
+const { v4: uuidv4 } = require('uuid');
+const { MAX_READ_BYTES } = require('./output');
+
+const STEP_ID_PATTERN = /^[a-zA-Z0-9_.-]+$/;
+// Default number of output lines per step and stream in pipeline status
+const DEFAULT_TAIL_LINES = 20;
+// Finished pipelines kept in memory; older ones are forgotten
+const MAX_FINISHED_PIPELINES = 100;
+
+/**
+ * Validate the steps of a run_pipeline request: unique ids, known dependencies
+ * and no dependency cycles
+ * @param {Object[]} steps - { id, command, args, depends_on, continue_on_error, timeout, cwd, env, env_mode, shell }
+ * @returns {{ steps: Object[] } | { error: string }}
+ */
+function parsePipeline(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: 'steps must be a non-empty list' };
+  }
+
+  const byId = new Map();
+  for (const [index, step] of steps.entries()) {
+    if (!step || typeof step !== 'object') {
+      return { error: `Step ${index + 1} must be an object` };
+    }
+    const id = step.id === undefined ? `step-${index + 1}` : step.id;
+    if (typeof id !== 'string' || !STEP_ID_PATTERN.test(id)) {
+      return { error: `Invalid step id "${id}": ids may only contain letters, digits, _, . and -` };
+    }
+    if (byId.has(id)) {
+      return { error: `Duplicate step id "${id}"` };
+    }
+    if (typeof step.command !== 'string' || step.command.trim() === '') {
+      return { error: `Step "${id}": command is required` };
+    }
+    const dependsOn = step.depends_on === undefined ? [] : step.depends_on;
+    if (!Array.isArray(dependsOn) || dependsOn.some(dependency => typeof dependency !== 'string')) {
+      return { error: `Step "${id}": depends_on must be a list of step ids` };
+    }
+    if (step.timeout !== undefined && (!Number.isInteger(step.timeout) || step.timeout < 0)) {
+      return { error: `Step "${id}": timeout must be a non-negative integer` };
+    }
+    byId.set(id, { ...step, id, depends_on: dependsOn });
+  }
+
+  for (const step of byId.values()) {
+    const unknown = step.depends_on.find(dependency => !byId.has(dependency));
+    if (unknown) {
+      return { error: `Step "${step.id}" depends on unknown step "${unknown}"` };
+    }
+  }
+
+  // Kahn's algorithm; steps left over are part of a cycle
+  const remaining = new Map(Array.from(byId.values()).map(step => [step.id, new Set(step.depends_on)]));
+  while (remaining.size > 0) {
+    const ready = Array.from(remaining.keys()).filter(id => remaining.get(id).size === 0);
+    if (ready.length === 0) {
+      return { error: `Steps ${Array.from(remaining.keys()).join(', ')} form a dependency cycle` };
+    }
+    for (const id of ready) {
+      remaining.delete(id);
+      remaining.forEach(dependencies => dependencies.delete(id));
+    }
+  }
+  return { steps: Array.from(byId.values()) };
+}
+
+/**
+ * Runs pipelines: sets of steps with dependencies between them. Each step is
+ * started through the CommandRunner as soon as the steps it depends on have
+ * succeeded, so independent steps run in parallel.
+ *
+ * A failing step stops the pipeline: steps that have not started are skipped
+ * and running steps are killed, unless the step has continue_on_error.
+ */
+class PipelineManager {
+  /**
+   * @param {CommandRunner} commandRunner - Runs the steps and reports their exit
+   */
+  constructor(commandRunner) {
+    this.commandRunner = commandRunner;
+    // Pipelines keyed by pipeline_id
+    this.pipelines = new Map();
+    // Running steps keyed by process_id: { pipeline, step }
+    this.steps = new Map();
+
+    commandRunner.on('exit', (processInfo) => this.handleExit(processInfo));
+  }
+
+  /**
+   * Start a pipeline
+   * @param {Object[]} steps - Steps from parsePipeline, each with the timeout to run with
+   * @param {Object} options - { name, cwd, env, executor, sandbox, session_id }; cwd and env are defaults
+   *   for every step, and every step runs with the executor
+   */
+  async runPipeline(steps, options = {}) {
+    const executor = this.commandRunner.resolveExecutor(options, options.cwd);
+    if (executor.error) {
+      return this.createErrorResult(executor.error);
+    }
+
+    const pipeline = {
+      id: uuidv4(),
+      name: options.name || null,
+      session_id: options.session_id || null,
+      executor: executor.name,
+      sandbox: options.sandbox,
+      status: 'running',
+      error: null,
+      steps: steps.map(step => ({
+        id: step.id,
+        command: step.command,
+        args: step.args,
+        depends_on: step.depends_on,
+        continue_on_error: step.continue_on_error === true,
+        timeout: step.timeout || 0,
+        cwd: step.cwd || options.cwd,
+        env: options.env || step.env ? { ...options.env, ...step.env } : undefined,
+        env_mode: step.env_mode,
+        shell: step.shell,
+        status: 'pending',
+        process_id: null,
+        exit_code: null,
+        error: null,
+        started_at: null,
+        finished_at: null,
+      })),
+      started_at: new Date().toISOString(),
+      finished_at: null,
+    };
+    console.log('[MCP Server] Starting pipeline:', pipeline.id, pipeline.steps.map(step => step.id).join(', '));
+
+    this.pipelines.set(pipeline.id, pipeline);
+    this.forgetFinishedPipelines();
+    await this.advance(pipeline);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            pipeline_id: pipeline.id,
+            ...this.describePipeline(pipeline),
+            message: 'Pipeline started. Use get_pipeline_status with this pipeline_id to follow its steps.'
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Start every pending step whose dependencies have finished, skip the steps
+   * whose dependencies failed, and settle the pipeline once no step is left
+   */
+  async advance(pipeline) {
+    let changed = true;
+    while (changed && pipeline.status === 'running') {
+      changed = false;
+      for (const step of pipeline.steps) {
+        if (step.status !== 'pending') {
+          continue;
+        }
+        const dependencies = step.depends_on.map(id => pipeline.steps.find(other => other.id === id));
+        if (dependencies.some(dependency => isFinished(dependency) && !isSuccessful(dependency))) {
+          step.status = 'skipped';
+          step.error = 'A step it depends on did not succeed';
+          changed = true;
+        } else if (dependencies.every(dependency => isFinished(dependency))) {
+          await this.startStep(pipeline, step);
+          changed = true;
+        }
+      }
+    }
+
+    if (pipeline.status === 'running' && pipeline.steps.every(isFinished)) {
+      const failed = pipeline.steps.some(step => !isSuccessful(step));
+      this.finishPipeline(pipeline, failed ? 'failed' : 'completed');
+    }
+  }
+
+  async startStep(pipeline, step) {
+    // Taken off pending first so a concurrent advance() does not start it twice
+    step.status = 'queued';
+    const result = await this.commandRunner.startCommand(step.command, step.timeout, {
+      cwd: step.cwd,
+      env: step.env,
+      env_mode: step.env_mode,
+      shell: step.shell,
+      args: step.args,
+      executor: pipeline.executor,
+      sandbox: pipeline.sandbox,
+      session_id: pipeline.session_id,
+    });
+    const started = JSON.parse(result.content[0].text);
+    step.started_at = new Date().toISOString();
+
+    if (!started.success) {
+      step.status = 'error';
+      step.error = started.error;
+      step.finished_at = step.started_at;
+      this.handleStepFailure(pipeline, step);
+      return;
+    }
+
+    step.status = started.status;
+    step.process_id = started.process_id;
+    this.steps.set(started.process_id, { pipeline, step });
+
+    // Spawn errors can end the process before startCommand returns
+    const processInfo = this.commandRunner.processes.get(started.process_id);
+    if (processInfo && isFinished(processInfo)) {
+      this.handleExit(processInfo);
+    } else if (pipeline.status !== 'running') {
+      // The pipeline was stopped while the step was starting
+      await this.commandRunner.killProcess(started.process_id);
+    }
+  }
+
+  handleExit(processInfo) {
+    const entry = this.steps.get(processInfo.id);
+    if (!entry) {
+      return;
+    }
+    this.steps.delete(processInfo.id);
+
+    const { pipeline, step } = entry;
+    step.status = processInfo.status;
+    step.exit_code = processInfo.exit_code;
+    step.error = processInfo.error;
+    step.started_at = processInfo.started_at;
+    step.finished_at = processInfo.finished_at;
+    console.log(`[MCP Server] Pipeline ${pipeline.id} step ${step.id} ${step.status}`);
+
+    if (!isSuccessful(step)) {
+      this.handleStepFailure(pipeline, step);
+    }
+    this.advance(pipeline).catch((error) => {
+      console.error(`[MCP Server] Error advancing pipeline ${pipeline.id}:`, error.message);
+    });
+  }
+
+  /**
+   * Stop the pipeline after a step failed, unless the step may fail
+   */
+  handleStepFailure(pipeline, step) {
+    if (step.continue_on_error || pipeline.status !== 'running') {
+      return;
+    }
+    pipeline.error = `Step "${step.id}" ${step.status}${step.error ? `: ${step.error}` : ''}`;
+    this.stopSteps(pipeline, 'skipped', `Pipeline stopped after step "${step.id}" failed`);
+    this.finishPipeline(pipeline, 'failed');
+  }
+
+  /**
+   * Mark the pending steps of a pipeline and kill its running steps
+   */
+  stopSteps(pipeline, pendingStatus, reason) {
+    for (const step of pipeline.steps) {
+      if (step.status === 'pending') {
+        step.status = pendingStatus;
+        step.error = reason;
+      } else if (step.process_id && this.steps.has(step.process_id)) {
+        this.commandRunner.killProcess(step.process_id).catch((error) => {
+          console.error(`[MCP Server] Error killing pipeline step ${step.id}:`, error.message);
+        });
+      }
+    }
+  }
+
+  finishPipeline(pipeline, status) {
+    pipeline.status = status;
+    pipeline.finished_at = new Date().toISOString();
+    console.log(`[MCP Server] Pipeline ${pipeline.id} ${status}`);
+  }
+
+  /**
+   * Status of a pipeline and each of its steps, with the last lines of their output
+   * @param {number} tail - Output lines per step and stream (0 = no output)
+   */
+  async getStatus(pipelineId, tail = DEFAULT_TAIL_LINES) {
+    const pipeline = this.pipelines.get(pipelineId);
+    if (!pipeline) {
+      return this.createErrorResult('Pipeline not found', { pipeline_id: pipelineId });
+    }
+
+    const description = this.describePipeline(pipeline);
+    if (tail > 0) {
+      await Promise.all(description.steps.map(async (step) => {
+        const processInfo = step.process_id && await this.commandRunner.findProcess(step.process_id);
+        if (processInfo) {
+          const buffers = this.commandRunner.getOutputBuffers(processInfo);
+          step.stdout = await readTail(buffers.stdout, tail);
+          step.stderr = await readTail(buffers.stderr, tail);
+        }
+      }));
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            pipeline_id: pipeline.id,
+            ...description,
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Stop a pipeline: pending steps are cancelled and running steps killed
+   */
+  async cancelPipeline(pipelineId) {
+    const pipeline = this.pipelines.get(pipelineId);
+    if (!pipeline) {
+      return this.createErrorResult('Pipeline not found', { pipeline_id: pipelineId });
+    }
+    if (pipeline.status !== 'running') {
+      return this.createErrorResult(`Pipeline is already ${pipeline.status}`, { pipeline_id: pipelineId });
+    }
+
+    console.log('[MCP Server] Cancelling pipeline:', pipelineId);
+    this.stopSteps(pipeline, 'cancelled', 'Pipeline cancelled');
+    this.finishPipeline(pipeline, 'cancelled');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            pipeline_id: pipelineId,
+            ...this.describePipeline(pipeline),
+            message: 'Pipeline cancelled. Running steps are being killed.'
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  describePipeline(pipeline) {
+    const end = pipeline.finished_at ? Date.parse(pipeline.finished_at) : Date.now();
+    return {
+      name: pipeline.name,
+      executor: pipeline.executor,
+      status: pipeline.status,
+      error: pipeline.error,
+      started_at: pipeline.started_at,
+      finished_at: pipeline.finished_at,
+      duration_ms: end - Date.parse(pipeline.started_at),
+      steps: pipeline.steps.map(step => ({
+        id: step.id,
+        command: step.command,
+        depends_on: step.depends_on,
+        continue_on_error: step.continue_on_error,
+        status: this.getStepStatus(step),
+        process_id: step.process_id,
+        exit_code: step.exit_code,
+        error: step.error,
+        started_at: step.started_at,
+        finished_at: step.finished_at,
+        duration_ms: step.started_at
+          ? (step.finished_at ? Date.parse(step.finished_at) : Date.now()) - Date.parse(step.started_at)
+          : null,
+      })),
+    };
+  }
+
+  /**
+   * Status of a step; queued steps start running without an event of their own
+   */
+  getStepStatus(step) {
+    const processInfo = this.steps.has(step.process_id) && this.commandRunner.processes.get(step.process_id);
+    return processInfo ? processInfo.status : step.status;
+  }
+
+  getPipeline(pipelineId) {
+    return this.pipelines.get(pipelineId);
+  }
+
+  forgetFinishedPipelines() {
+    const finished = Array.from(this.pipelines.values()).filter(pipeline => pipeline.status !== 'running');
+    for (const pipeline of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_PIPELINES))) {
+      this.pipelines.delete(pipeline.id);
+    }
+  }
+
+  createErrorResult(error, fields = {}) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: error,
+            ...fields
+          }, null, 2),
+        },
+      ],
+    };
+  }
+}
+
+function isFinished(step) {
+  return !['pending', 'queued', 'running'].includes(step.status);
+}
+
+/**
+ * Whether the steps depending on a step may run
+ */
+function isSuccessful(step) {
+  return step.status === 'completed' || (step.continue_on_error && step.status !== 'skipped' && step.status !== 'cancelled');
+}
+
+async function readTail(buffer, lines) {
+  const result = await buffer.read(Math.max(buffer.startOffset, buffer.totalBytes - MAX_READ_BYTES));
+  return result.text.trim().split('\n').slice(-lines).join('\n');
+}
+
+module.exports = {
+  PipelineManager,
+  parsePipeline,
+};
@@ -0,0 +1,77 @@
+// Defaults of a retry policy
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+const DEFAULT_BACKOFF_MULTIPLIER = 2;
+const DEFAULT_MAX_BACKOFF_MS = 60000;
+// Upper bound of max_attempts, so a policy cannot retry forever
+const MAX_ATTEMPTS_LIMIT = 100;
+
+/**
+ * Validate the retry policy of a command and fill in its defaults
+ * @param {Object} [retry] - { max_attempts, backoff_ms, backoff_multiplier, max_backoff_ms, retry_on_exit_codes, retry_on_timeout }
+ * @returns {{ policy: Object|null } | { error: string }}
+ */
+function resolveRetryPolicy(retry) {
+  if (retry === undefined || retry === null) {
+    return { policy: null };
+  }
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    return { error: 'retry must be an object' };
+  }
+
+  const policy = {
+    max_attempts: retry.max_attempts === undefined ? DEFAULT_MAX_ATTEMPTS : retry.max_attempts,
+    backoff_ms: retry.backoff_ms === undefined ? DEFAULT_BACKOFF_MS : retry.backoff_ms,
+    backoff_multiplier: retry.backoff_multiplier === undefined ? DEFAULT_BACKOFF_MULTIPLIER : retry.backoff_multiplier,
+    max_backoff_ms: retry.max_backoff_ms === undefined ? DEFAULT_MAX_BACKOFF_MS : retry.max_backoff_ms,
+    retry_on_exit_codes: retry.retry_on_exit_codes,
+    retry_on_timeout: retry.retry_on_timeout !== false,
+  };
+
+  if (!Number.isInteger(policy.max_attempts) || policy.max_attempts < 1 || policy.max_attempts > MAX_ATTEMPTS_LIMIT) {
+    return { error: `retry.max_attempts must be an integer from 1 to ${MAX_ATTEMPTS_LIMIT}` };
+  }
+  for (const name of ['backoff_ms', 'max_backoff_ms']) {
+    if (!Number.isInteger(policy[name]) || policy[name] < 0) {
+      return { error: `retry.${name} must be a non-negative integer` };
+    }
+  }
+  if (typeof policy.backoff_multiplier !== 'number' || policy.backoff_multiplier < 1) {
+    return { error: 'retry.backoff_multiplier must be a number of at least 1' };
+  }
+  if (policy.retry_on_exit_codes !== undefined
+    && (!Array.isArray(policy.retry_on_exit_codes) || policy.retry_on_exit_codes.some(code => !Number.isInteger(code)))) {
+    return { error: 'retry.retry_on_exit_codes must be a list of exit codes' };
+  }
+  return { policy };
+}
+
+/**
+ * Whether a finished attempt should be run again. Killed, cancelled and
+ * resource_exceeded attempts are never retried, nor commands that failed to start.
+ */
+function shouldRetry(policy, processInfo) {
+  if (processInfo.attempt >= policy.max_attempts) {
+    return false;
+  }
+  if (processInfo.status === 'timed_out') {
+    return policy.retry_on_timeout;
+  }
+  if (processInfo.status === 'failed') {
+    return !policy.retry_on_exit_codes || policy.retry_on_exit_codes.includes(processInfo.exit_code);
+  }
+  return false;
+}
+
+/**
+ * Delay before the attempt following the given one: exponential backoff, capped
+ */
+function getRetryDelay(policy, attempt) {
+  return Math.min(policy.backoff_ms * Math.pow(policy.backoff_multiplier, attempt - 1), policy.max_backoff_ms);
+}
+
+module.exports = {
+  resolveRetryPolicy,
+  shouldRetry,
+  getRetryDelay,
+};
@@ -0,0 +1,513 @@
+const { v4: uuidv4 } = require('uuid');
+const { resolveLimits } = require('./limits');
+const { resolveRetryPolicy } = require('./retry');
+
+// Shortest interval between two runs of an interval schedule
+const MIN_INTERVAL_MS = 1000;
+// Longest delay setTimeout accepts; longer waits are split
+const MAX_TIMER_DELAY = 2147483647;
+// Years searched for the next time a cron expression matches
+const CRON_SEARCH_YEARS = 5;
+// Cron fields: [name, minimum, maximum, names of the values]
+const CRON_FIELDS = [
+  ['minute', 0, 59],
+  ['hour', 0, 23],
+  ['day_of_month', 1, 31],
+  ['month', 1, 12, ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']],
+  ['day_of_week', 0, 7, ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']],
+];
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps, month/day names and @daily-style macros
+ * @returns {Object} Set of matching values per field
+ * @throws {Error} For invalid expressions
+ */
+function parseCron(expression) {
+  const text = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach(([name, min, max, names], index) => {
+    cron[name] = parseCronField(parts[index], min, max, names, `${name} field of "${expression}"`);
+    cron[`${name}_any`] = parts[index] === '*';
+  });
+  // 7 is Sunday as well as 0
+  if (cron.day_of_week.delete(7)) {
+    cron.day_of_week.add(0);
+  }
+  return cron;
+}
+
+function parseCronField(field, min, max, names = [], label) {
+  const toNumber = (text) => {
+    const index = names.indexOf(text.toLowerCase());
+    const value = index === -1 ? Number(text) : index + min;
+    if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid cron expression: "${text}" is not a value from ${min} to ${max} in the ${label}`);
+    }
+    return value;
+  };
+
+  const values = new Set();
+  for (const item of field.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron expression: bad step "${item}" in the ${label}`);
+    }
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [min, max];
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : max;
+    }
+    if (start > end) {
+      throw new Error(`Invalid cron expression: range "${range}" is reversed in the ${label}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Next time after a date at which a parsed cron expression matches, in the server's time zone
+ * @returns {Date|null} null if it never matches within the search window (e.g. February 30)
+ */
+function getNextCronTime(cron, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const lastYear = after.getFullYear() + CRON_SEARCH_YEARS;
+
+  while (date.getFullYear() <= lastYear) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesCronDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * As in cron, a restricted day of month and day of week match when either does
+ */
+function matchesCronDay(cron, date) {
+  const dayOfMonth = cron.day_of_month.has(date.getDate());
+  const dayOfWeek = cron.day_of_week.has(date.getDay());
+  if (cron.day_of_month_any || cron.day_of_week_any) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Runs commands on a cron schedule or at a fixed interval. Schedules are
+ * stored in the process database and resume after a restart; each run is a
+ * process of its own, linked to its schedule by schedule_id.
+ */
+class Scheduler {
+  /**
+   * @param {CommandRunner} commandRunner - Runs the scheduled commands
+   * @param {Object} [options]
+   * @param {Function} [options.authorize] - Called with a schedule before each run; returns a
+   *   policy decision, and runs it does not allow are skipped, including those needing confirmation
+   * @param {Function} [options.isOwnerActive] - Called with the session_id of each stored schedule
+   *   on load; schedules whose session can no longer return are deleted
+   */
+  constructor(commandRunner, options = {}) {
+    this.commandRunner = commandRunner;
+    this.authorize = options.authorize || (() => ({ action: 'allow', allowed: true }));
+    this.isOwnerActive = options.isOwnerActive || (() => true);
+    // Active schedules keyed by schedule_id
+    this.schedules = new Map();
+    // Timers of the next run, keyed by schedule_id
+    this.timers = new Map();
+    this.loaded = this.load().catch((error) => {
+      console.error('[MCP Server] Failed to load schedules:', error.message);
+    });
+  }
+
+  /**
+   * Resume the schedules stored by a previous server instance
+   */
+  async load() {
+    const database = this.commandRunner.database;
+    if (!database) {
+      return;
+    }
+    for (const record of await database.listSchedules()) {
+      if (record.session_id && !this.isOwnerActive(record.session_id)) {
+        // Nobody but an admin could list or cancel it any more
+        console.log('[MCP Server] Deleting schedule of an ended session:', record.id, record.session_id);
+        await database.deleteSchedule(record.id);
+        continue;
+      }
+      if (record.options.env_names) {
+        // Its environment values were not stored, so it cannot run as it was created
+        console.log('[MCP Server] Deleting schedule whose environment variables were not stored:', record.id, record.options.env_names.join(', '));
+        await database.deleteSchedule(record.id);
+        continue;
+      }
+      const schedule = { ...record, next_run_at: null };
+      if (schedule.cron) {
+        schedule.parsedCron = parseCron(schedule.cron);
+      }
+      this.schedules.set(schedule.id, schedule);
+      this.arm(schedule);
+    }
+    if (this.schedules.size > 0) {
+      console.log(`[MCP Server] Resumed ${this.schedules.size} schedules`);
+    }
+  }
+
+  /**
+   * Create a schedule
+   * @param {string} command - Command to run
+   * @param {Object} options - { cron | interval_ms, name, timeout, skip_if_running, session_id,
+   *   cwd, env, env_mode, shell, args, limits, retry, executor, sandbox }
+   */
+  async addSchedule(command, options = {}) {
+    await this.loaded;
+
+    let error = null;
+    let parsedCron = null;
+    if ((options.cron === undefined) === (options.interval_ms === undefined)) {
+      error = 'Set exactly one of cron and interval_ms';
+    } else if (options.cron !== undefined) {
+      try {
+        parsedCron = parseCron(String(options.cron));
+        if (!getNextCronTime(parsedCron)) {
+          error = `Cron expression "${options.cron}" never matches`;
+        }
+      } catch (cronError) {
+        error = cronError.message;
+      }
+    } else if (!Number.isInteger(options.interval_ms) || options.interval_ms < MIN_INTERVAL_MS) {
+      error = `interval_ms must be an integer of at least ${MIN_INTERVAL_MS}`;
+    }
+
+    const runOptions = {
+      cwd: options.cwd,
+      env: options.env,
+      env_mode: options.env_mode,
+      shell: options.shell,
+      args: options.args,
+      limits: options.limits,
+      retry: options.retry,
+      executor: options.executor,
+      sandbox: options.sandbox,
+    };
+    error = error
+      || this.commandRunner.resolveSpawnOptions(command, runOptions).error
+      || resolveLimits(runOptions.limits, this.commandRunner.serverLimits).error
+      || resolveRetryPolicy(runOptions.retry).error
+      || null;
+    if (error) {
+      return this.createErrorResult(error, { command: command });
+    }
+
+    const schedule = {
+      id: uuidv4(),
+      session_id: options.session_id || null,
+      name: options.name || null,
+      command: command,
+      cron: options.cron === undefined ? null : String(options.cron),
+      interval_ms: options.interval_ms || null,
+      timeout: options.timeout || 0,
+      options: runOptions,
+      skip_if_running: options.skip_if_running !== false,
+      run_count: 0,
+      skipped_runs: 0,
+      last_run_at: null,
+      last_process_id: null,
+      last_error: null,
+      created_at: new Date().toISOString(),
+      next_run_at: null,
+      parsedCron: parsedCron,
+    };
+    console.log('[MCP Server] Adding schedule:', schedule.id, schedule.cron || `every ${schedule.interval_ms}ms`, this.commandRunner.redactor.redactText(command));
+
+    this.schedules.set(schedule.id, schedule);
+    this.arm(schedule);
+    this.save(schedule);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            schedule_id: schedule.id,
+            ...this.describeSchedule(schedule),
+            message: 'Command scheduled. Use list_schedules to see its runs and cancel_schedule to stop it.'
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Set the timer of the next run
+   */
+  arm(schedule) {
+    clearTimeout(this.timers.get(schedule.id));
+    const now = Date.now();
+    let next;
+    if (schedule.parsedCron) {
+      const date = getNextCronTime(schedule.parsedCron, new Date(now));
+      next = date ? date.getTime() : null;
+    } else {
+      // Interval runs missed while the server was down run once right away
+      const last = schedule.last_run_at ? Date.parse(schedule.last_run_at) : Date.parse(schedule.created_at);
+      next = Math.max(now, last + schedule.interval_ms);
+    }
+
+    schedule.next_run_at = next === null ? null : new Date(next).toISOString();
+    if (next === null) {
+      this.timers.delete(schedule.id);
+      return;
+    }
+
+    const delay = next - now;
+    const timer = setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        this.arm(schedule);
+      } else {
+        this.run(schedule).catch((error) => {
+          console.error(`[MCP Server] Error running schedule ${schedule.id}:`, error.message);
+        });
+      }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+    timer.unref();
+    this.timers.set(schedule.id, timer);
+  }
+
+  /**
+   * Start a run of a schedule and arm the next one
+   */
+  async run(schedule) {
+    const now = new Date().toISOString();
+    schedule.last_run_at = now;
+    this.arm(schedule);
+
+    if (schedule.skip_if_running && this.isRunning(schedule)) {
+      console.log('[MCP Server] Skipping run of schedule, previous run still active:', schedule.id);
+      schedule.skipped_runs++;
+      this.save(schedule);
+      return;
+    }
+
+    // Rules may have changed since the schedule was created. Nobody is there to confirm
+    // an unattended run, so commands needing confirmation are skipped like denied ones.
+    const decision = this.authorize(schedule);
+    if (!decision.allowed) {
+      console.log('[MCP Server] Skipping run of schedule, not allowed by policy:', schedule.id, decision.action);
+      schedule.last_error = decision.action === 'confirm'
+        ? `Command requires confirmation by policy, which scheduled runs cannot ask for: ${decision.reason}`
+        : `Command denied by policy: ${decision.reason}`;
+      schedule.skipped_runs++;
+      this.save(schedule);
+      return;
+    }
+
+    const result = await this.commandRunner.startCommand(schedule.command, decision.timeout === undefined ? schedule.timeout : decision.timeout, {
+      ...schedule.options,
+      session_id: schedule.session_id,
+      schedule_id: schedule.id,
+    });
+    const started = JSON.parse(result.content[0].text);
+    schedule.run_count++;
+    schedule.last_process_id = started.process_id || null;
+    schedule.last_error = started.success ? null : started.error;
+    this.save(schedule);
+  }
+
+  /**
+   * Whether the last run of a schedule, or a retry of it, is still active
+   */
+  isRunning(schedule) {
+    let processInfo = this.commandRunner.processes.get(schedule.last_process_id);
+    while (processInfo && processInfo.next_attempt_id) {
+      processInfo = this.commandRunner.processes.get(processInfo.next_attempt_id);
+    }
+    return Boolean(processInfo)
+      && (['queued', 'running'].includes(processInfo.status) || processInfo.next_attempt_at !== null);
+  }
+
+  save(schedule) {
+    const database = this.commandRunner.database;
+    if (!database || !this.schedules.has(schedule.id)) {
+      return;
+    }
+    database.saveSchedule(schedule).catch((error) => {
+      console.error('[MCP Server] Failed to save schedule:', schedule.id, error.message);
+    });
+  }
+
+  /**
+   * Schedules, oldest first
+   * @param {string} [sessionId] - Only schedules of this MCP session (undefined: all)
+   */
+  async listSchedules(sessionId) {
+    await this.loaded;
+    const schedules = Array.from(this.schedules.values())
+      .filter(schedule => sessionId === undefined || schedule.session_id === sessionId)
+      .map(schedule => ({ schedule_id: schedule.id, ...this.describeSchedule(schedule) }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            total: schedules.length,
+            schedules: schedules
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Stop a schedule; a run that is in progress keeps running
+   */
+  async cancelSchedule(scheduleId) {
+    await this.loaded;
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      return this.createErrorResult('Schedule not found', { schedule_id: scheduleId });
+    }
+
+    console.log('[MCP Server] Cancelling schedule:', scheduleId);
+    this.removeSchedule(schedule);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            schedule_id: scheduleId,
+            last_process_id: schedule.last_process_id,
+            message: 'Schedule cancelled. A run in progress is not stopped; use kill_process with last_process_id for that.'
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  removeSchedule(schedule) {
+    clearTimeout(this.timers.get(schedule.id));
+    this.timers.delete(schedule.id);
+    this.schedules.delete(schedule.id);
+    const database = this.commandRunner.database;
+    if (database) {
+      database.deleteSchedule(schedule.id).catch((error) => {
+        console.error('[MCP Server] Failed to delete schedule:', schedule.id, error.message);
+      });
+    }
+  }
+
+  getSchedule(scheduleId) {
+    return this.schedules.get(scheduleId);
+  }
+
+  /**
+   * Schedules created by an MCP session
+   */
+  getSchedules(sessionId) {
+    return Array.from(this.schedules.values()).filter(schedule => schedule.session_id === sessionId);
+  }
+
+  /**
+   * Stop every timer without deleting the schedules, e.g. on shutdown
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  describeSchedule(schedule) {
+    return {
+      name: schedule.name,
+      command: schedule.command,
+      args: schedule.options.args,
+      cwd: schedule.options.cwd,
+      executor: schedule.options.executor,
+      cron: schedule.cron || undefined,
+      interval_ms: schedule.interval_ms || undefined,
+      timeout: schedule.timeout,
+      retry: schedule.options.retry,
+      skip_if_running: schedule.skip_if_running,
+      session_id: schedule.session_id,
+      next_run_at: schedule.next_run_at,
+      last_run_at: schedule.last_run_at,
+      last_process_id: schedule.last_process_id,
+      last_status: this.getLastStatus(schedule),
+      last_error: schedule.last_error,
+      run_count: schedule.run_count,
+      skipped_runs: schedule.skipped_runs,
+      created_at: schedule.created_at,
+    };
+  }
+
+  /**
+   * Status of the newest attempt of the last run, if it is still tracked
+   */
+  getLastStatus(schedule) {
+    let processInfo = this.commandRunner.processes.get(schedule.last_process_id);
+    while (processInfo && processInfo.next_attempt_id && this.commandRunner.processes.has(processInfo.next_attempt_id)) {
+      processInfo = this.commandRunner.processes.get(processInfo.next_attempt_id);
+    }
+    return processInfo ? processInfo.status : null;
+  }
+
+  createErrorResult(error, fields = {}) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: error,
+            ...fields
+          }, null, 2),
+        },
+      ],
+    };
+  }
+}
+
+module.exports = {
+  Scheduler,
+  parseCron,
+  getNextCronTime,
+};
@@ -0,0 +1,164 @@
+const CASE_MODES = ['sensitive', 'insensitive', 'smart'];
+const STREAMS = ['stdout', 'stderr', 'both'];
+const DEFAULT_MAX_MATCHES = 100;
+const MAX_MATCHES_LIMIT = 1000;
+// Most lines of context returned before or after a match
+const MAX_CONTEXT_LINES = 50;
+// Longest line returned; longer lines are cut
+const MAX_LINE_LENGTH = 500;
+// Secrets masked in a returned line; a symbol, so it is left out of the JSON result
+const REDACTIONS = Symbol('redactions');
+
+/**
+ * Validate the options of an output search and compile its pattern
+ * @param {string} pattern - Regular expression matched against each line
+ * @param {Object} options - { case, stream, before_context, after_context, context, max_matches }
+ * @returns {{ search: Object } | { error: string }}
+ */
+function compileSearch(pattern, options = {}) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    return { error: 'pattern is required' };
+  }
+  const caseMode = options.case || 'sensitive';
+  if (!CASE_MODES.includes(caseMode)) {
+    return { error: `case must be one of ${CASE_MODES.join(', ')}` };
+  }
+  const stream = options.stream || 'both';
+  if (!STREAMS.includes(stream)) {
+    return { error: `stream must be one of ${STREAMS.join(', ')}` };
+  }
+
+  const context = options.context === undefined ? 0 : options.context;
+  const search = {
+    streams: stream === 'both' ? ['stdout', 'stderr'] : [stream],
+    before: options.before_context === undefined ? context : options.before_context,
+    after: options.after_context === undefined ? context : options.after_context,
+    maxMatches: options.max_matches === undefined ? DEFAULT_MAX_MATCHES : options.max_matches,
+  };
+  for (const [name, value] of [['context', context], ['before_context', search.before], ['after_context', search.after]]) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_CONTEXT_LINES) {
+      return { error: `${name} must be an integer from 0 to ${MAX_CONTEXT_LINES}` };
+    }
+  }
+  if (!Number.isInteger(search.maxMatches) || search.maxMatches < 1 || search.maxMatches > MAX_MATCHES_LIMIT) {
+    return { error: `max_matches must be an integer from 1 to ${MAX_MATCHES_LIMIT}` };
+  }
+
+  // Smart case ignores case unless the pattern has an upper case letter outside escapes like \S
+  const ignoreCase = caseMode === 'insensitive'
+    || (caseMode === 'smart' && !/[A-Z]/.test(pattern.replace(/\\./g, '')));
+  try {
+    search.regex = new RegExp(pattern, ignoreCase ? 'i' : '');
+  } catch (error) {
+    return { error: `Invalid pattern: ${error.message}` };
+  }
+  return { search };
+}
+
+/**
+ * Match the lines of one output stream, with their line numbers, byte offsets
+ * and timestamps. Line numbers count from the oldest output still available.
+ * @param {OutputBuffer} buffer - Stream to search
+ * @param {string} stream - Name of the stream, reported with each match
+ * @param {Object} search - Compiled search, see compileSearch
+ * @param {number} limit - Matches still allowed before the result cap is reached
+ * @returns {Promise<{ matches: Object[], truncated: boolean, partial: boolean, redactions: number }>}
+ *   truncated is true when more matches than limit exist; partial when older output was no longer available;
+ *   redactions counts the secrets masked in the lines returned
+ */
+async function searchBuffer(buffer, stream, search, limit) {
+  const matches = [];
+  const before = [];
+  let pendingAfter = [];
+  let truncated = false;
+  let partial = buffer.availableOffset > 0;
+
+  let lineNumber = 0;
+  const handleLine = (text, offset) => {
+    lineNumber++;
+    const content = text.replace(/\r$/, '');
+    const redacted = search.redact ? search.redact(content) : { text: content, count: 0 };
+    const line = { line: lineNumber, text: clipLine(redacted.text) };
+    line[REDACTIONS] = redacted.count;
+
+    for (const match of pendingAfter) {
+      match.after.push(line);
+    }
+    pendingAfter = pendingAfter.filter(match => match.after.length < search.after);
+
+    if (search.regex.test(redacted.text)) {
+      if (matches.length >= limit) {
+        truncated = true;
+      } else {
+        const match = {
+          stream: stream,
+          line: lineNumber,
+          offset: offset,
+          timestamp: buffer.timeAt(offset),
+          text: line.text,
+          before: search.before > 0 ? [...before] : undefined,
+          after: search.after > 0 ? [] : undefined,
+        };
+        matches.push(match);
+        match[REDACTIONS] = redacted.count;
+        if (search.after > 0) {
+          pendingAfter.push(match);
+        }
+      }
+    }
+
+    before.push(line);
+    if (before.length > search.before) {
+      before.shift();
+    }
+  };
+
+  // Output written while searching is left out, so a chatty process cannot keep the search going
+  const end = buffer.totalBytes;
+  let position = buffer.availableOffset;
+  let lineStart = position;
+  let rest = '';
+  while (position < end && !(truncated && pendingAfter.length === 0)) {
+    const result = await buffer.read(position, end);
+    if (result.end <= position) {
+      break;
+    }
+    if (result.start > position) {
+      // Dropped from memory since the search started
+      partial = true;
+      rest = '';
+      lineStart = result.start;
+    }
+    position = result.end;
+
+    const lines = (rest + result.text).split('\n');
+    rest = lines.pop();
+    for (const text of lines) {
+      handleLine(text, lineStart);
+      lineStart += Buffer.byteLength(text) + 1;
+      if (truncated && pendingAfter.length === 0) {
+        break;
+      }
+    }
+  }
+  if (rest !== '' && !(truncated && pendingAfter.length === 0)) {
+    handleLine(rest, lineStart);
+  }
+
+  let redactionCount = 0;
+  for (const match of matches) {
+    for (const entry of [match, ...(match.before || []), ...(match.after || [])]) {
+      redactionCount += entry[REDACTIONS];
+    }
+  }
+  return { matches, truncated, partial, redactions: redactionCount };
+}
+
+function clipLine(text) {
+  return text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)}...` : text;
+}
+
+module.exports = {
+  compileSearch,
+  searchBuffer,
+};
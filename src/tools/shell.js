@@ -0,0 +1,510 @@
+const { spawn } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { killProcessTree } = require('./command');
+const { resolveLimits, applyLimits, detectLimitExceeded, describeLimitExceeded } = require('./limits');
+
+// Shells that can back a persistent shell, with the arguments they are started with
+const SHELLS = {
+  bash: ['--noprofile', '--norc'],
+  sh: [],
+};
+// Default timeout of a single shell_exec command
+const DEFAULT_EXEC_TIMEOUT = 30000;
+// Time an interrupted command gets to stop before its shell is killed
+const INTERRUPT_GRACE = 2000;
+// Variables that change on their own, or that are reported as cwd
+const IGNORED_VARIABLES = ['_', 'PWD', 'OLDPWD', 'SHLVL'];
+
+/**
+ * Long-lived shells that keep their working directory, variables, aliases and
+ * functions between commands.
+ *
+ * Each command is eval'd inside the shell with stdin from /dev/null, followed by
+ * a unique marker line carrying its exit code and the shell's working directory,
+ * and a dump of the environment. The markers delimit the command's output.
+ *
+ * Resource limits are set on the shell with ulimit, so every program a command
+ * starts gets them; the CPU time limit also counts what the shell itself runs
+ * (builtins, loops) over its lifetime. Each command takes a slot of the
+ * command runner's concurrency limiter while it runs.
+ */
+class ShellManager {
+  /**
+   * @param {CommandRunner} commandRunner - Used to resolve spawn options and record history
+   */
+  constructor(commandRunner) {
+    this.commandRunner = commandRunner;
+    // Open shells, keyed by shell_id
+    this.shells = new Map();
+  }
+
+  /**
+   * Start a persistent shell
+   * @param {Object} options - { shell: bash or sh (default: bash), cwd, env, env_mode, executor, sandbox,
+   *   limits (resource limits, see resolveLimits), session_id }
+   */
+  async openShell(options = {}) {
+    const shellName = !options.shell || options.shell === 'default' ? 'bash' : options.shell;
+    let error = null;
+    if (process.platform === 'win32') {
+      error = 'Persistent shells are not supported on Windows';
+    } else if (!(shellName in SHELLS)) {
+      error = `Unsupported shell: ${shellName}. Use one of: ${Object.keys(SHELLS).join(', ')}`;
+    }
+
+    const resolved = error ? null : this.commandRunner.resolveSpawnOptions(shellName, {
+      cwd: options.cwd,
+      env: options.env,
+      env_mode: options.env_mode,
+      args: SHELLS[shellName],
+      executor: options.executor,
+      sandbox: options.sandbox,
+    });
+    if (resolved && resolved.error) {
+      error = resolved.error;
+    }
+    const limits = error ? null : resolveLimits(options.limits, this.commandRunner.serverLimits);
+    if (limits && limits.error) {
+      error = limits.error;
+    }
+    if (error) {
+      return this.createErrorResult(error);
+    }
+
+    const shell = {
+      id: uuidv4(),
+      session_id: options.session_id || null,
+      shell: shellName,
+      pid: null,
+      child: null,
+      cwd: resolved.spawnOptions.cwd || process.cwd(),
+      executor: resolved.executor,
+      limits: limits.limits,
+      env: {},
+      status: 'idle',
+      pending: null,
+      // Record ID and cancel function while a command waits for a concurrency slot
+      queued: null,
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+    };
+    console.log('[MCP Server] Opening shell:', shell.id, shellName);
+
+    const spawned = this.commandRunner.applyExecutor(applyLimits(resolved, shell.limits));
+    const child = spawn(spawned.file, spawned.args, spawned.spawnOptions);
+    shell.child = child;
+    shell.pid = child.pid;
+    this.shells.set(shell.id, shell);
+
+    child.stdout.on('data', (data) => this.handleOutput(shell, 'stdout', data.toString()));
+    child.stderr.on('data', (data) => this.handleOutput(shell, 'stderr', data.toString()));
+    child.on('close', (code, signal) => {
+      this.handleExit(shell, signal ? `Shell ended by ${signal}` : `Shell exited with code ${code}`, code, signal);
+    });
+    child.on('error', (spawnError) => this.handleExit(shell, spawnError.message));
+    // Writes after the shell died surface through handleExit instead
+    child.stdin.on('error', () => {});
+
+    // Trapping SIGINT keeps the shell alive when a timed-out command is interrupted
+    const setup = shellName === 'bash' ? "shopt -s expand_aliases; trap ':' INT" : "trap ':' INT";
+    const result = await this.execute(shell, setup, DEFAULT_EXEC_TIMEOUT);
+    if (result.error) {
+      this.destroyShell(shell);
+      return this.createErrorResult(result.error);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            shell_id: shell.id,
+            pid: shell.pid,
+            shell: shellName,
+            cwd: shell.cwd,
+            executor: shell.executor,
+            limits: shell.limits,
+            limits_capped: limits.capped,
+            message: 'Shell opened. Use shell_exec to run commands in it.'
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Run a command inside a persistent shell
+   * @param {string} shellId - The shell ID returned by openShell
+   * @param {string} command - Command line, run with eval in the shell
+   * @param {number} timeout - Timeout in milliseconds, including time spent queued; the command is
+   *   interrupted with SIGINT, and the shell is killed if it does not stop
+   */
+  async execInShell(shellId, command, timeout = DEFAULT_EXEC_TIMEOUT) {
+    const shell = this.shells.get(shellId);
+    if (!shell) {
+      return this.createErrorResult('Shell not found', { shell_id: shellId });
+    }
+    if (shell.status === 'busy' || shell.queued) {
+      return this.createErrorResult('Shell is busy running another command', { shell_id: shellId });
+    }
+    if (typeof command !== 'string' || command.trim() === '') {
+      return this.createErrorResult('command must be a non-empty string', { shell_id: shellId });
+    }
+
+    console.log('[MCP Server] Running command in shell:', shellId, this.commandRunner.redactor.redactText(command));
+
+    // History record of this command, like a run_command run
+    const record = {
+      id: uuidv4(),
+      mode: 'shell',
+      session_id: shell.session_id,
+      pid: shell.pid,
+      command: command,
+      args: [],
+      cwd: shell.cwd,
+      shell: shell.shell,
+      executor: shell.executor,
+      limits: shell.limits,
+      limit_exceeded: null,
+      status: 'running',
+      exit_code: null,
+      error: null,
+      stdout: '',
+      stderr: '',
+      timed_out: false,
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+    const deadline = Date.now() + timeout;
+    const { limiter, memoryMonitor } = this.commandRunner;
+
+    if (!limiter.tryAcquire()) {
+      record.status = 'queued';
+      this.commandRunner.persistProcess(record);
+      console.log('[MCP Server] Shell command queued:', record.id);
+
+      const started = await new Promise((resolve) => {
+        const queueTimer = timeout > 0 ? setTimeout(() => shell.queued.cancel(), timeout) : null;
+        shell.queued = {
+          id: record.id,
+          cancel: () => {
+            clearTimeout(queueTimer);
+            limiter.cancel(record.id);
+            shell.queued = null;
+            resolve(false);
+          },
+        };
+        limiter.enqueue(record.id, () => {
+          clearTimeout(queueTimer);
+          shell.queued = null;
+          resolve(true);
+        });
+      });
+
+      if (!started) {
+        const closed = shell.status === 'closed';
+        Object.assign(record, {
+          status: closed ? 'cancelled' : 'timed_out',
+          error: closed ? 'Shell was closed while the command was queued' : 'Timed out waiting for a running command to finish',
+          timed_out: !closed,
+          finished_at: new Date().toISOString()
+        });
+        this.commandRunner.persistProcess(record);
+        return this.createErrorResult(closed
+          ? record.error
+          : `Command was still queued after ${timeout}ms; the limit of ${limiter.max} running commands was reached`, {
+          shell_id: shellId,
+          process_id: record.id,
+          timed_out: record.timed_out,
+          command: command,
+        });
+      }
+      record.status = 'running';
+      record.started_at = new Date().toISOString();
+    }
+    this.commandRunner.persistProcess(record);
+
+    if (shell.limits.memory_mb) {
+      memoryMonitor.watch(shell.pid, shell.limits.memory_mb, (bytes) => {
+        console.log('[MCP Server] Shell command exceeded its memory limit, killing shell:', record.id, `${bytes} bytes`);
+        record.limit_exceeded = 'memory_mb';
+        this.destroyShell(shell, 'Memory limit exceeded; shell killed');
+      });
+    }
+
+    const previousCwd = shell.cwd;
+    const previousEnv = shell.env;
+    let result;
+    try {
+      result = await this.execute(shell, command, timeout > 0 ? Math.max(deadline - Date.now(), 1) : timeout);
+    } finally {
+      memoryMonitor.unwatch(shell.pid);
+      limiter.release();
+    }
+
+    const limitExceeded = record.limit_exceeded || detectLimitExceeded(shell.limits, result.exit_code, result.signal);
+    let status = result.exit_code === 0 ? 'completed' : 'failed';
+    if (limitExceeded) {
+      status = 'resource_exceeded';
+    } else if (result.error) {
+      status = 'error';
+    } else if (result.timed_out) {
+      status = 'timed_out';
+    }
+    Object.assign(record, {
+      status: status,
+      exit_code: result.exit_code,
+      error: (limitExceeded && describeLimitExceeded(limitExceeded, shell.limits)) || result.error,
+      limit_exceeded: limitExceeded,
+      stdout: result.stdout,
+      stderr: result.stderr,
+      timed_out: result.timed_out,
+      finished_at: new Date().toISOString()
+    });
+    this.commandRunner.persistProcess(record);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: record.status === 'completed',
+            shell_id: shellId,
+            process_id: record.id,
+            exit_code: result.exit_code,
+            stdout: result.stdout.trim(),
+            stderr: result.stderr.trim(),
+            timed_out: result.timed_out,
+            cwd: shell.cwd,
+            cwd_changed: shell.cwd !== previousCwd,
+            env_changes: result.error ? null : diffEnvironment(previousEnv, shell.env),
+            shell_status: shell.status,
+            limit_exceeded: record.limit_exceeded,
+            error: record.error,
+            command: command
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Stop a persistent shell and everything it started
+   */
+  async closeShell(shellId) {
+    const shell = this.shells.get(shellId);
+    if (!shell) {
+      return this.createErrorResult('Shell not found', { shell_id: shellId });
+    }
+
+    console.log('[MCP Server] Closing shell:', shellId);
+    this.destroyShell(shell);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            shell_id: shellId,
+            message: 'Shell closed'
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  /**
+   * Write a command and its trailer to the shell and wait for the markers
+   * @returns {Promise<{ exit_code, stdout, stderr, timed_out, error }>}
+   */
+  execute(shell, command, timeout) {
+    if (shell.status === 'closed') {
+      return Promise.resolve({ exit_code: null, stdout: '', stderr: '', timed_out: false, error: 'Shell is closed' });
+    }
+
+    const marker = `__MCP_SHELL_${uuidv4().replace(/-/g, '')}__`;
+    const script = [
+      `eval ${quoteForShell(command)} < /dev/null`,
+      '__mcp_status=$?',
+      `printf '\\n${marker} %s %s\\n' "$__mcp_status" "$PWD"`,
+      'env -0',
+      `printf '\\n${marker}_END\\n'`,
+      `printf '\\n${marker}\\n' >&2`,
+      'unset __mcp_status',
+      '',
+    ].join('\n');
+
+    shell.status = 'busy';
+    shell.last_used_at = new Date().toISOString();
+
+    return new Promise((resolve) => {
+      const pending = {
+        marker: marker,
+        stdout: '',
+        stderr: '',
+        timed_out: false,
+        timers: [],
+        resolve: (result) => {
+          pending.timers.forEach(timer => clearTimeout(timer));
+          shell.pending = null;
+          if (shell.status === 'busy') {
+            shell.status = 'idle';
+          }
+          resolve({ timed_out: pending.timed_out, ...result });
+        },
+      };
+      shell.pending = pending;
+
+      if (timeout > 0) {
+        pending.timers.push(setTimeout(() => {
+          pending.timed_out = true;
+          killProcessTree(shell.pid, 'SIGINT');
+          pending.timers.push(setTimeout(() => {
+            this.destroyShell(shell, `Command did not stop within ${INTERRUPT_GRACE}ms of SIGINT; shell killed`);
+          }, INTERRUPT_GRACE));
+        }, timeout));
+      }
+
+      shell.child.stdin.write(script);
+    });
+  }
+
+  handleOutput(shell, stream, text) {
+    const pending = shell.pending;
+    if (!pending) {
+      return;
+    }
+    pending[stream] += text;
+
+    const { marker } = pending;
+    const stdoutEnd = pending.stdout.indexOf(`\n${marker}_END\n`);
+    const stderrEnd = pending.stderr.indexOf(`\n${marker}\n`);
+    if (stdoutEnd === -1 || stderrEnd === -1) {
+      return;
+    }
+
+    // "<marker> <exit code> <cwd>" line, then NUL-separated environment
+    const headerStart = pending.stdout.indexOf(`\n${marker} `);
+    const headerEnd = pending.stdout.indexOf('\n', headerStart + 1);
+    const header = pending.stdout.slice(headerStart + marker.length + 2, headerEnd);
+    const separator = header.indexOf(' ');
+
+    shell.cwd = header.slice(separator + 1);
+    shell.env = parseEnvironment(pending.stdout.slice(headerEnd + 1, stdoutEnd));
+    pending.resolve({
+      exit_code: parseInt(header.slice(0, separator), 10),
+      stdout: pending.stdout.slice(0, headerStart),
+      stderr: pending.stderr.slice(0, stderrEnd),
+      error: null,
+    });
+  }
+
+  handleExit(shell, message, code = null, signal = null) {
+    if (shell.status === 'closed') {
+      return;
+    }
+    console.log('[MCP Server] Shell ended:', shell.id, message);
+    shell.status = 'closed';
+    this.shells.delete(shell.id);
+    if (shell.queued) {
+      shell.queued.cancel();
+    }
+    if (shell.pending) {
+      shell.pending.resolve({
+        exit_code: code,
+        signal: signal,
+        stdout: shell.pending.stdout,
+        stderr: shell.pending.stderr,
+        error: message,
+      });
+    }
+  }
+
+  /**
+   * Kill a shell and its process group
+   */
+  destroyShell(shell, message = 'Shell closed') {
+    if (shell.status !== 'closed' && shell.pid) {
+      killProcessTree(shell.pid, 'SIGKILL');
+    }
+    this.handleExit(shell, message);
+  }
+
+  getShell(shellId) {
+    return this.shells.get(shellId);
+  }
+
+  /**
+   * Open shells owned by an MCP session
+   */
+  getShells(sessionId) {
+    return Array.from(this.shells.values()).filter(shell => shell.session_id === sessionId);
+  }
+
+  /**
+   * Close every open shell, e.g. on shutdown
+   */
+  closeAll() {
+    for (const shell of Array.from(this.shells.values())) {
+      this.destroyShell(shell);
+    }
+  }
+
+  createErrorResult(error, fields = {}) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: error,
+            ...fields
+          }, null, 2),
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Quote a string as a single shell word
+ */
+function quoteForShell(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+function parseEnvironment(dump) {
+  const env = {};
+  for (const entry of dump.split('\0')) {
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      env[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+  }
+  return env;
+}
+
+/**
+ * Variables set, changed or removed between two environment snapshots
+ */
+function diffEnvironment(before, after) {
+  const set = {};
+  const unset = [];
+  for (const [key, value] of Object.entries(after)) {
+    if (!IGNORED_VARIABLES.includes(key) && before[key] !== value) {
+      set[key] = value;
+    }
+  }
+  for (const key of Object.keys(before)) {
+    if (!IGNORED_VARIABLES.includes(key) && !(key in after)) {
+      unset.push(key);
+    }
+  }
+  return { set, unset };
+}
+
+module.exports = {
+  ShellManager,
+};
@@ -0,0 +1,89 @@
+const { Terminal } = require('@xterm/headless');
+
+const DEFAULT_COLS = 120;
+const DEFAULT_ROWS = 30;
+
+// node-pty is a native module; it is loaded on first use so the server still
+// starts on platforms where it failed to build
+let pty = null;
+
+function loadPty() {
+  if (!pty) {
+    try {
+      pty = require('node-pty');
+    } catch (error) {
+      throw new Error(`PTY mode is not available (node-pty could not be loaded: ${error.message})`);
+    }
+  }
+  return pty;
+}
+
+/**
+ * Spawn a process attached to a pseudo-terminal
+ * @param {string} file - Executable to run
+ * @param {string[]} args - Arguments for the executable
+ * @param {Object} options - { cwd, env, cols, rows }
+ */
+function spawnPty(file, args, options = {}) {
+  return loadPty().spawn(file, args, {
+    name: 'xterm-256color',
+    cols: options.cols || DEFAULT_COLS,
+    rows: options.rows || DEFAULT_ROWS,
+    cwd: options.cwd || process.cwd(),
+    env: options.env || process.env,
+  });
+}
+
+/**
+ * Headless terminal emulator that renders a PTY output stream into a screen
+ */
+class TerminalScreen {
+  constructor(cols = DEFAULT_COLS, rows = DEFAULT_ROWS) {
+    this.terminal = new Terminal({ cols, rows, allowProposedApi: true });
+  }
+
+  write(data) {
+    this.terminal.write(data);
+  }
+
+  resize(cols, rows) {
+    this.terminal.resize(cols, rows);
+  }
+
+  /**
+   * Render the visible screen once all pending output has been parsed
+   */
+  async snapshot() {
+    await new Promise(resolve => this.terminal.write('', resolve));
+
+    const buffer = this.terminal.buffer.active;
+    const lines = [];
+    for (let i = 0; i < this.terminal.rows; i++) {
+      const line = buffer.getLine(buffer.viewportY + i);
+      lines.push(line ? line.translateToString(true) : '');
+    }
+
+    // Drop trailing blank rows so idle terminals stay compact
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    return {
+      cols: this.terminal.cols,
+      rows: this.terminal.rows,
+      cursor: { x: buffer.cursorX, y: buffer.cursorY },
+      lines: lines,
+    };
+  }
+
+  dispose() {
+    this.terminal.dispose();
+  }
+}
+
+module.exports = {
+  DEFAULT_COLS,
+  DEFAULT_ROWS,
+  spawnPty,
+  TerminalScreen,
+};
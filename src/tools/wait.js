@@ -0,0 +1,144 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const CONDITION_TYPES = ['output', 'port', 'http', 'exit'];
+const STREAMS = ['stdout', 'stderr', 'both'];
+// Time allowed for a single port or URL check
+const PROBE_TIMEOUT = 2000;
+
+/**
+ * Validate wait_for conditions and compile their patterns
+ * @param {Object[]} conditions - { type: 'output', pattern, stream, flags } | { type: 'port', port, host }
+ *   | { type: 'http', url } | { type: 'exit' }
+ * @returns {{ conditions: Object[] } | { error: string }}
+ */
+function compileConditions(conditions) {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    return { error: 'conditions must be a non-empty list' };
+  }
+
+  const compiled = [];
+  for (const [index, condition] of conditions.entries()) {
+    const label = `Condition ${index + 1}`;
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+      return { error: `${label}: type must be one of ${CONDITION_TYPES.join(', ')}` };
+    }
+
+    const entry = { ...condition, index };
+    if (condition.type === 'output') {
+      entry.stream = condition.stream || 'both';
+      if (!STREAMS.includes(entry.stream)) {
+        return { error: `${label}: stream must be one of ${STREAMS.join(', ')}` };
+      }
+      if (typeof condition.pattern !== 'string' || condition.pattern === '') {
+        return { error: `${label}: pattern is required` };
+      }
+      try {
+        // Global and sticky flags would make matching depend on earlier lines
+        entry.regex = new RegExp(condition.pattern, (condition.flags || '').replace(/[gy]/g, ''));
+      } catch (error) {
+        return { error: `${label}: invalid pattern: ${error.message}` };
+      }
+    } else if (condition.type === 'port') {
+      if (!Number.isInteger(condition.port) || condition.port < 1 || condition.port > 65535) {
+        return { error: `${label}: port must be an integer between 1 and 65535` };
+      }
+      entry.host = condition.host || '127.0.0.1';
+    } else if (condition.type === 'http') {
+      let url;
+      try {
+        url = new URL(condition.url);
+      } catch (error) {
+        return { error: `${label}: invalid url` };
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { error: `${label}: url must use http or https` };
+      }
+    }
+    compiled.push(entry);
+  }
+  return { conditions: compiled };
+}
+
+/**
+ * Check whether something accepts TCP connections on a port
+ * @returns {Promise<boolean>}
+ */
+function isPortOpen(port, host = '127.0.0.1') {
+  return new Promise((resolve) => {
+    const socket = net.connect({ port, host });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(PROBE_TIMEOUT, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+/**
+ * Request a URL and report whether it answered with a 2xx status
+ * @returns {Promise<{ ready: boolean, status_code: number|null }>}
+ */
+function checkUrl(url) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve) => {
+    const request = client.get(url, { timeout: PROBE_TIMEOUT }, (response) => {
+      response.resume();
+      resolve({
+        ready: response.statusCode >= 200 && response.statusCode < 300,
+        status_code: response.statusCode,
+      });
+    });
+    request.on('timeout', () => request.destroy());
+    request.on('error', () => resolve({ ready: false, status_code: null }));
+  });
+}
+
+/**
+ * Splits streamed output into lines and tests them against output conditions.
+ * The unterminated last line is tested too, so prompts without a newline match.
+ */
+class LineMatcher {
+  constructor(conditions) {
+    this.conditions = conditions.filter(condition => condition.type === 'output');
+    this.partial = { stdout: '', stderr: '' };
+  }
+
+  /**
+   * @returns {Object|null} { condition, stream, line, groups } for the first match
+   */
+  push(stream, text) {
+    const lines = (this.partial[stream] + text).split('\n');
+    this.partial[stream] = lines.pop();
+    for (const line of [...lines, this.partial[stream]]) {
+      const match = this.match(stream, line.replace(/\r$/, ''));
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+
+  match(stream, line) {
+    for (const condition of this.conditions) {
+      if (condition.stream !== 'both' && condition.stream !== stream) {
+        continue;
+      }
+      const result = condition.regex.exec(line);
+      if (result) {
+        return { condition, stream, line, groups: result.slice(1) };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  compileConditions,
+  isPortOpen,
+  checkUrl,
+  LineMatcher,
+};
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { AuditLog } = require('../src/audit');
+const { connect, dataDir } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+let logs = 0;
+const createLog = async (options = {}) => {
+  logs++;
+  const auditLog = new AuditLog({
+    file: path.join(dataDir, `log-${logs}`, 'audit.jsonl'),
+    keyFile: path.join(dataDir, `key-${logs}`, 'audit.key'),
+    ...options,
+  });
+  await auditLog.ready;
+  return auditLog;
+};
+
+const readLines = file => fs.readFileSync(file, 'utf8').trim().split('\n');
+
+test('tool calls that run commands are recorded and can be queried', async () => {
+  await mcp.call('run_command', { command: 'echo audited-command' });
+  await mcp.call('list_processes');
+
+  const result = await mcp.call('query_audit_log', { text: 'audited-command', verify: true });
+  assert.strictEqual(result.total, 1);
+  assert.strictEqual(result.entries[0].tool, 'run_command');
+  assert.strictEqual(result.entries[0].exit_code, 0);
+  assert.strictEqual(result.verification.valid, true);
+
+  const reads = await mcp.call('query_audit_log', { tool: 'list_processes' });
+  assert.strictEqual(reads.total, 0);
+});
+
+test('edited entries and entries removed from the end are detected', async () => {
+  const auditLog = await createLog();
+  for (let i = 1; i <= 3; i++) {
+    await auditLog.append({ event: 'tool_call', tool: 'run_command', arguments: { command: `echo ${i}` } });
+  }
+  assert.deepStrictEqual(await auditLog.verify(), { valid: true, entries: 3 });
+  const lines = readLines(auditLog.file);
+
+  // Recomputing the hash without the key does not help
+  const { hash, ...edited } = JSON.parse(lines[1]);
+  edited.arguments.command = 'echo 2 edited';
+  edited.hash = crypto.createHash('sha256').update(JSON.stringify(edited)).digest('hex');
+  fs.writeFileSync(auditLog.file, [lines[0], JSON.stringify(edited), lines[2]].join('\n') + '\n');
+  const editResult = await auditLog.verify();
+  assert.strictEqual(editResult.valid, false);
+  assert.strictEqual(editResult.error.reason, 'Entry hash does not match its content');
+
+  fs.writeFileSync(auditLog.file, lines.slice(0, 2).join('\n') + '\n');
+  const truncateResult = await auditLog.verify();
+  assert.strictEqual(truncateResult.valid, false);
+  assert.match(truncateResult.error.reason, /ends before entry 3/);
+
+  const reopened = new AuditLog({ file: auditLog.file, keyFile: auditLog.keyFile });
+  await assert.rejects(reopened.ready, /ends before entry 3/);
+});
+
+test('the key must exist for an existing log and may not be stored next to it', async () => {
+  const auditLog = await createLog();
+  await auditLog.append({ event: 'tool_call', tool: 'run_command' });
+  fs.rmSync(auditLog.keyFile);
+  const reopened = new AuditLog({ file: auditLog.file, keyFile: auditLog.keyFile });
+  await assert.rejects(reopened.ready, /its key file .* is missing/);
+
+  const inside = new AuditLog({ file: auditLog.file, keyFile: path.join(path.dirname(auditLog.file), 'keys', 'audit.key') });
+  await assert.rejects(inside.ready, /must not be stored in the log directory/);
+});
+
+test('queries page through rotated files newest first', async () => {
+  const auditLog = await createLog({ maxBytes: 600, maxFiles: 10 });
+  for (let i = 1; i <= 20; i++) {
+    await auditLog.append({ event: 'tool_call', tool: i % 2 ? 'run_command' : 'kill_process', index: i });
+  }
+  assert.ok(auditLog.getFiles().length > 3, 'the log was rotated');
+  assert.deepStrictEqual(await auditLog.verify(), { valid: true, entries: 20 });
+
+  const page = await auditLog.query({ limit: 4, offset: 3 });
+  assert.strictEqual(page.total, 20);
+  assert.deepStrictEqual(page.entries.map(entry => entry.index), [17, 16, 15, 14]);
+
+  const filtered = await auditLog.query({ tool: 'run_command', limit: 3, offset: 8 });
+  assert.strictEqual(filtered.total, 10);
+  assert.deepStrictEqual(filtered.entries.map(entry => entry.index), [3, 1]);
+});
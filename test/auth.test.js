@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { dataDir, startHttp } = require('./helpers');
+
+let http;
+before(async () => {
+  const file = path.join(dataDir, 'api-keys.yaml');
+  fs.writeFileSync(file, [
+    'keys:',
+    '  - name: reader',
+    '    key: reader-key',
+    '    scopes: [read]',
+    '  - name: agent',
+    '    key: agent-key',
+    '    scopes: [execute]',
+    '  - name: admin',
+    '    key: admin-key',
+    '    scopes: [admin]',
+    '',
+  ].join('\n'));
+  process.env.API_KEYS_FILE = file;
+  http = await startHttp();
+});
+after(() => http.close());
+
+const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} };
+
+test('requests without a valid API key are rejected', async () => {
+  for (const key of [undefined, 'wrong-key']) {
+    const response = await http.fetch('/mcp', { key, body: initialize });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+  }
+});
+
+test('requests from other browser origins are rejected', async () => {
+  const response = await http.fetch('/mcp', { key: 'agent-key', headers: { Origin: 'http://evil.example' }, body: initialize });
+  assert.strictEqual(response.status, 403);
+});
+
+test('the read scope lists and allows only the read tools', async () => {
+  const reader = await http.connect('reader-key');
+  const { tools } = await reader.client.listTools();
+  assert.ok(tools.some(tool => tool.name === 'get_command_output'));
+  assert.ok(!tools.some(tool => tool.name === 'run_command'));
+
+  const result = await reader.call('run_command', { command: 'true' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'API key "reader" is not allowed to use run_command');
+});
+
+test('a session can only be used with the key that created it', async () => {
+  const agent = await http.connect('agent-key');
+  const response = await http.fetch('/mcp', {
+    key: 'reader-key',
+    headers: { 'Mcp-Session-Id': agent.transport.sessionId, Accept: 'application/json, text/event-stream' },
+    body: { jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} },
+  });
+  assert.strictEqual(response.status, 403);
+});
+
+test('admin keys see the processes of every session', async () => {
+  const agent = await http.connect('agent-key');
+  const started = await agent.call('start_command', { command: 'sleep 30' });
+
+  const admin = await http.connect('admin-key');
+  const own = await admin.call('list_processes');
+  assert.strictEqual(own.total, 0);
+  const all = await admin.call('list_processes', { all_sessions: true });
+  assert.ok(all.processes.some(item => item.process_id === started.process_id));
+  const killed = await admin.call('kill_process', { process_id: started.process_id });
+  assert.strictEqual(killed.success, true);
+});
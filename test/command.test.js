@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { dataDir, connect, waitForExit } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('commands run in the requested working directory', async () => {
+  const cwd = path.join(dataDir, 'work dir');
+  fs.mkdirSync(cwd);
+
+  const result = await mcp.call('run_command', { command: 'pwd', cwd });
+  assert.strictEqual(result.stdout, fs.realpathSync(cwd));
+
+  const missing = await mcp.call('run_command', { command: 'pwd', cwd: path.join(dataDir, 'missing') });
+  assert.strictEqual(missing.success, false);
+});
+
+test('env is merged into the server environment, or replaces it', async () => {
+  const merged = await mcp.call('run_command', { command: 'echo "$GREETING $HOME"', env: { GREETING: 'hello' } });
+  assert.strictEqual(merged.stdout, `hello ${process.env.HOME}`);
+
+  const replaced = await mcp.call('run_command', {
+    command: '/usr/bin/env',
+    args: [],
+    shell: 'none',
+    env: { ONLY: 'this' },
+    env_mode: 'replace',
+  });
+  assert.strictEqual(replaced.stdout, 'ONLY=this');
+});
+
+test('args are passed to the executable without shell interpretation', async () => {
+  const result = await mcp.call('run_command', { command: 'printf', args: ['%s|', 'two words', '$HOME', '; echo injected'] });
+  assert.strictEqual(result.exit_code, 0);
+  assert.strictEqual(result.stdout, 'two words|$HOME|; echo injected|');
+});
+
+test('the shell option picks the interpreter', async () => {
+  const bash = await mcp.call('run_command', { command: 'echo "${BASH_VERSION:+bash}"', shell: 'bash' });
+  assert.strictEqual(bash.stdout, 'bash');
+
+  // Without a shell the whole command is the name of the executable
+  const direct = await mcp.call('run_command', { command: 'echo $HOME', shell: 'none' });
+  assert.strictEqual(direct.success, false);
+  assert.match(direct.error, /ENOENT/);
+});
+
+test('start_command takes the same options', async () => {
+  const started = await mcp.call('start_command', {
+    command: 'printf',
+    args: ['%s', 'from argv'],
+    cwd: dataDir,
+    env: { UNUSED: '1' },
+  });
+  await waitForExit(mcp.call, started.process_id);
+  const output = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.strictEqual(output.stdout, 'from argv');
+  assert.strictEqual(output.cwd, dataDir);
+});
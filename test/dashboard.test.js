@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startHttp } = require('./helpers');
+
+let http;
+before(async () => {
+  http = await startHttp();
+});
+after(() => http.close());
+
+test('the dashboard page and its assets are served', async () => {
+  const page = await http.fetch('/dashboard/');
+  assert.strictEqual(page.status, 200);
+  assert.match(page.headers.get('content-type'), /^text\/html/);
+  const html = await page.text();
+  assert.match(html, /<script src="app.js"/);
+
+  for (const [asset, type] of [['app.js', /javascript/], ['style.css', /^text\/css/]]) {
+    const response = await http.fetch(`/dashboard/${asset}`);
+    assert.strictEqual(response.status, 200, asset);
+    assert.match(response.headers.get('content-type'), type);
+  }
+});
+
+test('the dashboard cannot be framed or load scripts from elsewhere', async () => {
+  const page = await http.fetch('/dashboard/');
+  assert.strictEqual(page.headers.get('content-security-policy'), "default-src 'self'; frame-ancestors 'none'");
+  assert.strictEqual(page.headers.get('x-content-type-options'), 'nosniff');
+  assert.strictEqual(page.headers.get('referrer-policy'), 'no-referrer');
+});
+
+test('the routes the dashboard calls answer with JSON', async () => {
+  // The requests app.js makes, with a process that does not exist
+  const routes = [
+    ['GET', 'processes'],
+    ['GET', 'sessions'],
+    ['POST', 'processes/clear'],
+    ['DELETE', 'processes/unknown'],
+    ['POST', 'processes/unknown/restart'],
+    ['POST', 'processes/unknown/clear'],
+  ];
+  for (const [method, route] of routes) {
+    const response = await http.fetch(`/api/${route}`, { method });
+    assert.match(response.headers.get('content-type'), /^application\/json/, `${method} ${route}`);
+    assert.notStrictEqual(response.status, 500, `${method} ${route}`);
+  }
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startHttp } = require('./helpers');
+
+let http;
+before(async () => {
+  http = await startHttp();
+});
+after(() => http.close());
+
+// Value of a metric sample, e.g. 'mcp_commands_started_total{mode="sync"}'
+const sample = (metrics, name) => {
+  const line = metrics.split('\n').find(item => item.startsWith(`${name} `));
+  return line ? Number(line.slice(name.length + 1)) : 0;
+};
+
+test('healthz and readyz report a server that can take commands', async () => {
+  const health = await http.fetch('/healthz');
+  assert.strictEqual(health.status, 200);
+  assert.strictEqual((await health.json()).status, 'ok');
+
+  const ready = await http.fetch('/readyz');
+  assert.strictEqual(ready.status, 200);
+  const body = await ready.json();
+  assert.strictEqual(body.status, 'ready');
+  assert.deepStrictEqual(body.checks.database, { status: 'ok', mode: 'sqlite' });
+  assert.strictEqual(body.checks.executor.status, 'ok');
+});
+
+test('readyz fails while the server shuts down', async () => {
+  http.server.shuttingDown = true;
+  try {
+    const response = await http.fetch('/readyz');
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual((await response.json()).checks.shutdown.status, 'failed');
+  } finally {
+    http.server.shuttingDown = false;
+  }
+});
+
+test('metrics count started, failed and timed out commands', async () => {
+  const before = await (await http.fetch('/metrics')).text();
+  const session = await http.connect();
+  await session.call('run_command', { command: 'true' });
+  await session.call('run_command', { command: 'exit 1' });
+  await session.call('run_command', { command: 'sleep 5', timeout: 200 });
+
+  const response = await http.fetch('/metrics');
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0.0.4/);
+  const metrics = await response.text();
+  const increase = name => sample(metrics, name) - sample(before, name);
+  assert.strictEqual(increase('mcp_commands_started_total{mode="sync"}'), 3);
+  assert.strictEqual(increase('mcp_commands_failed_total{mode="sync"}'), 1);
+  assert.strictEqual(increase('mcp_commands_timed_out_total{mode="sync"}'), 1);
+  assert.strictEqual(sample(metrics, 'mcp_sessions_active'), 1);
+  assert.match(metrics, /^# TYPE mcp_command_duration_seconds histogram$/m);
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs in a process of its own, with its own directory. The server keeps
+// its database, logs, audit log and tasks in data/ there, as it does in a project, and
+// the audit log key in keys/.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-server-test-'));
+const serverDataDir = path.join(dataDir, 'data');
+process.env.DATABASE_PATH = path.join(serverDataDir, 'processes.db');
+process.env.AUDIT_LOG_FILE = path.join(serverDataDir, 'audit.jsonl');
+process.env.AUDIT_LOG_KEY_FILE = path.join(dataDir, 'keys', 'audit.key');
+process.env.OUTPUT_LOG_DIR = path.join(serverDataDir, 'logs');
+process.env.TASKS_FILE = path.join(serverDataDir, 'mcp-tasks.json');
+for (const name of ['POLICY_FILE', 'EXECUTOR', 'API_KEY', 'API_KEYS_FILE']) {
+  delete process.env[name];
+}
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const express = require('express');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { MCPServer, RestApi, HealthApi } = require('../src/server');
+const { createDashboardRouter } = require('../src/dashboard');
+const { CommandPolicy } = require('../src/policy');
+
+/**
+ * Start a server and connect a client to it as the stdio session
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Command policy configuration (default: allow everything)
+ * @param {Object} [options.capabilities] - Client capabilities, e.g. { elicitation: {} }
+ * @returns {Promise<Object>} { server, client, call, close }; call returns the parsed tool result
+ */
+async function connect(options = {}) {
+  const server = new MCPServer();
+  if (options.policy) {
+    server.policy = new CommandPolicy(options.policy, 'test policy');
+  }
+  await server.auditLog.ready;
+
+  const client = new Client({ name: 'mcp-server-test', version: '1.0.0' }, { capabilities: options.capabilities || {} });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await server.server.connect(serverTransport);
+  await client.connect(clientTransport);
+
+  return {
+    server,
+    client,
+    call: async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      return JSON.parse(result.content[0].text);
+    },
+    close: async () => {
+      await client.close();
+      await server.cleanup();
+    },
+  };
+}
+
+/**
+ * Start a server with the routes of http-server.js on a free local port
+ * @returns {Promise<Object>} { server, url, fetch, connect, close }; fetch sends a request
+ *   to a path with an optional API key, connect opens an MCP session like connect() does
+ */
+async function startHttp() {
+  const server = new MCPServer();
+  await server.auditLog.ready;
+
+  const app = express();
+  app.use(express.json());
+  app.post('/mcp', (req, res) => server.handlePostRequest(req, res));
+  app.get('/mcp', (req, res) => server.handleGetRequest(req, res));
+  app.delete('/mcp', (req, res) => server.handleDeleteRequest(req, res));
+  app.use('/api', new RestApi(server).router);
+  app.use('/', new HealthApi(server, { metrics: true }).router);
+  app.use('/dashboard', createDashboardRouter());
+
+  const listener = await new Promise((resolve) => {
+    const httpServer = app.listen(0, '127.0.0.1', () => resolve(httpServer));
+  });
+  const url = `http://127.0.0.1:${listener.address().port}`;
+  const clients = [];
+
+  return {
+    server,
+    url,
+    fetch: (pathname, options = {}) => {
+      const headers = { ...options.headers };
+      if (options.key) {
+        headers.Authorization = `Bearer ${options.key}`;
+      }
+      if (options.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+      }
+      return fetch(url + pathname, {
+        method: options.method || (options.body === undefined ? 'GET' : 'POST'),
+        headers,
+        body: options.body === undefined ? undefined : JSON.stringify(options.body),
+      });
+    },
+    connect: async (key) => {
+      const client = new Client({ name: 'mcp-server-test', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+        requestInit: key ? { headers: { Authorization: `Bearer ${key}` } } : undefined,
+      });
+      await client.connect(transport);
+      clients.push(client);
+      return {
+        client,
+        transport,
+        call: async (name, args = {}) => {
+          const result = await client.callTool({ name, arguments: args });
+          return JSON.parse(result.content[0].text);
+        },
+      };
+    },
+    close: async () => {
+      await Promise.all(clients.map(client => client.close()));
+      await server.cleanup();
+      listener.closeAllConnections();
+      await new Promise(resolve => listener.close(resolve));
+    },
+  };
+}
+
+/**
+ * Wait until a background process has exited
+ */
+async function waitForExit(call, processId) {
+  const result = await call('wait_for', { process_id: processId, conditions: [{ type: 'exit' }], timeout_ms: 10000 });
+  if (!result.success || !result.matched) {
+    throw new Error(`Process ${processId} did not exit: ${result.error || result.message}`);
+  }
+  return result;
+}
+
+module.exports = {
+  dataDir,
+  serverDataDir,
+  connect,
+  startHttp,
+  waitForExit,
+};
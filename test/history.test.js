@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { connect, waitForExit } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('run_command stores the final status of every run', async () => {
+  const ids = [];
+  for (let i = 0; i < 20; i++) {
+    const result = await mcp.call('run_command', { command: `echo run-${i}` });
+    assert.strictEqual(result.exit_code, 0);
+    ids.push(result.process_id);
+  }
+
+  // Let writes still queued by the runs land, so a late one overwriting a final status shows
+  await new Promise(resolve => setTimeout(resolve, 500));
+  for (const id of ids) {
+    const record = await mcp.server.database.getProcess(id);
+    assert.strictEqual(record.status, 'completed', `status of ${record.command}`);
+    assert.strictEqual(record.exit_code, 0);
+  }
+});
+
+test('list_processes returns the newest process first', async () => {
+  const ids = [];
+  for (const command of ['echo first', 'echo second', 'echo third']) {
+    const started = await mcp.call('start_command', { command });
+    await waitForExit(mcp.call, started.process_id);
+    ids.push(started.process_id);
+    // Keep the start times apart
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  const result = await mcp.call('list_processes', { command: 'echo ', limit: 3 });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.processes.map(processInfo => processInfo.process_id), ids.reverse());
+  assert.deepStrictEqual(result.processes.map(processInfo => processInfo.status), ['completed', 'completed', 'completed']);
+});
+
+test('list_processes pages with limit and offset', async () => {
+  const all = await mcp.call('list_processes', { limit: 100 });
+  const first = await mcp.call('list_processes', { limit: 5 });
+  const second = await mcp.call('list_processes', { limit: 5, offset: 5 });
+
+  assert.strictEqual(first.total, all.total);
+  assert.deepStrictEqual(
+    [...first.processes, ...second.processes].map(processInfo => processInfo.process_id),
+    all.processes.slice(0, 10).map(processInfo => processInfo.process_id)
+  );
+});
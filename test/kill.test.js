@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { connect } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+// Orphans may stay zombies when nothing reaps them, so those count as dead
+const isAlive = (pid) => {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return stat.slice(stat.lastIndexOf(')') + 2)[0] !== 'Z';
+  } catch (error) {
+    return false;
+  }
+};
+
+const waitForOutput = async (processId, pattern) => {
+  for (let i = 0; i < 50; i++) {
+    const output = await mcp.call('get_command_output', { process_id: processId });
+    if (pattern.test(output.stdout)) {
+      return output.stdout;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Output of ${processId} never matched ${pattern}`);
+};
+
+test('kill_process also kills the children of the command', async () => {
+  const started = await mcp.call('start_command', { command: 'sleep 30 & echo $!; wait' });
+  const pid = Number((await waitForOutput(started.process_id, /^\d+/)).trim());
+  assert.strictEqual(isAlive(pid), true);
+
+  const killed = await mcp.call('kill_process', { process_id: started.process_id });
+  assert.strictEqual(killed.success, true);
+  assert.strictEqual(killed.escalated_to_sigkill, false);
+  assert.strictEqual(isAlive(pid), false);
+});
+
+test('kill_process sends the requested signal', async () => {
+  const started = await mcp.call('start_command', { command: 'trap "echo interrupted; exit 3" INT; echo ready; while :; do sleep 0.1; done' });
+  await waitForOutput(started.process_id, /ready/);
+
+  const killed = await mcp.call('kill_process', { process_id: started.process_id, signal: 'SIGINT' });
+  assert.strictEqual(killed.success, true);
+  assert.strictEqual(killed.signal, 'SIGINT');
+  const output = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.match(output.stdout, /interrupted/);
+});
+
+test('kill_process escalates to SIGKILL after the grace period', async () => {
+  const started = await mcp.call('start_command', { command: 'trap "" TERM; echo ready; while :; do sleep 0.1; done' });
+  await waitForOutput(started.process_id, /ready/);
+
+  const begin = Date.now();
+  const killed = await mcp.call('kill_process', { process_id: started.process_id, grace_period_ms: 300 });
+  assert.strictEqual(killed.success, true);
+  assert.strictEqual(killed.escalated_to_sigkill, true);
+  assert.ok(Date.now() - begin < 3000);
+});
+
+test('kill_process rejects unknown signals', async () => {
+  const started = await mcp.call('start_command', { command: 'sleep 30' });
+  const result = await mcp.call('kill_process', { process_id: started.process_id, signal: 'SIGNOPE' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'Unknown signal: SIGNOPE');
+  await mcp.call('kill_process', { process_id: started.process_id, signal: 'SIGKILL' });
+});
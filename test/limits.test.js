@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { connect, dataDir, waitForExit } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('commands over the concurrency limit wait in a queue', async () => {
+  const { limiter } = mcp.server.commandRunner;
+  limiter.max = 1;
+  try {
+    const first = await mcp.call('start_command', { command: 'sleep 0.5' });
+    assert.strictEqual(first.status, 'running');
+    const second = await mcp.call('start_command', { command: 'echo second' });
+    assert.strictEqual(second.status, 'queued');
+    assert.strictEqual(second.queue_position, 1);
+
+    const queued = await mcp.call('get_command_output', { process_id: second.process_id });
+    assert.strictEqual(queued.status, 'queued');
+
+    await waitForExit(mcp.call, second.process_id);
+    const firstDone = await mcp.call('get_command_output', { process_id: first.process_id });
+    const secondDone = await mcp.call('get_command_output', { process_id: second.process_id });
+    assert.strictEqual(firstDone.status, 'completed');
+    assert.strictEqual(secondDone.stdout, 'second');
+    assert.ok(secondDone.started_at >= firstDone.finished_at);
+  } finally {
+    limiter.max = 0;
+  }
+});
+
+test('commands exceeding their CPU time or file size limit end with resource_exceeded', async () => {
+  const cpu = await mcp.call('run_command', { command: 'while :; do :; done', limits: { cpu_seconds: 1 }, timeout: 10000 });
+  assert.strictEqual(cpu.limit_exceeded, 'cpu_seconds');
+  assert.strictEqual(cpu.error, 'CPU time limit of 1s exceeded');
+
+  const file = path.join(dataDir, 'large');
+  const size = await mcp.call('run_command', { command: `head -c 2000000 /dev/zero > ${file}`, limits: { file_size_mb: 1 } });
+  assert.strictEqual(size.limit_exceeded, 'file_size_mb');
+
+  const started = await mcp.call('start_command', { command: `head -c 2000000 /dev/zero > ${file}`, limits: { file_size_mb: 1 } });
+  await waitForExit(mcp.call, started.process_id);
+  const output = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.strictEqual(output.status, 'resource_exceeded');
+  assert.strictEqual(output.limit_exceeded, 'file_size_mb');
+});
+
+test('limits are validated and capped at the server limits', async () => {
+  const runner = mcp.server.commandRunner;
+  runner.serverLimits = { open_files: 64 };
+  try {
+    const capped = await mcp.call('run_command', { command: 'ulimit -n', limits: { open_files: 1000 } });
+    assert.strictEqual(capped.stdout, '64');
+    const lower = await mcp.call('run_command', { command: 'ulimit -n', limits: { open_files: 32 } });
+    assert.strictEqual(lower.stdout, '32');
+  } finally {
+    runner.serverLimits = {};
+  }
+
+  const unknown = await mcp.call('run_command', { command: 'true', limits: { threads: 1 } });
+  assert.strictEqual(unknown.success, false);
+  assert.match(unknown.error, /^Unknown limit: threads/);
+});
+
+test('shell commands wait for a concurrency slot', async () => {
+  const { limiter } = mcp.server.commandRunner;
+  const shell = await mcp.call('open_shell', {});
+  limiter.max = 1;
+  try {
+    const running = await mcp.call('start_command', { command: 'sleep 0.5' });
+    assert.strictEqual(running.status, 'running');
+
+    const expired = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'echo early', timeout: 100 });
+    assert.strictEqual(expired.success, false);
+    assert.strictEqual(expired.timed_out, true);
+    assert.match(expired.error, /still queued/);
+
+    const queued = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'echo later', timeout: 5000 });
+    assert.strictEqual(queued.stdout, 'later');
+    const done = await mcp.call('get_command_output', { process_id: running.process_id });
+    assert.strictEqual(done.status, 'completed');
+    assert.strictEqual(limiter.active, 0);
+  } finally {
+    limiter.max = 0;
+    await mcp.call('close_shell', { shell_id: shell.shell_id });
+  }
+});
+
+test('persistent shells run commands with their limits', async () => {
+  const runner = mcp.server.commandRunner;
+  runner.serverLimits = { open_files: 64 };
+  let shell;
+  try {
+    shell = await mcp.call('open_shell', { limits: { file_size_mb: 1, open_files: 1000 } });
+    assert.strictEqual(shell.success, true);
+    assert.deepStrictEqual(shell.limits, { open_files: 64, file_size_mb: 1 });
+    assert.strictEqual(shell.limits_capped, true);
+
+    const files = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'ulimit -n' });
+    assert.strictEqual(files.stdout, '64');
+
+    const file = path.join(dataDir, 'large-from-shell');
+    const size = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: `head -c 2000000 /dev/zero > ${file}` });
+    assert.strictEqual(size.success, false);
+    assert.strictEqual(size.limit_exceeded, 'file_size_mb');
+    assert.strictEqual(size.error, 'File size limit of 1 MB exceeded');
+    assert.strictEqual(size.shell_status, 'idle');
+
+    const record = await mcp.call('get_command_output', { process_id: size.process_id });
+    assert.strictEqual(record.status, 'resource_exceeded');
+  } finally {
+    runner.serverLimits = {};
+    if (shell && shell.shell_id) {
+      await mcp.call('close_shell', { shell_id: shell.shell_id });
+    }
+  }
+});
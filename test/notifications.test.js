@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NOTIFICATION_INTERVAL_MS = '50';
+const { LoggingMessageNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { connect, waitForExit } = require('./helpers');
+
+let mcp;
+let messages = [];
+before(async () => {
+  mcp = await connect();
+  mcp.client.setNotificationHandler(LoggingMessageNotificationSchema, (notification) => {
+    messages.push(notification.params);
+  });
+});
+after(() => mcp.close());
+
+const eventsOf = (processId) => messages.filter(message => message.data.process_id === processId);
+
+test('started processes send their output and exit as log notifications', async () => {
+  messages = [];
+  const started = await mcp.call('start_command', { command: 'echo one; sleep 0.2; echo two >&2; exit 4' });
+  await waitForExit(mcp.call, started.process_id);
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const events = eventsOf(started.process_id);
+  const output = events.filter(message => message.data.event === 'output');
+  assert.strictEqual(output.map(message => message.data.stdout).join(''), 'one\n');
+  assert.strictEqual(output.map(message => message.data.stderr).join(''), 'two\n');
+  assert.ok(output.every(message => message.logger === 'process' && message.level === 'info'));
+
+  const exit = events.find(message => message.data.event === 'exit');
+  assert.strictEqual(exit.level, 'warning');
+  assert.strictEqual(exit.data.status, 'failed');
+  assert.strictEqual(exit.data.exit_code, 4);
+});
+
+test('notify: false and the session log level silence notifications', async () => {
+  messages = [];
+  const silent = await mcp.call('start_command', { command: 'echo quiet', notify: false });
+  await waitForExit(mcp.call, silent.process_id);
+
+  await mcp.client.setLoggingLevel('warning');
+  const filtered = await mcp.call('start_command', { command: 'echo filtered' });
+  await waitForExit(mcp.call, filtered.process_id);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await mcp.client.setLoggingLevel('debug');
+
+  assert.deepStrictEqual(eventsOf(silent.process_id), []);
+  assert.deepStrictEqual(eventsOf(filtered.process_id), []);
+});
+
+test('run_command reports output as progress when given a progress token', async () => {
+  const progress = [];
+  const result = await mcp.client.callTool(
+    { name: 'run_command', arguments: { command: 'echo first; sleep 0.2; echo second' } },
+    undefined,
+    { onprogress: (params) => progress.push(params) }
+  );
+  assert.strictEqual(JSON.parse(result.content[0].text).stdout, 'first\nsecond');
+  assert.strictEqual(progress.map(params => params.message).join(''), 'first\nsecond\n');
+  assert.strictEqual(progress[progress.length - 1].progress, 13);
+});
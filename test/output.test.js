@@ -0,0 +1,138 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const fs = require('fs');
+const path = require('path');
+
+const { OutputBuffer, encodeCursor } = require('../src/tools/output');
+const { connect, dataDir, waitForExit } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+/**
+ * Read the stdout of a process in pages of `head` lines, following the cursors
+ * @param {string} [cursor] - Where to start (default: the output held in memory)
+ */
+async function readPages(processId, head, cursor) {
+  const pages = [];
+  for (;;) {
+    const result = await mcp.call('get_command_output', { process_id: processId, head, since_cursor: cursor });
+    assert.strictEqual(result.success, true, result.error);
+    if (pages.length > 0) {
+      assert.strictEqual(result.ranges.stdout.start, pages[pages.length - 1].ranges.stdout.end, 'pages are contiguous');
+    }
+    if (result.stdout === '') {
+      return pages;
+    }
+    pages.push(result);
+    cursor = result.cursor;
+  }
+}
+
+test('head with since_cursor pages through the output without skipping lines', async () => {
+  const started = await mcp.call('start_command', { command: 'printf "line1\\nline2\\nline3\\nline4\\nline5\\n"' });
+  await waitForExit(mcp.call, started.process_id);
+
+  const pages = await readPages(started.process_id, 2);
+  assert.deepStrictEqual(pages.map(page => page.stdout.trimEnd()), ['line1\nline2', 'line3\nline4', 'line5']);
+  assert.deepStrictEqual(pages.map(page => [page.ranges.stdout.start, page.ranges.stdout.end]), [[0, 12], [12, 24], [24, 30]]);
+});
+
+test('since_cursor returns only output written after the cursor', async () => {
+  const started = await mcp.call('start_command', { command: 'cat' });
+  await mcp.call('write_stdin', { process_id: started.process_id, input: 'first\n', wait_ms: 200 });
+  const before = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.strictEqual(before.stdout.trimEnd(), 'first');
+
+  await mcp.call('write_stdin', { process_id: started.process_id, input: 'second\n', eof: true });
+  await waitForExit(mcp.call, started.process_id);
+  const after = await mcp.call('get_command_output', { process_id: started.process_id, since_cursor: before.cursor });
+  assert.strictEqual(after.stdout.trimEnd(), 'second');
+  assert.strictEqual(after.ranges.stdout.start, before.ranges.stdout.end);
+});
+
+test('output dropped from memory is paged from the log file', async () => {
+  const started = await mcp.call('start_command', {
+    command: 'for i in $(seq 1 200); do echo "line-$i"; done',
+    max_output_bytes: 256,
+  });
+  await waitForExit(mcp.call, started.process_id);
+
+  // Without a cursor, reads start at the output still in memory, which is dropped
+  // once it has been written to the log file
+  let recent;
+  for (let attempt = 0; attempt < 20; attempt++) {
+    recent = await mcp.call('get_command_output', { process_id: started.process_id });
+    if (recent.truncated) {
+      break;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.strictEqual(recent.truncated, true);
+
+  const pages = await readPages(started.process_id, 50, encodeCursor(0, 0));
+  const lines = pages.map(page => page.stdout.trimEnd()).join('\n').split('\n');
+  assert.strictEqual(pages.length, 4);
+  assert.deepStrictEqual(lines, Array.from({ length: 200 }, (_, index) => `line-${index + 1}`));
+});
+
+test('tail and byte ranges return the requested part', async () => {
+  const started = await mcp.call('start_command', { command: 'printf "line1\\nline2\\nline3\\n"' });
+  await waitForExit(mcp.call, started.process_id);
+
+  const tail = await mcp.call('get_command_output', { process_id: started.process_id, tail: 2 });
+  assert.strictEqual(tail.stdout.trimEnd(), 'line2\nline3');
+  assert.strictEqual(tail.ranges.stdout.start, 6);
+
+  const range = await mcp.call('get_command_output', { process_id: started.process_id, start_byte: 6, end_byte: 12 });
+  assert.strictEqual(range.stdout, 'line2\n');
+});
+
+test('an invalid cursor is rejected', async () => {
+  const started = await mcp.call('run_command', { command: 'echo done' });
+  const result = await mcp.call('get_command_output', { process_id: started.process_id, since_cursor: 'not-a-cursor' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'Invalid since_cursor');
+});
+
+test('output is kept in memory until it has been written to the log file', async () => {
+  const logFile = path.join(dataDir, 'unit-logs', 'pending.stdout.log');
+  fs.rmSync(logFile, { force: true });
+  const buffer = new OutputBuffer({ maxBytes: 4, logFile });
+  buffer.write(Buffer.from('abcd'));
+  buffer.write(Buffer.from('efgh'));
+
+  // The log file may still be empty here
+  assert.strictEqual((await buffer.read(0)).text, 'abcdefgh');
+
+  // Once written, the oldest output is dropped from memory and read from the file
+  buffer.end();
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.strictEqual(buffer.startOffset, 4);
+  assert.strictEqual((await buffer.read(0)).text, 'abcdefgh');
+});
+
+test('reads start and end on whole UTF-8 characters', async () => {
+  const buffer = new OutputBuffer();
+  const text = 'aé€😀';
+  // Offsets: a 0, é 1-2, € 3-5, 😀 6-9
+  buffer.write(Buffer.from(text));
+
+  assert.deepStrictEqual(await buffer.read(2), { text: '€😀', start: 3, end: 10, truncated: false });
+  assert.deepStrictEqual(await buffer.read(0, 5), { text: 'aé', start: 0, end: 3, truncated: false });
+  assert.strictEqual((await buffer.read(7, 9)).text, '');
+});
+
+test('a character that is not completely written yet is left for the next read', async () => {
+  const buffer = new OutputBuffer();
+  const bytes = Buffer.from('x€');
+  buffer.write(bytes.subarray(0, 2));
+  assert.deepStrictEqual(await buffer.read(0), { text: 'x', start: 0, end: 1, truncated: false });
+
+  buffer.write(bytes.subarray(2));
+  assert.deepStrictEqual(await buffer.read(1), { text: '€', start: 1, end: 4, truncated: false });
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { parseOutput } = require('../src/tools/parse');
+const { connect } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('run_command returns TAP output summarized as failed tests', async () => {
+  const tap = 'TAP version 13\\n1..3\\nok 1 - a\\nnot ok 2 - b\\n  ---\\n  message: boom\\n  at: test/x.js:12:3\\n  ...\\nok 3 - c # SKIP later\\n';
+  const result = await mcp.call('run_command', { command: `printf '${tap}'`, parse: 'tap' });
+  assert.deepStrictEqual(result.parsed.tests, { total: 3, passed: 1, failed: 1, skipped: 1, todo: 0 });
+  assert.deepStrictEqual(result.parsed.failures, [{ id: 2, name: 'b', message: 'boom', file: 'test/x.js', line: 12 }]);
+
+  const invalid = await mcp.call('run_command', { command: 'echo not json', parse: 'json' });
+  assert.strictEqual(invalid.success, true);
+  assert.match(invalid.parse_error, /^Invalid json output/);
+});
+
+test('JUnit XML reports list their failures with locations', () => {
+  const { result } = parseOutput('junit', [
+    '<testsuites><testsuite name="s" tests="2" failures="1">',
+    '<testcase name="ok" classname="A"/>',
+    '<testcase name="bad" classname="A"><failure message="expected 1">at src/a.test.js:5:1</failure></testcase>',
+    '</testsuite></testsuites>',
+  ].join(''));
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.tests, { total: 2, passed: 1, failed: 1, errors: 0, skipped: 0 });
+  assert.strictEqual(result.failures[0].message, 'expected 1');
+  assert.strictEqual(result.failures[0].file, 'src/a.test.js');
+  assert.strictEqual(result.failures[0].line, 5);
+});
+
+test('Jest JSON reports after other output are recognized', () => {
+  const report = {
+    numTotalTests: 2,
+    numPassedTests: 1,
+    numFailedTests: 1,
+    testResults: [{
+      name: '/x/a.test.js',
+      assertionResults: [{ fullName: 'a fails', status: 'failed', failureMessages: ['Error: nope\n    at /x/a.test.js:3:9'] }],
+    }],
+  };
+  const { result } = parseOutput('json', `> npm test\n${JSON.stringify(report)}`);
+  assert.strictEqual(result.report, 'jest');
+  assert.deepStrictEqual(result.failures, [{ name: 'a fails', message: 'Error: nope', file: '/x/a.test.js', line: 3 }]);
+});
+
+test('JSON lines are parsed one record per line', () => {
+  assert.deepStrictEqual(parseOutput('jsonl', '{"a":1}\n{"a":2}\n'), { result: { format: 'jsonl', records: [{ a: 1 }, { a: 2 }], errors: [] } });
+  assert.deepStrictEqual(parseOutput('xml', '<a/>'), { error: 'parse must be one of json, jsonl, junit, tap' });
+});
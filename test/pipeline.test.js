@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { connect } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+// Finished pipelines may still be killing steps, so those are waited for too
+const waitForPipeline = async (pipelineId) => {
+  for (let i = 0; i < 100; i++) {
+    const status = await mcp.call('get_pipeline_status', { pipeline_id: pipelineId });
+    if (status.status !== 'running' && !status.steps.some(step => step.status === 'running')) {
+      return status;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Pipeline ${pipelineId} did not finish`);
+};
+
+const statuses = pipeline => Object.fromEntries(pipeline.steps.map(step => [step.id, step.status]));
+
+test('steps run after their dependencies, in parallel where they can', async () => {
+  const started = await mcp.call('run_pipeline', {
+    name: 'build',
+    steps: [
+      { id: 'install', command: 'echo install' },
+      { id: 'lint', command: 'sleep 0.3; echo lint', depends_on: ['install'] },
+      { id: 'test', command: 'sleep 0.3; echo test', depends_on: ['install'] },
+      { id: 'package', command: 'echo package', depends_on: ['lint', 'test'] },
+    ],
+  });
+  const pipeline = await waitForPipeline(started.pipeline_id);
+  assert.strictEqual(pipeline.status, 'completed');
+
+  const steps = Object.fromEntries(pipeline.steps.map(step => [step.id, step]));
+  assert.strictEqual(steps.package.stdout, 'package');
+  assert.ok(steps.lint.started_at >= steps.install.finished_at);
+  assert.ok(steps.test.started_at < steps.lint.finished_at, 'lint and test overlap');
+  assert.ok(steps.package.started_at >= steps.lint.finished_at && steps.package.started_at >= steps.test.finished_at);
+});
+
+test('a failing step skips the steps after it unless it may fail', async () => {
+  const failing = await mcp.call('run_pipeline', {
+    steps: [
+      { id: 'a', command: 'exit 1' },
+      { id: 'b', command: 'echo b', depends_on: ['a'] },
+    ],
+  });
+  const failed = await waitForPipeline(failing.pipeline_id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.error, 'Step "a" failed');
+  assert.deepStrictEqual(statuses(failed), { a: 'failed', b: 'skipped' });
+
+  const tolerant = await mcp.call('run_pipeline', {
+    steps: [
+      { id: 'a', command: 'exit 1', continue_on_error: true },
+      { id: 'b', command: 'echo b', depends_on: ['a'] },
+    ],
+  });
+  const completed = await waitForPipeline(tolerant.pipeline_id);
+  assert.strictEqual(completed.status, 'completed');
+  assert.deepStrictEqual(statuses(completed), { a: 'failed', b: 'completed' });
+});
+
+test('cancel_pipeline kills running steps', async () => {
+  const started = await mcp.call('run_pipeline', {
+    steps: [
+      { id: 'slow', command: 'sleep 30' },
+      { id: 'after', command: 'true', depends_on: ['slow'] },
+    ],
+  });
+  const cancelled = await mcp.call('cancel_pipeline', { pipeline_id: started.pipeline_id });
+  assert.strictEqual(cancelled.success, true);
+  const pipeline = await waitForPipeline(started.pipeline_id);
+  assert.strictEqual(pipeline.status, 'cancelled');
+  assert.deepStrictEqual(statuses(pipeline), { slow: 'killed', after: 'cancelled' });
+});
+
+test('pipelines with dependency cycles are rejected', async () => {
+  const result = await mcp.call('run_pipeline', {
+    steps: [
+      { id: 'a', command: 'true', depends_on: ['b'] },
+      { id: 'b', command: 'true', depends_on: ['a'] },
+    ],
+  });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /dependency cycle/);
+});
@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { ElicitRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { CommandPolicy } = require('../src/policy');
+const { dataDir, connect } = require('./helpers');
+
+const POLICY = {
+  default_action: 'deny',
+  rules: [
+    { name: 'confirm-touch', action: 'confirm', executable: 'touch' },
+    { name: 'allow-echo', action: 'allow', executable: ['echo', 'true'] },
+    { name: 'confirm-git-push', action: 'confirm', executable: 'git', args: ['^push$'] },
+  ],
+};
+
+test('evaluate applies the first matching rule and the most restrictive action', () => {
+  const policy = new CommandPolicy(POLICY);
+
+  assert.strictEqual(policy.evaluate({ command: 'echo hello' }).action, 'allow');
+  assert.strictEqual(policy.evaluate({ command: 'git push' }).action, 'confirm');
+  assert.strictEqual(policy.evaluate({ command: 'git status' }).rule, 'default_action');
+
+  const decision = policy.evaluate({ command: 'echo hello && git push' });
+  assert.strictEqual(decision.action, 'confirm');
+  assert.strictEqual(decision.allowed, false);
+  assert.strictEqual(decision.rule, 'confirm-git-push');
+  assert.strictEqual(decision.segment, 'git push');
+  assert.deepStrictEqual(decision.segments.map(segment => segment.action), ['allow', 'confirm']);
+});
+
+test('evaluate denies dangerous commands, other directories and caps timeouts', () => {
+  const policy = new CommandPolicy({ allowed_cwd_roots: [dataDir], max_timeout_ms: 5000 });
+
+  const dangerous = policy.evaluate({ command: 'rm -rf /', cwd: dataDir });
+  assert.strictEqual(dangerous.action, 'deny');
+  assert.strictEqual(dangerous.rule, 'builtin:recursive-delete-root');
+
+  const outside = policy.evaluate({ command: 'echo hello', cwd: path.dirname(dataDir) });
+  assert.strictEqual(outside.action, 'deny');
+  assert.strictEqual(outside.rule, 'allowed_cwd_roots');
+
+  const capped = policy.evaluate({ command: 'echo hello', cwd: dataDir, timeout: 60000 });
+  assert.strictEqual(capped.allowed, true);
+  assert.strictEqual(capped.timeout, 5000);
+  assert.strictEqual(capped.timeout_capped, true);
+});
+
+test('wrappers, shells and repeated slashes do not hide dangerous commands', () => {
+  const policy = new CommandPolicy();
+  const bypasses = [
+    'sudo -u root rm -rf /',
+    'sudo -Eu root rm -rf /',
+    'sudo --user=root rm -rf /',
+    'timeout -s KILL 5 rm -rf /',
+    'nice -n 10 rm -rf /',
+    'env -u PATH rm -rf /',
+    'env -S "rm -rf /"',
+    'bash -c "rm -rf /"',
+    "sh -c 'echo hello; rm -rf /'",
+    'bash -lc "sudo rm -rf /"',
+    'eval "rm -rf /"',
+    'rm -rf //',
+    'rm -rf /usr/..',
+    'find / -delete',
+  ];
+  for (const command of bypasses) {
+    assert.strictEqual(policy.evaluate({ command }).action, 'deny', command);
+  }
+
+  const direct = policy.evaluate({ command: 'sudo', args: ['-u', 'root', 'rm', '-rf', '/'] });
+  assert.strictEqual(direct.action, 'deny', 'argv execution');
+
+  for (const command of ['sudo -u root ls /', 'timeout -s KILL 5 ls /', 'bash -c "ls /"', 'find . -name "*.tmp" -delete']) {
+    assert.strictEqual(policy.evaluate({ command }).action, 'allow', command);
+  }
+});
+
+test('run_command refuses denied commands', async () => {
+  const mcp = await connect({ policy: POLICY });
+  try {
+    const result = await mcp.call('run_command', { command: 'ls' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.error, 'Command denied by policy');
+    assert.strictEqual(result.policy.action, 'deny');
+    assert.strictEqual(result.policy.rule, 'default_action');
+  } finally {
+    await mcp.close();
+  }
+});
+
+test('tools are refused without a command before the policy sees it', async () => {
+  const mcp = await connect({ policy: POLICY });
+  try {
+    for (const [name, args] of [
+      ['check_command', {}],
+      ['run_command', { timeout: 1000 }],
+      ['start_command', { command: ' ' }],
+      ['shell_exec', { shell_id: 'unknown' }],
+      ['schedule_command', { command: 42, interval_ms: 60000 }],
+    ]) {
+      const result = await mcp.call(name, args);
+      assert.deepStrictEqual(result, { success: false, error: 'command must be a non-empty string' }, name);
+    }
+  } finally {
+    await mcp.close();
+  }
+});
+
+test('commands needing confirmation are denied for clients without elicitation', async () => {
+  const file = path.join(dataDir, 'unconfirmed');
+  const mcp = await connect({ policy: POLICY });
+  try {
+    const result = await mcp.call('run_command', { command: `touch ${file}` });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.policy.action, 'confirm');
+    assert.match(result.policy.reason, /does not support elicitation/);
+    assert.strictEqual(fs.existsSync(file), false);
+  } finally {
+    await mcp.close();
+  }
+});
+
+test('commands needing confirmation run once the client confirms them', async () => {
+  const mcp = await connect({ policy: POLICY, capabilities: { elicitation: {} } });
+  let answer;
+  const questions = [];
+  mcp.client.setRequestHandler(ElicitRequestSchema, (request) => {
+    questions.push(request.params.message);
+    return answer;
+  });
+
+  try {
+    const declinedFile = path.join(dataDir, 'declined');
+    answer = { action: 'decline' };
+    const declined = await mcp.call('run_command', { command: `touch ${declinedFile}` });
+    assert.strictEqual(declined.success, false);
+    assert.match(declined.policy.reason, /confirmation declined/);
+    assert.strictEqual(fs.existsSync(declinedFile), false);
+
+    const confirmedFile = path.join(dataDir, 'confirmed');
+    answer = { action: 'accept', content: { confirm: true } };
+    const confirmed = await mcp.call('run_command', { command: `touch ${confirmedFile}` });
+    assert.strictEqual(confirmed.exit_code, 0);
+    assert.strictEqual(fs.existsSync(confirmedFile), true);
+
+    assert.strictEqual(questions.length, 2);
+    assert.match(questions[1], /touch/);
+  } finally {
+    await mcp.close();
+  }
+});
+
+test('scheduled commands are never run without confirmation', async () => {
+  const mcp = await connect({ policy: POLICY });
+  try {
+    const refused = await mcp.call('schedule_command', { command: 'git push', interval_ms: 60000 });
+    assert.strictEqual(refused.success, false);
+    assert.match(refused.policy.reason, /scheduled runs cannot be confirmed/);
+
+    const created = await mcp.call('schedule_command', { command: 'true', interval_ms: 60000 });
+    assert.strictEqual(created.success, true);
+    const schedule = mcp.server.scheduler.getSchedule(created.schedule_id);
+
+    // The policy changes to ask for confirmation before the next run
+    mcp.server.policy = new CommandPolicy({ rules: [{ name: 'confirm-true', action: 'confirm', executable: 'true' }] });
+    await mcp.server.scheduler.run(schedule);
+    assert.strictEqual(schedule.run_count, 0);
+    assert.strictEqual(schedule.skipped_runs, 1);
+    assert.match(schedule.last_error, /requires confirmation/);
+  } finally {
+    await mcp.close();
+  }
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { connect, waitForExit } = require('./helpers');
+
+// node-pty is an optional dependency
+let unavailable = false;
+try {
+  require('node-pty');
+} catch (error) {
+  unavailable = 'node-pty is not installed';
+}
+const options = { skip: unavailable };
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('pty commands see a terminal of the requested size', options, async () => {
+  const started = await mcp.call('start_command', { command: 'test -t 1 && echo tty; stty size', pty: true, cols: 100, rows: 30 });
+  assert.deepStrictEqual(started.pty, { cols: 100, rows: 30 });
+  await waitForExit(mcp.call, started.process_id);
+
+  const output = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.strictEqual(output.stdout, 'tty\r\n30 100');
+
+  const screen = await mcp.call('get_command_output', { process_id: started.process_id, screen: true });
+  assert.deepStrictEqual(screen.screen.lines, ['tty', '30 100']);
+});
+
+test('resize_terminal changes the size seen by the command', options, async () => {
+  const started = await mcp.call('start_command', { command: 'read line; stty size', pty: true, cols: 80, rows: 24 });
+  const resized = await mcp.call('resize_terminal', { process_id: started.process_id, cols: 50, rows: 10 });
+  assert.strictEqual(resized.success, true);
+
+  await mcp.call('write_stdin', { process_id: started.process_id, input: '\r' });
+  await waitForExit(mcp.call, started.process_id);
+  const output = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.match(output.stdout, /10 50$/);
+});
+
+test('resize_terminal is refused for commands without a pty', async () => {
+  const started = await mcp.call('start_command', { command: 'sleep 5' });
+  const resized = await mcp.call('resize_terminal', { process_id: started.process_id, cols: 50, rows: 10 });
+  assert.strictEqual(resized.success, false);
+  await mcp.call('kill_process', { process_id: started.process_id });
+});
@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NOTIFICATION_INTERVAL_MS = '50';
+const { ResourceUpdatedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { connect, waitForExit } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('processes are listed and read as resources', async () => {
+  const started = await mcp.call('start_command', { command: 'echo out; echo err >&2' });
+  await waitForExit(mcp.call, started.process_id);
+
+  const { resources } = await mcp.client.listResources();
+  const uris = resources.map(resource => resource.uri);
+  for (const name of ['stdout', 'stderr', 'info']) {
+    assert.ok(uris.includes(`process://${started.process_id}/${name}`), name);
+  }
+
+  const stdout = await mcp.client.readResource({ uri: `process://${started.process_id}/stdout` });
+  assert.strictEqual(stdout.contents[0].text, 'out\n');
+  assert.strictEqual(stdout.contents[0].mimeType, 'text/plain');
+  const info = await mcp.client.readResource({ uri: `process://${started.process_id}/info` });
+  const details = JSON.parse(info.contents[0].text);
+  assert.strictEqual(details.status, 'completed');
+  assert.strictEqual(details.exit_code, 0);
+
+  await assert.rejects(mcp.client.readResource({ uri: 'process://unknown/stdout' }));
+});
+
+test('subscribers are told when the output of a process changes', async () => {
+  const updated = [];
+  mcp.client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+    updated.push(notification.params.uri);
+  });
+
+  const started = await mcp.call('start_command', { command: 'sleep 0.3; echo later' });
+  const uri = `process://${started.process_id}/stdout`;
+  await mcp.client.subscribeResource({ uri });
+  await waitForExit(mcp.call, started.process_id);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.ok(updated.includes(uri));
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startHttp } = require('./helpers');
+
+let http;
+before(async () => {
+  http = await startHttp();
+});
+after(() => http.close());
+
+const waitForStatus = async (processId, status) => {
+  for (let i = 0; i < 50; i++) {
+    const body = await (await http.fetch(`/api/processes/${processId}`)).json();
+    if (body.status === status) {
+      return body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Process ${processId} never reached ${status}`);
+};
+
+test('processes are started, read, restarted and killed over REST', async () => {
+  const created = await http.fetch('/api/processes', { body: { command: 'echo rest' } });
+  assert.strictEqual(created.status, 201);
+  const { process_id: processId } = await created.json();
+
+  const done = await waitForStatus(processId, 'completed');
+  assert.strictEqual(done.stdout, 'rest');
+
+  const list = await (await http.fetch('/api/processes')).json();
+  assert.ok(list.processes.some(item => item.process_id === processId));
+
+  const restarted = await http.fetch(`/api/processes/${processId}/restart`, { method: 'POST' });
+  assert.strictEqual(restarted.status, 201);
+  const again = await restarted.json();
+  assert.notStrictEqual(again.process_id, processId);
+  assert.strictEqual((await waitForStatus(again.process_id, 'completed')).stdout, 'rest');
+
+  const sleeper = await (await http.fetch('/api/processes', { body: { command: 'sleep 30' } })).json();
+  const killed = await http.fetch(`/api/processes/${sleeper.process_id}?signal=SIGKILL`, { method: 'DELETE' });
+  assert.strictEqual(killed.status, 200);
+  assert.strictEqual((await killed.json()).signal, 'SIGKILL');
+});
+
+test('the stream route sends output and the exit as server-sent events', async () => {
+  const started = await (await http.fetch('/api/processes', { body: { command: 'echo first; sleep 0.2; echo second; exit 2' } })).json();
+  const response = await http.fetch(`/api/processes/${started.process_id}/stream`);
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+  const events = (await response.text()).trim().split('\n\n').map((block) => {
+    const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+  assert.strictEqual(events[0].event, 'process');
+  assert.strictEqual(events.filter(item => item.event === 'stdout').map(item => item.data.text).join(''), 'first\nsecond\n');
+  const exit = events[events.length - 1];
+  assert.strictEqual(exit.event, 'exit');
+  assert.strictEqual(exit.data.exit_code, 2);
+});
+
+test('errors are answered with matching HTTP statuses', async () => {
+  assert.strictEqual((await http.fetch('/api/processes/unknown')).status, 404);
+  assert.strictEqual((await http.fetch('/api/processes', { body: [] })).status, 400);
+  assert.strictEqual((await http.fetch('/api/processes', { body: {} })).status, 400);
+  // Without API keys REST requests are not admin requests
+  assert.strictEqual((await http.fetch('/api/sessions')).status, 403);
+});
@@ -0,0 +1,99 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { SandboxExecutor } = require('../src/executors');
+const { dataDir, serverDataDir, connect, waitForExit } = require('./helpers');
+
+// The project holds the server data in data/, as when the server runs from a project
+const projectDir = dataDir;
+const outsideDir = `${dataDir}-outside`;
+fs.mkdirSync(outsideDir);
+process.on('exit', () => fs.rmSync(outsideDir, { recursive: true, force: true }));
+process.env.SANDBOX_PROJECT_DIR = projectDir;
+
+// Needs bwrap, or unshare and setpriv with permission to create namespaces
+const unavailable = new SandboxExecutor({ project_dir: projectDir }).unavailableReason();
+const options = { skip: unavailable ? `sandbox unavailable: ${unavailable}` : false };
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+function runSandboxed(command) {
+  return mcp.call('run_command', { command, cwd: projectDir, executor: 'sandbox' });
+}
+
+test('commands can write to the project directory', options, async () => {
+  const result = await runSandboxed('echo inside > result.txt && cat result.txt');
+  assert.strictEqual(result.exit_code, 0, result.stderr);
+  assert.strictEqual(result.stdout, 'inside');
+  assert.strictEqual(fs.readFileSync(path.join(projectDir, 'result.txt'), 'utf8'), 'inside\n');
+});
+
+test('writes outside the project directory do not reach the host', options, async () => {
+  // The root filesystem is read-only
+  const hostFile = path.join(__dirname, `.sandbox-probe-${process.pid}`);
+  try {
+    const readOnly = await runSandboxed(`touch ${hostFile}`);
+    assert.notStrictEqual(readOnly.exit_code, 0);
+    assert.strictEqual(fs.existsSync(hostFile), false);
+  } finally {
+    fs.rmSync(hostFile, { force: true });
+  }
+
+  // /tmp is private, so other directories under it are not visible
+  const tmpFile = path.join(outsideDir, 'escaped');
+  await runSandboxed(`mkdir -p ${outsideDir} && touch ${tmpFile}`);
+  assert.strictEqual(fs.existsSync(tmpFile), false);
+});
+
+test('commands cannot write to the server data', options, async () => {
+  const auditLog = path.join(serverDataDir, 'audit.jsonl');
+  const before = fs.readFileSync(auditLog, 'utf8');
+
+  const result = await runSandboxed(
+    'echo forged >> data/audit.jsonl; touch data/forged; rm -f data/processes.db; echo {} > data/mcp-tasks.json; echo x > data/logs/forged.stdout.log'
+  );
+  assert.notStrictEqual(result.exit_code, 0, 'the last write failed');
+  assert.match(result.stderr, /Read-only file system/);
+  assert.ok(fs.readFileSync(auditLog, 'utf8').startsWith(before));
+  assert.doesNotMatch(fs.readFileSync(auditLog, 'utf8'), /forged/);
+  assert.strictEqual(fs.existsSync(path.join(serverDataDir, 'forged')), false);
+  assert.strictEqual(fs.existsSync(path.join(serverDataDir, 'processes.db')), true);
+  assert.strictEqual(fs.existsSync(path.join(serverDataDir, 'mcp-tasks.json')), false);
+  assert.strictEqual(fs.existsSync(path.join(serverDataDir, 'logs', 'forged.stdout.log')), false);
+});
+
+test('a writable directory inside server data makes the sandbox unavailable', () => {
+  const sandbox = new SandboxExecutor({ project_dir: path.join(serverDataDir, 'logs') });
+  sandbox.protect([serverDataDir]);
+  assert.match(sandbox.unavailableReason(), /inside server data/);
+});
+
+test('commands cannot make the root filesystem writable again', options, async () => {
+  const hostFile = path.join(__dirname, `.sandbox-probe-${process.pid}`);
+  try {
+    const result = await runSandboxed(`mount -o remount,rw / ; mount -o remount,bind,rw / ; touch ${hostFile}`);
+    assert.notStrictEqual(result.exit_code, 0);
+    assert.strictEqual(fs.existsSync(hostFile), false);
+  } finally {
+    fs.rmSync(hostFile, { force: true });
+  }
+});
+
+test('kill_process stops a sandboxed command', options, async () => {
+  const started = await mcp.call('start_command', { command: 'sleep 30', cwd: projectDir, executor: 'sandbox' });
+  assert.strictEqual(started.success, true, started.error);
+  // Give the sandbox time to start the command
+  await new Promise(resolve => setTimeout(resolve, 300));
+
+  const killedAt = Date.now();
+  await mcp.call('kill_process', { process_id: started.process_id });
+  const exited = await waitForExit(mcp.call, started.process_id);
+  assert.strictEqual(exited.status, 'killed');
+  assert.ok(Date.now() - killedAt < 2000, 'stopped by SIGTERM rather than the SIGKILL fallback');
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { Scheduler } = require('../src/tools/schedule');
+const { connect, waitForExit } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a failed command is retried until its attempts run out', async () => {
+  const started = await mcp.call('start_command', {
+    command: 'exit 3',
+    retry: { max_attempts: 2, backoff_ms: 50 },
+  });
+  await waitForExit(mcp.call, started.process_id);
+  await delay(300);
+
+  const first = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.strictEqual(first.status, 'failed');
+  assert.ok(first.next_attempt_id, 'a second attempt was started');
+
+  const second = await mcp.call('get_command_output', { process_id: first.next_attempt_id });
+  assert.strictEqual(second.attempt, 2);
+  assert.strictEqual(second.exit_code, 3);
+  assert.strictEqual(second.next_attempt_id || null, null);
+});
+
+test('ending a session cancels the pending retries of its processes', async () => {
+  const { commandRunner } = mcp.server;
+  const result = await commandRunner.startCommand('exit 1', 10000, {
+    session_id: 'ended-session',
+    retry: { max_attempts: 3, backoff_ms: 300 },
+  });
+  const processId = JSON.parse(result.content[0].text).process_id;
+  await waitForExit(mcp.call, processId);
+  assert.ok(commandRunner.retryTimers.has(processId), 'a retry is pending');
+
+  await mcp.server.endSession({ id: 'ended-session' }, 'test');
+  assert.strictEqual(commandRunner.retryTimers.has(processId), false);
+
+  await delay(600);
+  const processInfo = commandRunner.processes.get(processId);
+  assert.strictEqual(processInfo.next_attempt_at, null);
+  assert.strictEqual(processInfo.next_attempt_id || null, null);
+  assert.deepStrictEqual(commandRunner.getRunningProcesses('ended-session'), []);
+});
+
+test('environment values of a schedule are not stored', async () => {
+  const created = await mcp.call('schedule_command', {
+    command: 'true',
+    interval_ms: 60000,
+    env: { DEPLOY_TOKEN: 'secret-value-123' },
+  });
+  assert.strictEqual(created.success, true, created.error);
+
+  const stored = (await mcp.server.database.listSchedules()).find(schedule => schedule.id === created.schedule_id);
+  assert.deepStrictEqual(stored.options.env_names, ['DEPLOY_TOKEN']);
+  assert.strictEqual(stored.options.env, undefined);
+  const row = await mcp.server.database.get('SELECT options FROM schedules WHERE id = ?', [created.schedule_id]);
+  assert.doesNotMatch(row.options, /secret-value-123/);
+
+  // After a restart the schedule could not run as created, so it is deleted
+  const restarted = new Scheduler(mcp.server.commandRunner);
+  await restarted.loaded;
+  restarted.stop();
+  assert.strictEqual(restarted.getSchedule(created.schedule_id), undefined);
+  const remaining = await mcp.server.database.listSchedules();
+  assert.strictEqual(remaining.some(schedule => schedule.id === created.schedule_id), false);
+});
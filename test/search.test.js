@@ -0,0 +1,49 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { connect, waitForExit } = require('./helpers');
+
+let mcp;
+let noisy;
+let quiet;
+before(async () => {
+  mcp = await connect();
+  noisy = await mcp.call('start_command', { command: 'printf "one\\nError: boom\\nthree\\n"; echo "error two" >&2' });
+  quiet = await mcp.call('start_command', { command: 'echo fine' });
+  await waitForExit(mcp.call, noisy.process_id);
+  await waitForExit(mcp.call, quiet.process_id);
+});
+after(() => mcp.close());
+
+test('search_output finds matching lines across processes with context', async () => {
+  const result = await mcp.call('search_output', { pattern: 'error', case: 'insensitive', context: 1 });
+  assert.strictEqual(result.total_matches, 2);
+  assert.deepStrictEqual(result.results.map(item => item.process_id), [noisy.process_id]);
+
+  const [stdout, stderr] = result.results[0].matches;
+  assert.strictEqual(stdout.stream, 'stdout');
+  assert.strictEqual(stdout.line, 2);
+  assert.strictEqual(stdout.text, 'Error: boom');
+  assert.deepStrictEqual(stdout.before, [{ line: 1, text: 'one' }]);
+  assert.deepStrictEqual(stdout.after, [{ line: 3, text: 'three' }]);
+  assert.strictEqual(stderr.stream, 'stderr');
+  assert.strictEqual(stderr.text, 'error two');
+});
+
+test('search_output filters by stream, case and process', async () => {
+  const smart = await mcp.call('search_output', { pattern: 'Error', case: 'smart', stream: 'stderr' });
+  assert.strictEqual(smart.total_matches, 0);
+
+  const lower = await mcp.call('search_output', { pattern: 'error', case: 'smart', stream: 'stderr' });
+  assert.strictEqual(lower.total_matches, 1);
+
+  const selected = await mcp.call('search_output', { pattern: 'e', process_ids: [quiet.process_id] });
+  assert.strictEqual(selected.processes_searched, 1);
+  assert.deepStrictEqual(selected.results[0].matches.map(match => match.text), ['fine']);
+});
+
+test('search_output rejects invalid patterns', async () => {
+  const result = await mcp.call('search_output', { pattern: '(' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /^Invalid pattern/);
+});
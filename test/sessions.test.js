@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startHttp } = require('./helpers');
+
+let http;
+before(async () => {
+  http = await startHttp();
+});
+after(() => http.close());
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('HTTP sessions only see their own processes', async () => {
+  const owner = await http.connect();
+  const other = await http.connect();
+  const started = await owner.call('start_command', { command: 'sleep 30' });
+
+  const own = await owner.call('list_processes');
+  assert.deepStrictEqual(own.processes.map(item => item.process_id), [started.process_id]);
+  const foreign = await other.call('list_processes');
+  assert.strictEqual(foreign.total, 0);
+
+  for (const name of ['get_command_output', 'kill_process']) {
+    const result = await other.call(name, { process_id: started.process_id });
+    assert.strictEqual(result.error, 'Process not found', name);
+  }
+  await owner.call('kill_process', { process_id: started.process_id });
+});
+
+test('ending a session kills its running processes', async () => {
+  const session = await http.connect();
+  const started = await session.call('start_command', { command: 'sleep 30' });
+  await session.transport.terminateSession();
+  await delay(500);
+  assert.strictEqual(http.server.commandRunner.processes.get(started.process_id).status, 'killed');
+});
+
+test('SESSION_END_ACTION=detach leaves them running', async () => {
+  http.server.sessionEndAction = 'detach';
+  try {
+    const session = await http.connect();
+    const started = await session.call('start_command', { command: 'sleep 30' });
+    await session.transport.terminateSession();
+    await delay(500);
+    const processInfo = http.server.commandRunner.processes.get(started.process_id);
+    assert.strictEqual(processInfo.status, 'running');
+    await http.server.commandRunner.killProcess(started.process_id);
+  } finally {
+    http.server.sessionEndAction = 'kill';
+  }
+});
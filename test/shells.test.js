@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { connect, dataDir } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('shell_exec keeps the directory, variables and functions between calls', async () => {
+  const shell = await mcp.call('open_shell', { cwd: dataDir });
+  assert.strictEqual(shell.success, true);
+
+  const first = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'mkdir -p work && cd work && export STAGE=test; greet() { echo "hi $1"; }' });
+  assert.strictEqual(first.cwd, path.join(dataDir, 'work'));
+  assert.strictEqual(first.cwd_changed, true);
+  assert.deepStrictEqual(first.env_changes, { set: { STAGE: 'test' }, unset: [] });
+
+  const second = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'pwd; echo $STAGE; greet you; false' });
+  assert.strictEqual(second.exit_code, 1);
+  assert.strictEqual(second.stdout, `${path.join(dataDir, 'work')}\ntest\nhi you`);
+  assert.strictEqual(second.shell_status, 'idle');
+
+  await mcp.call('close_shell', { shell_id: shell.shell_id });
+});
+
+test('a command that times out is interrupted and the shell stays usable', async () => {
+  const shell = await mcp.call('open_shell', {});
+  const slow = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'sleep 10', timeout: 300 });
+  assert.strictEqual(slow.timed_out, true);
+
+  const next = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'echo alive' });
+  assert.strictEqual(next.stdout, 'alive');
+  await mcp.call('close_shell', { shell_id: shell.shell_id });
+});
+
+test('closed shells and shells that exited are gone', async () => {
+  const shell = await mcp.call('open_shell', { shell: 'sh' });
+  const exited = await mcp.call('shell_exec', { shell_id: shell.shell_id, command: 'exit 3' });
+  assert.strictEqual(exited.shell_status, 'closed');
+  assert.strictEqual(exited.error, 'Shell exited with code 3');
+
+  const other = await mcp.call('open_shell', {});
+  const closed = await mcp.call('close_shell', { shell_id: other.shell_id });
+  assert.strictEqual(closed.success, true);
+  for (const shellId of [shell.shell_id, other.shell_id]) {
+    const result = await mcp.call('shell_exec', { shell_id: shellId, command: 'true' });
+    assert.strictEqual(result.error, 'Shell not found');
+  }
+});
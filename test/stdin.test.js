@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { connect, waitForExit } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('write_stdin answers a prompt and returns the output it produced', async () => {
+  const started = await mcp.call('start_command', { command: 'read name; echo "hello $name"' });
+  const result = await mcp.call('write_stdin', { process_id: started.process_id, input: 'world\n', wait_ms: 300 });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.bytes_written, 6);
+  assert.strictEqual(result.stdout, 'hello world\n');
+});
+
+test('eof closes stdin so the process can finish', async () => {
+  const started = await mcp.call('start_command', { command: 'wc -l' });
+  await mcp.call('write_stdin', { process_id: started.process_id, input: 'one\ntwo\n' });
+  const closed = await mcp.call('write_stdin', { process_id: started.process_id, input: 'three\n', eof: true });
+  assert.strictEqual(closed.stdin_open, false);
+
+  await waitForExit(mcp.call, started.process_id);
+  const output = await mcp.call('get_command_output', { process_id: started.process_id });
+  assert.strictEqual(output.stdout, '3');
+});
+
+test('writing to a finished process is refused', async () => {
+  const started = await mcp.call('start_command', { command: 'true' });
+  await waitForExit(mcp.call, started.process_id);
+  const result = await mcp.call('write_stdin', { process_id: started.process_id, input: 'late\n' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'Process is not running');
+});
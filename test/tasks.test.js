@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { ToolListChangedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { connect, serverDataDir } = require('./helpers');
+
+const writeTasks = (tasks) => {
+  fs.mkdirSync(serverDataDir, { recursive: true });
+  fs.writeFileSync(process.env.TASKS_FILE, JSON.stringify({ tasks }));
+};
+
+let mcp;
+before(async () => {
+  writeTasks({
+    greet: {
+      description: 'Greet someone',
+      command: 'echo {{name}} {{loud}}',
+      parameters: {
+        name: { type: 'string', required: true },
+        loud: { type: 'boolean', flag: '--loud', default: false },
+      },
+    },
+  });
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('tasks are listed as tools with a schema from their parameters', async () => {
+  const { tools } = await mcp.client.listTools();
+  const tool = tools.find(item => item.name === 'task_greet');
+  assert.ok(tool);
+  assert.deepStrictEqual(tool.inputSchema.required, ['name']);
+  assert.strictEqual(tool.inputSchema.properties.loud.type, 'boolean');
+});
+
+test('parameter values are quoted and flags substituted', async () => {
+  const result = await mcp.call('task_greet', { name: 'a b; touch injected', loud: true });
+  assert.strictEqual(result.command, "echo 'a b; touch injected' --loud");
+  assert.strictEqual(result.stdout, 'a b; touch injected --loud');
+
+  const missing = await mcp.call('task_greet', {});
+  assert.strictEqual(missing.success, false);
+  assert.strictEqual(missing.error, 'Parameter name is required');
+});
+
+test('changes to the task file are picked up and announced', async () => {
+  let changed = false;
+  mcp.client.setNotificationHandler(ToolListChangedNotificationSchema, () => {
+    changed = true;
+  });
+  writeTasks({ count: { description: 'Count', command: 'echo 3' } });
+
+  for (let i = 0; i < 50 && !changed; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.strictEqual(changed, true);
+  const { tools } = await mcp.client.listTools();
+  assert.ok(tools.some(item => item.name === 'task_count'));
+  assert.ok(!tools.some(item => item.name === 'task_greet'));
+});
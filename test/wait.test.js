@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { connect } = require('./helpers');
+
+let mcp;
+before(async () => {
+  mcp = await connect();
+});
+after(() => mcp.close());
+
+test('wait_for returns the first output line matching a pattern', async () => {
+  const started = await mcp.call('start_command', { command: 'sleep 0.3; echo "Listening on 1234"; sleep 5' });
+  const result = await mcp.call('wait_for', {
+    process_id: started.process_id,
+    conditions: [{ type: 'output', pattern: 'listening on (\\d+)', flags: 'i' }, { type: 'exit' }],
+  });
+  assert.strictEqual(result.matched, true);
+  assert.strictEqual(result.condition.index, 0);
+  assert.deepStrictEqual(result.match, { stream: 'stdout', line: 'Listening on 1234', groups: ['1234'] });
+  assert.strictEqual(result.status, 'running');
+
+  const later = await mcp.call('wait_for', {
+    process_id: started.process_id,
+    conditions: [{ type: 'output', pattern: 'Listening' }],
+    since_cursor: result.cursor,
+    timeout_ms: 300,
+  });
+  assert.strictEqual(later.matched, false);
+  assert.strictEqual(later.reason, 'timeout');
+  await mcp.call('kill_process', { process_id: started.process_id });
+});
+
+test('wait_for checks ports and URLs', async () => {
+  const server = http.createServer((request, response) => response.end('ok'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  try {
+    const started = await mcp.call('start_command', { command: 'sleep 5' });
+    const open = await mcp.call('wait_for', { process_id: started.process_id, conditions: [{ type: 'port', port: port }] });
+    assert.strictEqual(open.matched, true);
+    assert.strictEqual(open.condition.type, 'port');
+
+    const served = await mcp.call('wait_for', { process_id: started.process_id, conditions: [{ type: 'http', url: `http://127.0.0.1:${port}/` }] });
+    assert.strictEqual(served.matched, true);
+    assert.strictEqual(served.condition.type, 'http');
+    await mcp.call('kill_process', { process_id: started.process_id });
+  } finally {
+    server.close();
+  }
+});
+
+test('wait_for reports processes that exit before a condition holds', async () => {
+  const started = await mcp.call('start_command', { command: 'exit 2' });
+  const result = await mcp.call('wait_for', { process_id: started.process_id, conditions: [{ type: 'output', pattern: 'ready' }] });
+  assert.strictEqual(result.matched, false);
+  assert.strictEqual(result.reason, 'exited');
+  assert.strictEqual(result.exit_code, 2);
+
+  const invalid = await mcp.call('wait_for', { process_id: started.process_id, conditions: [{ type: 'output', pattern: '(' }] });
+  assert.strictEqual(invalid.success, false);
+  assert.match(invalid.error, /^Condition 1: invalid pattern/);
+});